@@ -4,7 +4,8 @@
 // this function responds with the URL and anon key. These values are used to
 // initialize the Supabase client in the browser. DO NOT expose your
 // service role key here—only the publishable anonymous key is needed for
-// client operations.
+// client operations. The anon key on its own cannot read any data: row-level
+// security limits every table to signed-in members of the row's household.
 
 export default async function handler(request, response) {
   // Use process.env to access environment variables set in Vercel.
@@ -2,15 +2,80 @@
 // This script powers the multi‑page household expense tracker. It manages state,
 // renders views, handles filters and sorting, and coordinates handovers and history.
 
-// Define payment methods.  Members and categories are now fetched dynamically
-// from the database instead of being hard‑coded.  The arrays below will be
-// populated by loadMembersAndCategories().  We also keep the full
-// Supabase records to allow updates/deletions by ID.
+// Members, categories and payment methods are fetched from the database
+// instead of being hard‑coded.  The arrays below are populated by
+// loadMembersAndCategories() and loadPaymentMethods().  We also keep the
+// full Supabase records to allow updates/deletions by ID.
 let members = [];
 let memberRecords = [];
 let categories = [];
 let categoryRecords = [];
-const paymentMethods = ['Cash', 'Card'];
+let paymentMethods = [];
+let paymentMethodRecords = [];
+// Names of every member and category by ID, including those in the trash,
+// so history can still name them.
+let memberNamesById = {};
+let categoryNamesById = {};
+let paymentMethodNamesById = {};
+
+// Kinds of payment method, with their display labels.
+const paymentMethodKinds = {
+    cash: 'Cash',
+    card: 'Card',
+    account: 'Bank account',
+    transfer: 'Bank transfer',
+    other: 'Other'
+};
+
+// Ways a housemate can pay back a settlement transfer.
+const settlementMethods = ['Bank transfer', 'Cash', 'Other'];
+
+// Display labels for the status of a settlement transfer.
+const settlementStatuses = {
+    pending: 'Pending',
+    partial: 'Partially paid',
+    paid: 'Paid'
+};
+
+// Roles a household member can have.  Admins manage the household and may
+// change anything, members add expenses and change the ones they paid,
+// viewers only read.  The database enforces the same rules.
+const memberRoles = {
+    admin: 'Admin',
+    member: 'Member',
+    viewer: 'Viewer'
+};
+
+// Ways an expense can be divided among its responsible members.  Anything
+// other than 'equal' stores a `split_values` object keyed by member name:
+// percentages (summing to 100), share weights, or exact amounts (summing to
+// the expense amount).
+const splitModes = [
+    { value: 'equal', label: 'Equally' },
+    { value: 'percent', label: 'By percentage' },
+    { value: 'shares', label: 'By shares' },
+    { value: 'exact', label: 'By exact amount' }
+];
+
+// Element IDs used by the split controls in the add form and edit modal.
+const splitForms = {
+    add: { mode: 'split-mode', values: 'split-values', hint: 'split-hint', responsible: 'responsible-options', amount: 'amount', currency: 'currency', date: 'date' },
+    edit: { mode: 'edit-split-mode', values: 'edit-split-values', hint: 'edit-split-hint', responsible: 'edit-responsible', amount: 'edit-amount', currency: 'edit-currency', date: 'edit-date' },
+    recurring: { mode: 'recurring-split-mode', values: 'recurring-split-values', hint: 'recurring-split-hint', responsible: 'recurring-responsible', amount: 'recurring-amount', currency: 'recurring-currency', date: 'recurring-start' }
+};
+
+// ISO 4217 codes offered for expenses and the household base currency.
+const currencyCodes = ['AUD', 'CAD', 'CHF', 'CNY', 'EUR', 'GBP', 'HKD', 'IDR', 'INR', 'JPY', 'KRW', 'MYR', 'NZD', 'PHP', 'SGD', 'THB', 'USD', 'VND'];
+
+// Household base currency.  All summaries, charts and settlements are
+// converted to it.  Loaded from the `app_settings` table by loadCurrencySettings().
+let baseCurrency = 'USD';
+
+// Locally maintained exchange rates.  Each record is { id, currency,
+// rate_date, rate } where `rate` is the value of one unit of `currency` in
+// the base currency on `rate_date`.
+let exchangeRates = [];
+
 
 // Configure Supabase connection. Instead of hard‑coding your credentials here,
 // we defer initialization until runtime. In production (e.g. on Vercel), the
@@ -45,6 +110,17 @@ async function initSupabase() {
     } catch (err) {
         console.warn('Could not fetch Supabase credentials from /api/env:', err);
     }
+    // Remember the credentials so the app can start without a network
+    // connection; reuse the remembered ones when the fetch failed.
+    if (url && key) {
+        localStorage.setItem('supabaseConfig', JSON.stringify({ url, key }));
+    } else {
+        const saved = JSON.parse(localStorage.getItem('supabaseConfig') || 'null');
+        if (saved) {
+            url = url || saved.url;
+            key = key || saved.key;
+        }
+    }
     // Fall back to global variables if fetch failed or returned nothing
     if (!url) url = typeof window !== 'undefined' && window.SUPABASE_URL ? window.SUPABASE_URL : 'YOUR_SUPABASE_URL';
     if (!key) key = typeof window !== 'undefined' && window.SUPABASE_ANON_KEY ? window.SUPABASE_ANON_KEY : 'YOUR_SUPABASE_ANON_KEY';
@@ -52,142 +128,1582 @@ async function initSupabase() {
     supa = supabase.createClient(url, key);
 }
 
+// -----------------------------
+// Accounts and households
+// -----------------------------
+//
+// Every table is scoped to a household and row‑level security only lets
+// signed‑in members of a household reach its rows.  A login belongs to a
+// household when one of the household's `members` rows carries its user ID;
+// invites link a new login to an existing member.
+
+// Signed‑in Supabase user, the households they belong to ({ id, name,
+// member_id, member_name, role }) and the one currently shown.
+let currentUser = null;
+let userHouseholds = [];
+let currentHouseholdId = null;
+
+// The signed‑in user's member record in the current household.  Taken from
+// the loaded members when possible so renames and role changes show up.
+function currentMember() {
+    const household = userHouseholds.find(h => h.id === currentHouseholdId);
+    if (!household) return null;
+    return memberRecords.find(m => m.id === household.member_id) ||
+        { id: household.member_id, name: household.member_name, role: household.role };
+}
+
+function currentRole() {
+    const member = currentMember();
+    return member ? member.role || 'member' : 'viewer';
+}
+
+function isAdmin() {
+    return currentRole() === 'admin';
+}
+
+// Whether the user may add expenses, templates and rules.
+function canWrite() {
+    return currentRole() !== 'viewer';
+}
+
+// Only the payer or an admin may edit or delete an expense.
+function canEditExpense(exp) {
+    return isAdmin() || (currentRole() === 'member' && exp.payer === currentMember().name);
+}
+
+// Statements are reconciled by an admin or, for an account that is theirs
+// or nobody's, by a member.
+function canReconcile(method) {
+    if (isAdmin()) return true;
+    return currentRole() === 'member' && (!method.owner_id || method.owner_id === currentMember().id);
+}
+
+// Payments are recorded by an admin or either side of the transfer.
+function canRecordPayment(st) {
+    if (isAdmin()) return true;
+    const me = currentMember();
+    return currentRole() === 'member' && (st.from_member === me.name || st.to_member === me.name);
+}
+
+// Show or hide role‑restricted controls.  Elements marked admin-only,
+// non-admin-only or writer-only are handled by the stylesheet.
+function applyRoleUI() {
+    const role = currentRole();
+    Object.keys(memberRoles).forEach(r => document.body.classList.toggle(`role-${r}`, r === role));
+    const baseSelect = document.getElementById('base-currency');
+    if (baseSelect) baseSelect.disabled = role !== 'admin';
+}
+
+// Show the sign‑in or household setup card instead of the app.
+function showAuthPage(step) {
+    document.querySelectorAll('.page-section').forEach(section => section.classList.add('d-none'));
+    document.getElementById('auth').classList.remove('d-none');
+    document.getElementById('main-nav').classList.add('d-none');
+    document.getElementById('auth-signin').classList.toggle('d-none', step !== 'signin');
+    document.getElementById('auth-household').classList.toggle('d-none', step !== 'household');
+}
+
+function showAuthMessage(text, type = 'danger') {
+    const box = document.getElementById('auth-message');
+    box.innerHTML = '';
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type} mb-0`;
+    alertDiv.textContent = text;
+    box.appendChild(alertDiv);
+}
+
+// The page address without any sign‑in tokens, used for email links.
+function authRedirectURL() {
+    return location.origin + location.pathname + location.search;
+}
+
+async function signInWithPassword(event) {
+    event.preventDefault();
+    const email = document.getElementById('auth-email').value.trim();
+    const password = document.getElementById('auth-password').value;
+    if (!password) {
+        await sendMagicLink();
+        return;
+    }
+    try {
+        const { error } = await supa.auth.signInWithPassword({ email, password });
+        if (error) {
+            showAuthMessage(error.message);
+            return;
+        }
+        location.reload();
+    } catch (err) {
+        console.error('Unexpected error signing in:', err);
+        alert('An unexpected error occurred while signing in');
+    }
+}
+
+async function sendMagicLink() {
+    const email = document.getElementById('auth-email').value.trim();
+    if (!email) {
+        showAuthMessage('Enter your email address');
+        return;
+    }
+    try {
+        const { error } = await supa.auth.signInWithOtp({ email, options: { emailRedirectTo: authRedirectURL() } });
+        if (error) {
+            showAuthMessage(error.message);
+            return;
+        }
+        showAuthMessage(`We sent a sign-in link to ${email}.`, 'success');
+    } catch (err) {
+        console.error('Unexpected error sending sign-in link:', err);
+        alert('An unexpected error occurred while sending the sign-in link');
+    }
+}
+
+async function signUp() {
+    const email = document.getElementById('auth-email').value.trim();
+    const password = document.getElementById('auth-password').value;
+    if (!email || password.length < 6) {
+        showAuthMessage('Enter your email and a password of at least 6 characters');
+        return;
+    }
+    try {
+        const { data, error } = await supa.auth.signUp({ email, password, options: { emailRedirectTo: authRedirectURL() } });
+        if (error) {
+            showAuthMessage(error.message);
+            return;
+        }
+        if (data.session) location.reload();
+        else showAuthMessage('Check your email to confirm the account, then sign in.', 'success');
+    } catch (err) {
+        console.error('Unexpected error signing up:', err);
+        alert('An unexpected error occurred while signing up');
+    }
+}
+
+// Sign out and remove the household's data from this device.
+async function signOut() {
+    if (syncQueueCount > 0 && !confirm('Changes made offline have not been synced yet and will be lost. Sign out anyway?')) return;
+    try {
+        await supa.auth.signOut();
+    } catch (err) {
+        console.error('Error signing out:', err);
+    }
+    localStorage.removeItem('userHouseholds');
+    localStorage.removeItem('activeHousehold');
+    try {
+        await clearLocalData();
+    } catch (err) {
+        console.warn('Could not clear local data:', err);
+    }
+    location.reload();
+}
+
+// Load the households the user belongs to.  The list is remembered so the
+// app can start offline.
+async function loadHouseholds() {
+    if (navigator.onLine) {
+        const { data, error } = await supa
+            .from('members')
+            .select('id, name, role, household_id, households (name)')
+            .eq('user_id', currentUser.id)
+            .is('deleted_at', null);
+        if (!error) {
+            userHouseholds = (data || []).map(m => ({
+                id: m.household_id,
+                name: m.households ? m.households.name : 'Household',
+                member_id: m.id,
+                member_name: m.name,
+                role: m.role
+            }));
+            localStorage.setItem('userHouseholds', JSON.stringify({ userId: currentUser.id, households: userHouseholds }));
+            return;
+        }
+        if (!isNetworkError(error)) console.error('Error loading households:', error);
+    }
+    const saved = JSON.parse(localStorage.getItem('userHouseholds') || 'null');
+    userHouseholds = saved && saved.userId === currentUser.id ? saved.households : [];
+}
+
+// Link the signed‑in user to the member an invite was created for.
+async function acceptInvite(code) {
+    const { data, error } = await supa.rpc('accept_invite', { invite_code: code });
+    if (error) {
+        console.error('Error accepting invite:', error);
+        alert(`Could not join the household: ${error.message}`);
+        return false;
+    }
+    localStorage.setItem('activeHousehold', data);
+    return true;
+}
+
+async function joinHousehold(event) {
+    event.preventDefault();
+    const value = document.getElementById('invite-code').value.trim();
+    // Accept either the full invite link or just its code
+    const match = value.match(/[?&]invite=([^&#]+)/);
+    if (await acceptInvite(match ? decodeURIComponent(match[1]) : value)) location.reload();
+}
+
+async function createHousehold(event) {
+    event.preventDefault();
+    const householdName = document.getElementById('household-name').value.trim();
+    const memberName = document.getElementById('household-member-name').value.trim();
+    if (!householdName || !memberName) return;
+    const { data, error } = await supa.rpc('create_household', { household_name: householdName, member_name: memberName });
+    if (error) {
+        console.error('Error creating household:', error);
+        alert('Failed to create household');
+        return;
+    }
+    localStorage.setItem('activeHousehold', data);
+    location.reload();
+}
+
+function switchHousehold(id) {
+    if (id === currentHouseholdId) return;
+    if (syncQueueCount > 0) {
+        alert('Wait until offline changes have synced before switching households.');
+        document.getElementById('household-switch').value = currentHouseholdId;
+        return;
+    }
+    localStorage.setItem('activeHousehold', id);
+    location.reload();
+}
+
+// Show the user's email and, when they belong to several households, a
+// switcher in the navbar.
+function renderAccountMenu() {
+    document.getElementById('account-menu').classList.remove('d-none');
+    document.getElementById('account-email').textContent = currentUser.email || '';
+    const select = document.getElementById('household-switch');
+    select.innerHTML = '';
+    userHouseholds.forEach(h => {
+        const opt = document.createElement('option');
+        opt.value = h.id;
+        opt.textContent = h.name;
+        select.appendChild(opt);
+    });
+    select.value = currentHouseholdId;
+    select.classList.toggle('d-none', userHouseholds.length < 2);
+}
+
+// Make sure a user is signed in and a household is selected.  Otherwise
+// the sign‑in or household setup page is shown and false is returned;
+// those pages reload the app once they succeed.
+async function initAuth() {
+    document.getElementById('auth-form').addEventListener('submit', signInWithPassword);
+    document.getElementById('auth-magic').addEventListener('click', sendMagicLink);
+    document.getElementById('auth-signup').addEventListener('click', signUp);
+    document.getElementById('join-household-form').addEventListener('submit', joinHousehold);
+    document.getElementById('create-household-form').addEventListener('submit', createHousehold);
+    document.getElementById('household-switch').addEventListener('change', e => switchHousehold(e.target.value));
+    document.querySelectorAll('.sign-out').forEach(btn => btn.addEventListener('click', signOut));
+    const { data } = await supa.auth.getSession();
+    currentUser = data.session ? data.session.user : null;
+    if (!currentUser) {
+        showAuthPage('signin');
+        return false;
+    }
+    // An invite link opened while signed in (or before signing in)
+    const inviteCode = new URLSearchParams(location.search).get('invite');
+    if (inviteCode) {
+        await acceptInvite(inviteCode);
+        history.replaceState(null, '', location.pathname);
+    }
+    await loadHouseholds();
+    if (userHouseholds.length === 0) {
+        showAuthPage('household');
+        return false;
+    }
+    const saved = localStorage.getItem('activeHousehold');
+    currentHouseholdId = userHouseholds.some(h => h.id === saved) ? saved : userHouseholds[0].id;
+    localStorage.setItem('activeHousehold', currentHouseholdId);
+    renderAccountMenu();
+    // Signing out in another tab ends this session too
+    supa.auth.onAuthStateChange(event => {
+        if (event === 'SIGNED_OUT') location.reload();
+    });
+    return true;
+}
+
+// Create an invite for a member without a login and show the link to send.
+async function inviteMember(name) {
+    const memRec = memberRecords.find(m => m.name === name);
+    if (!memRec) return;
+    try {
+        const { data, error } = await supa
+            .from('invites')
+            .insert([{ household_id: currentHouseholdId, member_id: memRec.id }])
+            .select();
+        if (error || !data || data.length === 0) {
+            console.error('Error creating invite:', error);
+            alert('Failed to create invite');
+            return;
+        }
+        const link = `${location.origin}${location.pathname}?invite=${data[0].code}`;
+        prompt(`Send this link to ${name}. It links their login to this member and expires in 14 days.`, link);
+    } catch (err) {
+        console.error('Unexpected error creating invite:', err);
+        alert('An unexpected error occurred while creating invite');
+    }
+}
+
+// -----------------------------
+// Offline storage and sync queue
+// -----------------------------
+//
+// Tables the app reads are mirrored in IndexedDB so it can start and show
+// data without a network connection.  Every write goes through
+// runMutation(): when online it is sent to Supabase straight away, when
+// offline (or while older writes are still waiting) it is applied to the
+// local copy and queued.  processSyncQueue() replays queued writes in order
+// once the connection is back, checking `updated_at` so a change made by
+// someone else in the meantime is not silently overwritten.
+
+const LOCAL_DB_NAME = 'expense-tracker';
+const LOCAL_DB_VERSION = 3;
+// Object stores mirroring Supabase tables, keyed by `id`.
+const localStores = ['expenses', 'handovers', 'members', 'categories', 'settlements', 'exchange_rates', 'payment_methods',
+    'recurring_expenses', 'import_rules'];
+const SYNC_QUEUE_STORE = 'sync_queue';
+
+let localDB = null;
+// Number of writes waiting in the sync queue, shown in the navbar.
+let syncQueueCount = 0;
+let syncInProgress = false;
+
+// Wrap an IndexedDB request in a promise.
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolve once a transaction has committed.
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Open (and on first use create) the local database.
+async function openLocalDB() {
+    if (localDB) return localDB;
+    const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        localStores.forEach(name => {
+            if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+        });
+        if (!db.objectStoreNames.contains(SYNC_QUEUE_STORE)) {
+            db.createObjectStore(SYNC_QUEUE_STORE, { keyPath: 'key', autoIncrement: true });
+        }
+    };
+    localDB = await idbRequest(request);
+    return localDB;
+}
+
+// Open a transaction on a store and return the store object.
+async function localStore(name, mode = 'readonly') {
+    const db = await openLocalDB();
+    return db.transaction(name, mode).objectStore(name);
+}
+
+// Delete the local copy and sync queue, e.g. when signing out.
+async function clearLocalData() {
+    if (localDB) {
+        localDB.close();
+        localDB = null;
+    }
+    await idbRequest(indexedDB.deleteDatabase(LOCAL_DB_NAME));
+}
+
+// Read every row of a local store.
+async function localGetAll(name) {
+    return idbRequest((await localStore(name)).getAll());
+}
+
+// Replace the local rows matching `filter` with `rows`.  Used after a
+// query so rows deleted on the server disappear locally too.
+async function localReplaceWhere(name, rows, filter = () => true) {
+    const existing = await localGetAll(name);
+    const store = await localStore(name, 'readwrite');
+    const keep = new Set(rows.map(r => r.id));
+    existing.forEach(row => {
+        if (filter(row) && !keep.has(row.id)) store.delete(row.id);
+    });
+    rows.forEach(row => store.put(row));
+    return idbTransactionDone(store.transaction);
+}
+
+// True when an error (or thrown exception) means the request never reached
+// the server, as opposed to the server rejecting it.
+function isNetworkError(error) {
+    if (!error) return false;
+    const message = `${error.message || ''} ${error.details || ''}`;
+    return !navigator.onLine || /Failed to fetch|NetworkError|Load failed|network/i.test(message);
+}
+
+// Generate an ID for a new row so rows created offline keep the same ID
+// once they reach the server.
+function newId() {
+    return crypto.randomUUID();
+}
+
+// Run a select query and mirror the result locally.  When offline, or when
+// the request fails for network reasons, the rows are read from the local
+// copy instead: `filter` selects the same rows the query would and `sortBy`
+// names the field to order them by.  Only rows of the current household are
+// considered.  With `partial`, the query returns one page of those rows, so
+// local rows are added or updated but none are removed; offline, every
+// cached row matching `filter` is returned.  Returns { data, error, fromCache }.
+async function selectWithCache(name, buildQuery, { filter = () => true, sortBy = null, partial = false } = {}) {
+    const inScope = filter;
+    filter = row => row.household_id === currentHouseholdId && inScope(row);
+    if (navigator.onLine) {
+        try {
+            const { data, error } = await buildQuery();
+            if (!error) {
+                try {
+                    await localReplaceWhere(name, data || [], partial ? () => false : filter);
+                } catch (err) {
+                    console.warn(`Could not update local copy of ${name}:`, err);
+                }
+                return { data: data || [], error: null, fromCache: false };
+            }
+            if (!isNetworkError(error)) return { data: null, error, fromCache: false };
+        } catch (err) {
+            if (!isNetworkError(err)) return { data: null, error: err, fromCache: false };
+        }
+    }
+    try {
+        const rows = (await localGetAll(name)).filter(filter);
+        if (sortBy) rows.sort((a, b) => (a[sortBy] < b[sortBy] ? -1 : a[sortBy] > b[sortBy] ? 1 : 0));
+        return { data: rows, error: null, fromCache: true };
+    } catch (err) {
+        return { data: null, error: err, fromCache: true };
+    }
+}
+
+// Send a write to Supabase.  `op` is { table, action, rows, id, values,
+// onConflict, ignoreDuplicates } where action is 'insert', 'upsert',
+// 'update' or 'delete'.  An upsert with `ignoreDuplicates` leaves existing
+// rows alone and returns only the rows it inserted.
+// An update may give `ids` instead of `id` to change several rows at once;
+// update_rows (029) changes either all of them or none.
+function executeMutation(op) {
+    const table = supa.from(op.table);
+    switch (op.action) {
+        case 'insert':
+            return table.insert(op.rows).select();
+        case 'upsert':
+            return table.upsert(op.rows, op.onConflict ? { onConflict: op.onConflict, ignoreDuplicates: !!op.ignoreDuplicates } : undefined).select();
+        case 'update':
+            if (op.ids) {
+                return supa.rpc('update_rows', { target: op.table, ids: op.ids, changes: op.values }).then(result =>
+                    (result.error && result.error.code === '42501'
+                        ? { data: null, error: { code: 'not_permitted', message: result.error.message } }
+                        : result));
+            }
+            return table.update(op.values).eq('id', op.id).select().then(checkRowsAffected);
+        case 'delete':
+            return table.delete().eq('id', op.id).select().then(checkRowsAffected);
+        default:
+            return Promise.resolve({ data: null, error: new Error(`Unknown action ${op.action}`) });
+    }
+}
+
+// Row‑level security makes an update or delete the user may not perform
+// match no rows instead of failing, so turn that into an error.
+function checkRowsAffected(result) {
+    if (result.error || (result.data && result.data.length > 0)) return result;
+    return {
+        data: null,
+        error: { code: 'not_permitted', message: 'The record no longer exists or you are not allowed to change it' }
+    };
+}
+
+// Apply a write to the local copy.  `serverRows` are the rows Supabase
+// returned, if any.  Returns the rows as they now look locally.
+async function localApplyMutation(op, serverRows = null) {
+    let result;
+    if (op.action === 'insert' || op.action === 'upsert') {
+        result = serverRows && (serverRows.length > 0 || op.ignoreDuplicates) ? serverRows : op.rows;
+    } else if (op.action === 'update') {
+        result = serverRows && serverRows.length > 0 ? serverRows : (op.ids || [op.id]).map(id => ({ id, ...op.values }));
+    } else {
+        result = [];
+    }
+    if (!localStores.includes(op.table)) return result;
+    try {
+        const store = await localStore(op.table, 'readwrite');
+        if (op.action === 'delete') {
+            await idbRequest(store.delete(op.id));
+        } else if (op.action === 'update' && !(serverRows && serverRows.length > 0)) {
+            result = [];
+            for (const id of op.ids || [op.id]) {
+                const existing = await idbRequest(store.get(id));
+                result.push({ ...(existing || {}), ...op.values, id });
+                await idbRequest(store.put(result[result.length - 1]));
+            }
+        } else {
+            for (const row of result) await idbRequest(store.put(row));
+        }
+    } catch (err) {
+        console.warn(`Could not update local copy of ${op.table}:`, err);
+    }
+    return result;
+}
+
+// Perform a write, queueing it when offline.  Inserted rows are given
+// client‑side IDs and the current household.  For updates and deletes, `op.base` should hold the
+// row's `updated_at` as last seen so conflicts can be detected on replay
+// (for an update of several `ids`, an object of `updated_at` by ID), and
+// `op.label` a short description for conflict messages.  Rows and
+// values use member and category names; they are stored as IDs.  Returns
+// { data, error, queued } like a Supabase call; `data` holds the affected
+// rows.
+async function runMutation(op) {
+    if (op.rows) {
+        op.rows = op.rows.map(row => toStoredRow(op.table, { ...row, id: row.id || newId(), household_id: row.household_id || currentHouseholdId }));
+    }
+    if (op.values) op.values = toStoredRow(op.table, op.values);
+    const hydrate = rows => rows.map(row => fromStoredRow(op.table, row));
+    // Writes already waiting must reach the server first, so new ones queue behind them
+    if (navigator.onLine && syncQueueCount === 0) {
+        try {
+            const { data, error } = await executeMutation(op);
+            if (!error) {
+                noteLocalWrite(data || []);
+                return { data: hydrate(await localApplyMutation(op, data)), error: null, queued: false };
+            }
+            if (!isNetworkError(error)) return { data: null, error, queued: false };
+        } catch (err) {
+            if (!isNetworkError(err)) return { data: null, error: err, queued: false };
+        }
+    }
+    try {
+        await idbRequest((await localStore(SYNC_QUEUE_STORE, 'readwrite')).add({ ...op, queuedAt: new Date().toISOString() }));
+    } catch (err) {
+        return { data: null, error: err, queued: false };
+    }
+    syncQueueCount++;
+    renderSyncStatus();
+    const data = hydrate(await localApplyMutation(op));
+    if (navigator.onLine) processSyncQueue();
+    return { data, error: null, queued: true };
+}
+
+// Replay one queued write.  Before an update or delete, the row's current
+// `updated_at` is compared with the one the change was based on; if the
+// row changed in the meantime the user decides whose version wins.
+// Returns { outcome, rows } where outcome is 'done', 'skipped' or 'retry'
+// (network still unavailable) and `rows` are the rows the server returned.
+async function replayMutation(op) {
+    if ((op.action === 'update' || op.action === 'delete') && op.base) {
+        const ids = op.ids || [op.id];
+        const bases = op.ids ? op.base : { [op.id]: op.base };
+        const { data, error } = await supa.from(op.table).select('*').in('id', ids);
+        if (error) return { outcome: isNetworkError(error) ? 'retry' : 'skipped' };
+        if (!data || data.length === 0) {
+            if (op.action === 'update') {
+                alert(`${op.label || 'A record'} was deleted by someone else while you were offline. Your change was discarded.`);
+            }
+            return { outcome: 'skipped' };
+        }
+        const changed = data.filter(row => row.updated_at && row.updated_at !== bases[row.id]);
+        if (changed.length > 0) {
+            const overwrite = confirm(`${op.label || 'A record'} was changed by someone else while you were offline. ` +
+                `Apply your ${op.action === 'delete' ? 'deletion' : 'change'} anyway? Cancel keeps their version.`);
+            if (!overwrite) {
+                await localApplyMutation({ table: op.table, action: 'upsert', rows: changed }, changed);
+                return { outcome: 'skipped' };
+            }
+        }
+        // Rows deleted in the meantime are left out of a change to several rows
+        if (op.ids) op = { ...op, ids: data.map(row => row.id) };
+    }
+    const { data, error } = await executeMutation(op);
+    if (error) {
+        if (isNetworkError(error)) return { outcome: 'retry' };
+        // Replaying an insert that already reached the server
+        if (error.code === '23505' && op.action === 'insert') return { outcome: 'done' };
+        console.error(`Error syncing queued change to ${op.table}:`, error);
+        alert(`A change made while offline could not be saved: ${op.label || op.table} (${error.message})`);
+        return { outcome: 'skipped' };
+    }
+    noteLocalWrite(data || []);
+    await localApplyMutation(op, data);
+    return { outcome: 'done', rows: data || [] };
+}
+
+// After a queued write reached the server, later queued writes to the same
+// rows must be based on the `updated_at` it produced; otherwise a second
+// offline edit of a row would look like someone else's change.
+async function rebaseQueuedOps(later, table, rows) {
+    const updatedAt = Object.fromEntries(rows.filter(row => row.updated_at).map(row => [row.id, row.updated_at]));
+    for (const op of later) {
+        if (!op.base || op.table !== table) continue;
+        let changed = false;
+        if (op.ids) {
+            const base = { ...op.base };
+            op.ids.forEach(id => {
+                if (updatedAt[id]) {
+                    base[id] = updatedAt[id];
+                    changed = true;
+                }
+            });
+            op.base = base;
+        } else if (updatedAt[op.id]) {
+            op.base = updatedAt[op.id];
+            changed = true;
+        }
+        if (changed) await idbRequest((await localStore(SYNC_QUEUE_STORE, 'readwrite')).put(op));
+    }
+}
+
+// Replay queued writes in the order they were made.  Stops at the first
+// network failure and leaves the rest queued.  Unless `reload` is false,
+// data is reloaded afterwards so the views reflect the server state.
+async function processSyncQueue({ reload = true } = {}) {
+    if (syncInProgress || !navigator.onLine) return;
+    syncInProgress = true;
+    let replayed = 0;
+    try {
+        await initSupabase();
+        const queued = await idbRequest((await localStore(SYNC_QUEUE_STORE)).getAll());
+        for (const [index, op] of queued.entries()) {
+            const { outcome, rows } = await replayMutation(op);
+            if (outcome === 'retry') break;
+            if (rows && rows.length > 0) await rebaseQueuedOps(queued.slice(index + 1), op.table, rows);
+            await idbRequest((await localStore(SYNC_QUEUE_STORE, 'readwrite')).delete(op.key));
+            syncQueueCount = Math.max(0, syncQueueCount - 1);
+            replayed++;
+            renderSyncStatus();
+        }
+    } catch (err) {
+        console.error('Unexpected error syncing offline changes:', err);
+    } finally {
+        syncInProgress = false;
+    }
+    renderSyncStatus();
+    if (replayed > 0 && reload) await reloadAllData();
+}
+
+// Count the writes waiting in the queue (e.g. from a previous session).
+async function loadSyncQueueCount() {
+    try {
+        syncQueueCount = await idbRequest((await localStore(SYNC_QUEUE_STORE)).count());
+    } catch (err) {
+        console.warn('Could not read the sync queue:', err);
+        syncQueueCount = 0;
+    }
+}
+
+// Show the connection state and number of pending writes in the navbar.
+function renderSyncStatus() {
+    const badge = document.getElementById('sync-status');
+    if (!badge) return;
+    if (!navigator.onLine) {
+        badge.className = 'badge bg-warning text-dark';
+        badge.textContent = syncQueueCount > 0 ? `Offline · ${syncQueueCount} pending` : 'Offline';
+    } else if (syncQueueCount > 0) {
+        badge.className = 'badge bg-info text-dark';
+        badge.textContent = `Syncing ${syncQueueCount} pending`;
+    } else {
+        badge.className = 'badge d-none';
+        badge.textContent = '';
+    }
+}
+
 // In‑memory arrays for current expenses and past handovers. These will be
 // populated from Supabase on page load.
 let expenses = [];
 let handovers = [];
 
 // Archived expenses grouped by handover_id.  Each key is a handover UUID and
-// the value is an array of expenses belonging to that handover.  This is
-// populated in loadData() from Supabase.
+// the value is an array of expenses belonging to that handover.  Only
+// handovers opened in History are present; see loadHandoverExpenses().
 let archivedExpensesByHandover = {};
 
+// Settlement transfers recorded for past handovers.  Each record has
+// { id, handover_id, from_member, to_member, amount, paid_amount, status,
+// paid_date, payment_method, payments } where `payments` lists every payment
+// as { amount, date, method } and `paid_date` and `payment_method` are those
+// of the first.  Populated in loadData().
+let settlements = [];
+
+// Recurring expense templates (rent, utilities, subscriptions).  Each record
+// holds the usual expense fields plus a schedule: `frequency` ('monthly',
+// 'weekly' or 'interval'), `day_of_month`, `interval_days`, the `next_date`
+// an expense is due and a `paused` flag.  Populated by loadRecurring().
+let recurringTemplates = [];
+
+// Rules applied to imported bank statement rows.  Each record is
+// { id, pattern, category, payer, responsible }; a null field keeps the
+// import default.  Populated by loadImportRules().
+let importRules = [];
+
+// State of the CSV import in progress: the parsed file (`importCsvRows`,
+// a list of string arrays) and the preview rows built from it.
+let importCsvRows = [];
+let importPreviewRows = [];
+let importSkippedRows = 0;
+
 // Load expenses and handovers from the remote database. This function
 // populates the `expenses` and `handovers` arrays and should be called
-// once on application start.
+// once on application start.  Expenses of past handovers are not loaded
+// here.
 async function loadData() {
     // Ensure Supabase client is initialized before making queries.
     await initSupabase();
-    // Fetch active expenses
-    const { data: expData, error: expErr } = await supa
+    // Fetch active expenses.  Each query falls back to the local copy when offline.
+    const { data: expData, error: expErr } = await selectWithCache('expenses', () => supa
         .from('expenses')
         // Load only active expenses (where handover_id IS NULL)
         .select('*')
+        .eq('household_id', currentHouseholdId)
         .is('handover_id', null)
-        .order('date', { ascending: true });
+        .is('deleted_at', null)
+        .order('date', { ascending: true }), { filter: exp => !exp.handover_id && !exp.deleted_at, sortBy: 'date' });
     if (expErr) {
         console.error('Error loading expenses:', expErr);
         expenses = [];
     } else {
-        expenses = expData || [];
+        expenses = (expData || []).map(row => fromStoredRow('expenses', row));
     }
     // Fetch handovers
-    const { data: hoData, error: hoErr } = await supa
+    const { data: hoData, error: hoErr } = await selectWithCache('handovers', () => supa
         .from('handovers')
         .select('*')
-        .order('start_date', { ascending: true });
+        .eq('household_id', currentHouseholdId)
+        .order('start_date', { ascending: true }), { sortBy: 'start_date' });
     if (hoErr) {
         console.error('Error loading handovers:', hoErr);
         handovers = [];
     } else {
-        // Normalize handover objects so the code can refer to `.start` and `.end` properties.
-        // When loading from Supabase, the columns are named `start_date` and `end_date`.
-        handovers = (hoData || []).map(ho => {
-            return {
-                ...ho,
-                start: ho.start || ho.start_date,
-                end: ho.end || ho.end_date
-            };
-        });
+        handovers = (hoData || []).map(normalizeHandover);
     }
 
-    // Fetch archived expenses (those belonging to past handovers) and group them
-    const { data: archivedData, error: archErr } = await supa
-        .from('expenses')
+    // Archived expenses are fetched per handover when History opens it
+    archivedExpensesByHandover = {};
+    archiveLoadState = {};
+    rangeReportCache.clear();
+    invalidateArchivedSearch();
+
+    // Fetch settlement transfers for all handovers
+    const { data: setData, error: setErr } = await selectWithCache('settlements', () => supa
+        .from('settlements')
         .select('*')
-        .not('handover_id', 'is', null)
-        .order('date', { ascending: true });
-    if (archErr) {
-        console.error('Error loading archived expenses:', archErr);
-        archivedExpensesByHandover = {};
+        .eq('household_id', currentHouseholdId)
+        .order('created_at', { ascending: true }), { sortBy: 'created_at' });
+    if (setErr) {
+        console.error('Error loading settlements:', setErr);
+        settlements = [];
     } else {
-        archivedExpensesByHandover = {};
-        (archivedData || []).forEach(exp => {
-            const hid = exp.handover_id;
-            if (!archivedExpensesByHandover[hid]) archivedExpensesByHandover[hid] = [];
-            archivedExpensesByHandover[hid].push(exp);
-        });
+        settlements = (setData || []).map(row => fromStoredRow('settlements', row));
     }
 }
 
+// Normalize a handover row so the code can refer to `.start` and `.end`
+// properties.  When loading from Supabase, the columns are named
+// `start_date` and `end_date`.  Settlement transactions are normalized to
+// { from, to, amount } objects and member IDs are replaced by names.  The
+// summary comes from the handover's snapshot when it has one, so it lists
+// exactly the members who took part.
+function normalizeHandover(ho) {
+    return {
+        ...ho,
+        start: ho.start || ho.start_date,
+        end: ho.end || ho.end_date,
+        summary: ho.snapshot ? snapshotSummary(ho.snapshot) : mapObjectKeys(ho.summary || {}, memberName),
+        transactions: (ho.transactions || []).map(normalizeTransaction)
+            .map(t => ({ ...t, from: memberName(t.from), to: memberName(t.to) }))
+    };
+}
+
+// Per‑member { paid, share } from a handover snapshot, keyed by current
+// member name (or the name at the time, for members since purged).
+function snapshotSummary(snapshot) {
+    const summary = {};
+    (snapshot.roster || []).forEach(r => {
+        summary[memberNamesById[r.id] || r.name] = { paid: parseFloat(r.paid) || 0, share: parseFloat(r.share) || 0 };
+    });
+    return summary;
+}
+
+// 'ok' or 'changed' by comparing the checksum of the handover's archived
+// expenses, kept current on the server (030), with the one in its snapshot.
+// null when the handover has no snapshot or no checksum yet.
+function handoverIntegrity(handover) {
+    if (!handover.snapshot || !handover.snapshot.checksum || !handover.current_checksum) return null;
+    return handover.current_checksum === handover.snapshot.checksum ? 'ok' : 'changed';
+}
+
+// Reload everything from the database and re‑render all views.  Used after
+// offline changes are synced and when live updates reconnect.
+async function reloadAllData() {
+    await loadMembersAndCategories();
+    await loadPaymentMethods();
+    await loadData();
+    await refreshAfterListChange();
+}
+
 // Load members and categories from Supabase.  This function should be called
 // once on application startup and whenever the lists need to be refreshed.
 // It populates both the arrays of names and their corresponding record
 // objects.  Members and categories are ordered alphabetically by name.
+// Records in the trash are only kept for the ID → name lookups.
 async function loadMembersAndCategories() {
     await initSupabase();
     // Load members
     try {
-        const { data: memData, error: memErr } = await supa
+        const { data: memData, error: memErr } = await selectWithCache('members', () => supa
             .from('members')
             .select('*')
-            .order('name', { ascending: true });
+            .eq('household_id', currentHouseholdId)
+            .order('name', { ascending: true }), { sortBy: 'name' });
         if (memErr) {
             console.error('Error loading members:', memErr);
             members = [];
             memberRecords = [];
+            memberNamesById = {};
         } else {
-            memberRecords = memData || [];
+            memberNamesById = Object.fromEntries((memData || []).map(m => [m.id, m.name]));
+            memberRecords = (memData || []).filter(m => !m.deleted_at);
             members = memberRecords.map(m => m.name);
         }
     } catch (err) {
         console.error('Unexpected error loading members:', err);
         members = [];
         memberRecords = [];
+        memberNamesById = {};
     }
     // Load categories
     try {
-        const { data: catData, error: catErr } = await supa
+        const { data: catData, error: catErr } = await selectWithCache('categories', () => supa
             .from('categories')
             .select('*')
-            .order('name', { ascending: true });
+            .eq('household_id', currentHouseholdId)
+            .order('name', { ascending: true }), { sortBy: 'name' });
         if (catErr) {
             console.error('Error loading categories:', catErr);
             categories = [];
             categoryRecords = [];
+            categoryNamesById = {};
         } else {
-            categoryRecords = catData || [];
+            categoryNamesById = Object.fromEntries((catData || []).map(c => [c.id, c.name]));
+            categoryRecords = (catData || []).filter(c => !c.deleted_at);
             categories = categoryRecords.map(c => c.name);
         }
     } catch (err) {
         console.error('Unexpected error loading categories:', err);
         categories = [];
         categoryRecords = [];
+        categoryNamesById = {};
     }
 }
 
-// Render the settings page lists of members and categories.  It clears
-// existing list items and recreates them with edit and delete buttons.
-function renderSettings() {
-    const membersList = document.getElementById('members-list');
-    const categoriesList = document.getElementById('categories-list');
-    if (!membersList || !categoriesList) return;
-    // Clear existing entries
-    membersList.innerHTML = '';
-    categoriesList.innerHTML = '';
-    // Helper to create list items with edit/delete actions
-    function createListItem(name, onEdit, onDelete) {
-        const li = document.createElement('li');
-        li.className = 'list-group-item d-flex justify-content-between align-items-center';
-        const span = document.createElement('span');
-        span.textContent = name;
-        const actions = document.createElement('div');
-        actions.className = 'btn-group btn-group-sm';
-        const editBtn = document.createElement('button');
-        editBtn.className = 'btn btn-outline-secondary';
-        editBtn.textContent = 'Edit';
-        editBtn.addEventListener('click', () => onEdit(name));
-        const deleteBtn = document.createElement('button');
+// Load the household's payment methods and accounts.
+async function loadPaymentMethods() {
+    await initSupabase();
+    try {
+        const { data, error } = await selectWithCache('payment_methods', () => supa
+            .from('payment_methods')
+            .select('*')
+            .eq('household_id', currentHouseholdId)
+            .order('name', { ascending: true }), { sortBy: 'name' });
+        if (error) {
+            console.error('Error loading payment methods:', error);
+            paymentMethods = [];
+            paymentMethodRecords = [];
+            paymentMethodNamesById = {};
+        } else {
+            paymentMethodNamesById = Object.fromEntries((data || []).map(pm => [pm.id, pm.name]));
+            paymentMethodRecords = data || [];
+            paymentMethods = paymentMethodRecords.map(pm => pm.name);
+        }
+    } catch (err) {
+        console.error('Unexpected error loading payment methods:', err);
+        paymentMethods = [];
+        paymentMethodRecords = [];
+        paymentMethodNamesById = {};
+    }
+}
+
+// -----------------------------
+// Member and category references
+// -----------------------------
+//
+// The database refers to members, categories and payment methods by ID
+// (`payer_id`, `category_id`, `responsible_ids`, split values keyed by
+// member ID, settlement `from_member_id`/`to_member_id`,
+// `payment_method_id`), so renaming one is a single update.  The rest of
+// the app works with names; rows are converted when they are written
+// (runMutation) and when they are read.
+
+// Tables whose rows refer to members or categories.
+const referenceTables = ['expenses', 'recurring_expenses', 'import_rules', 'settlements'];
+
+function memberName(id) {
+    if (!id || id === 'All') return id;
+    return memberNamesById[id] || id;
+}
+
+function categoryName(id) {
+    return id ? categoryNamesById[id] || id : id;
+}
+
+function paymentMethodName(id) {
+    return id ? paymentMethodNamesById[id] || id : id;
+}
+
+// Look up the ID for a name.  Members in the list win over a trashed one
+// with the same name.
+function memberIdByName(name) {
+    if (!name || name === 'All') return name;
+    const rec = memberRecords.find(m => m.name === name);
+    if (rec) return rec.id;
+    return Object.keys(memberNamesById).find(id => memberNamesById[id] === name) || null;
+}
+
+function categoryIdByName(name) {
+    if (!name) return null;
+    const rec = categoryRecords.find(c => c.name === name);
+    if (rec) return rec.id;
+    return Object.keys(categoryNamesById).find(id => categoryNamesById[id] === name) || null;
+}
+
+function paymentMethodIdByName(name) {
+    if (!name) return null;
+    const rec = paymentMethodRecords.find(pm => pm.name === name);
+    return rec ? rec.id : null;
+}
+
+// Rename the keys of an object (split values, handover summaries).
+function mapObjectKeys(obj, mapKey) {
+    if (!obj || typeof obj !== 'object') return obj;
+    return Object.fromEntries(Object.entries(obj).map(([key, value]) => [mapKey(key), value]));
+}
+
+// Convert a row (or the changed fields of one) from names to the stored IDs.
+function toStoredRow(table, row) {
+    if (!referenceTables.includes(table) || !row) return row;
+    const stored = { ...row };
+    if ('payer' in row) {
+        stored.payer_id = memberIdByName(row.payer);
+        delete stored.payer;
+    }
+    if ('category' in row) {
+        stored.category_id = categoryIdByName(row.category);
+        delete stored.category;
+    }
+    if ('payment' in row) {
+        stored.payment_method_id = paymentMethodIdByName(row.payment);
+        delete stored.payment;
+    }
+    if ('responsible' in row) {
+        stored.responsible_ids = row.responsible ? row.responsible.map(memberIdByName) : row.responsible;
+        delete stored.responsible;
+    }
+    if ('split_values' in row) stored.split_values = mapObjectKeys(row.split_values, memberIdByName);
+    if ('items' in row && row.items) {
+        stored.items = row.items.map(({ category, responsible, ...item }) => ({
+            ...item,
+            category_id: categoryIdByName(category),
+            responsible_ids: responsible.map(memberIdByName)
+        }));
+    }
+    if ('from_member' in row) {
+        stored.from_member_id = memberIdByName(row.from_member);
+        delete stored.from_member;
+    }
+    if ('to_member' in row) {
+        stored.to_member_id = memberIdByName(row.to_member);
+        delete stored.to_member;
+    }
+    return stored;
+}
+
+// Convert a stored row to the names the app works with.
+function fromStoredRow(table, row) {
+    if (!referenceTables.includes(table) || !row) return row;
+    const hydrated = { ...row };
+    if ('payer_id' in row) {
+        hydrated.payer = memberName(row.payer_id);
+        delete hydrated.payer_id;
+    }
+    if ('category_id' in row) {
+        hydrated.category = categoryName(row.category_id);
+        delete hydrated.category_id;
+    }
+    if ('payment_method_id' in row) {
+        hydrated.payment = paymentMethodName(row.payment_method_id);
+        delete hydrated.payment_method_id;
+    }
+    if ('responsible_ids' in row) {
+        hydrated.responsible = row.responsible_ids ? row.responsible_ids.map(memberName) : row.responsible_ids;
+        delete hydrated.responsible_ids;
+    }
+    if ('split_values' in row) hydrated.split_values = mapObjectKeys(row.split_values, memberName);
+    if ('items' in row && row.items) {
+        hydrated.items = row.items.map(({ category_id, responsible_ids, ...item }) => ({
+            ...item,
+            category: categoryName(category_id),
+            responsible: (responsible_ids || []).map(memberName)
+        }));
+    }
+    if ('from_member_id' in row) {
+        hydrated.from_member = memberName(row.from_member_id);
+        delete hydrated.from_member_id;
+    }
+    if ('to_member_id' in row) {
+        hydrated.to_member = memberName(row.to_member_id);
+        delete hydrated.to_member_id;
+    }
+    return hydrated;
+}
+
+// Show a member's new name everywhere: current and archived expenses,
+// recurring templates, import rules, settlements and past handovers.
+function renameMemberInMemory(oldName, newName) {
+    const rename = name => (name === oldName ? newName : name);
+    const rows = [...expenses, ...Object.values(archivedExpensesByHandover).flat(), ...archivedSearch.rows, ...recurringTemplates, ...importRules];
+    rows.forEach(row => {
+        if (row.payer) row.payer = rename(row.payer);
+        if (row.responsible) row.responsible = row.responsible.map(rename);
+        renameSplitKey(row, oldName, newName);
+        (row.items || []).forEach(item => (item.responsible = item.responsible.map(rename)));
+    });
+    settlements.forEach(st => {
+        st.from_member = rename(st.from_member);
+        st.to_member = rename(st.to_member);
+    });
+    handovers.forEach(ho => {
+        ho.summary = mapObjectKeys(ho.summary, rename);
+        ho.transactions = ho.transactions.map(t => ({ ...t, from: rename(t.from), to: rename(t.to) }));
+    });
+}
+
+function renamePaymentMethodInMemory(oldName, newName) {
+    const rows = [...expenses, ...Object.values(archivedExpensesByHandover).flat(), ...archivedSearch.rows, ...recurringTemplates];
+    rows.forEach(row => {
+        if (row.payment === oldName) row.payment = newName;
+    });
+}
+
+function renameCategoryInMemory(oldName, newName) {
+    const rows = [...expenses, ...Object.values(archivedExpensesByHandover).flat(), ...archivedSearch.rows, ...recurringTemplates, ...importRules];
+    rows.forEach(row => {
+        if (row.category === oldName) row.category = newName;
+        (row.items || []).forEach(item => {
+            if (item.category === oldName) item.category = newName;
+        });
+    });
+}
+
+// -----------------------------
+// Category hierarchy
+// -----------------------------
+//
+// A category can sit under a top-level parent ("Groceries" under "Food");
+// the hierarchy is two levels deep.  Each category stores its chart colour
+// and an optional icon.  Names without a category row (e.g. deleted ones
+// seen in history) get a colour derived from the name, so it stays the same
+// between renders.
+
+// Chart colours offered to new categories, in order.
+const categoryPalette = ['#e05252', '#e0bd52', '#99e052', '#52e075', '#52e0e0', '#5275e0', '#9952e0', '#e052bd'];
+
+function categoryRecord(name) {
+    return categoryRecords.find(c => c.name === name) || null;
+}
+
+// The parent's name, or null for a top-level category.
+function categoryParent(name) {
+    const rec = categoryRecord(name);
+    if (!rec || !rec.parent_id) return null;
+    const parent = categoryRecords.find(c => c.id === rec.parent_id);
+    return parent ? parent.name : null;
+}
+
+function categoryChildren(name) {
+    const id = categoryIdByName(name);
+    return id ? categoryRecords.filter(c => c.parent_id === id).map(c => c.name) : [];
+}
+
+// Top-level categories, each followed by its subcategories.
+function orderedCategories() {
+    return categories.filter(name => !categoryParent(name)).flatMap(name => [name, ...categoryChildren(name)]);
+}
+
+function categoryColor(name) {
+    const rec = categoryRecord(name);
+    if (rec && rec.color) return rec.color;
+    let hash = 0;
+    for (const ch of String(name)) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+    return categoryPalette[hash % categoryPalette.length];
+}
+
+// The name with the category's icon in front.
+function categoryLabel(name) {
+    const rec = categoryRecord(name);
+    return rec && rec.icon ? `${rec.icon} ${name}` : name;
+}
+
+// The first palette colour no category uses yet.
+function nextCategoryColor() {
+    const used = categoryRecords.map(c => (c.color || '').toLowerCase());
+    return categoryPalette.find(color => !used.includes(color)) || categoryPalette[categoryRecords.length % categoryPalette.length];
+}
+
+// Roll category totals up for a chart.  Without `parent` every top-level
+// category includes its subcategories; with one, the chart shows that
+// parent's subcategories plus what was booked on the parent itself.
+function categoryChartData(totals, parent) {
+    const rolled = {};
+    Object.entries(totals).forEach(([name, value]) => {
+        const key = parent ? (name === parent || categoryParent(name) === parent ? name : null) : categoryParent(name) || name;
+        if (key !== null && value > 0) rolled[key] = (rolled[key] || 0) + value;
+    });
+    const keys = Object.keys(rolled);
+    return {
+        keys,
+        labels: keys.map(name => (name === parent ? `${categoryLabel(name)} (general)` : categoryLabel(name))),
+        data: keys.map(name => rolled[name]),
+        colors: keys.map(categoryColor)
+    };
+}
+
+// Draw (or update) a category pie chart and return it.  `view` holds the
+// parent the chart is drilled down to; clicking a slice with subcategories
+// drills into it and calls `rerender`, and the `upButtonId` button (wired
+// in initCategoryChartNavigation) goes back to the top level.
+function renderCategoryPie(chart, canvasId, totals, view, title, upButtonId, rerender) {
+    if (view.parent && categoryChildren(view.parent).length === 0) view.parent = null;
+    const { keys, labels, data, colors } = categoryChartData(totals, view.parent);
+    view.keys = keys;
+    const text = view.parent ? `${title}: ${view.parent}` : title;
+    document.getElementById(upButtonId).classList.toggle('d-none', !view.parent);
+    if (chart) {
+        chart.data.labels = labels;
+        chart.data.datasets[0].data = data;
+        chart.data.datasets[0].backgroundColor = colors;
+        chart.options.plugins.title.text = text;
+        chart.update();
+        return chart;
+    }
+    return new Chart(document.getElementById(canvasId), {
+        type: 'pie',
+        data: {
+            labels: labels,
+            datasets: [{ data: data, backgroundColor: colors }]
+        },
+        options: {
+            responsive: true,
+            onClick: (event, elements) => {
+                const name = elements.length > 0 ? view.keys[elements[0].index] : null;
+                if (view.parent || !name || categoryChildren(name).length === 0) return;
+                view.parent = name;
+                rerender();
+            },
+            plugins: {
+                legend: { position: 'bottom' },
+                title: { display: true, text }
+            }
+        }
+    });
+}
+
+// -----------------------------
+// Archived expenses
+// -----------------------------
+//
+// Expenses of past handovers are loaded on demand: a handover's expenses
+// are fetched a page at a time when its History entry is opened and kept
+// in archivedExpensesByHandover, so opening it again does not refetch.
+// The custom History report gets its totals from the server for the
+// selected range only.
+
+const ARCHIVE_PAGE_SIZE = 100;
+
+// Per handover: { loading, complete, fromCache } for its archived
+// expenses.  `loading` holds the request in flight, so callers that need
+// the page can wait for it; `fromCache` marks rows read from the local
+// database while offline, which are fetched again once online.
+let archiveLoadState = {};
+
+// Server range reports by "start|end".  Cleared whenever expenses change.
+const rangeReportCache = new Map();
+
+// Fetch the first (or, with `more`, the next) page of a handover's
+// expenses.  Pages already loaded are not fetched again; a page already
+// being fetched is waited for.
+async function loadHandoverExpenses(handoverId, more = false) {
+    if (!archiveLoadState[handoverId]) archiveLoadState[handoverId] = { loading: null, complete: false, fromCache: false };
+    const state = archiveLoadState[handoverId];
+    if (state.loading) return state.loading;
+    const refetch = state.fromCache && navigator.onLine;
+    if (!refetch && (state.complete || (!more && archivedExpensesByHandover[handoverId]))) return;
+    state.loading = fetchHandoverPage(handoverId, state, refetch);
+    try {
+        await state.loading;
+    } finally {
+        state.loading = null;
+    }
+}
+
+async function fetchHandoverPage(handoverId, state, refetch) {
+    try {
+        const loaded = refetch ? [] : archivedExpensesByHandover[handoverId] || [];
+        const { data, error, fromCache } = await selectWithCache('expenses', () => supa
+            .from('expenses')
+            .select('*')
+            .eq('household_id', currentHouseholdId)
+            .eq('handover_id', handoverId)
+            .is('deleted_at', null)
+            .order('date', { ascending: true })
+            .order('id', { ascending: true })
+            .range(loaded.length, loaded.length + ARCHIVE_PAGE_SIZE - 1),
+        { filter: exp => exp.handover_id === handoverId && !exp.deleted_at, sortBy: 'date', partial: true });
+        if (error) {
+            console.error('Error loading archived expenses:', error);
+            return;
+        }
+        const rows = data.map(row => fromStoredRow('expenses', row));
+        // Offline the cached part of the handover comes back at once; it may
+        // not be all of it, so it is never marked complete
+        archivedExpensesByHandover[handoverId] = fromCache ? rows : [...loaded, ...rows];
+        state.fromCache = !!fromCache;
+        state.complete = !fromCache && rows.length < ARCHIVE_PAGE_SIZE;
+    } catch (err) {
+        console.error('Unexpected error loading archived expenses:', err);
+    }
+}
+
+// Load every page of a handover's expenses (statements, exports, reopening).
+async function loadAllHandoverExpenses(handoverId) {
+    await loadHandoverExpenses(handoverId);
+    while (archiveLoadState[handoverId] && !archiveLoadState[handoverId].complete) {
+        const before = (archivedExpensesByHandover[handoverId] || []).length;
+        await loadHandoverExpenses(handoverId, true);
+        // Stop on errors rather than retrying forever
+        if ((archivedExpensesByHandover[handoverId] || []).length === before) break;
+    }
+    return archivedExpensesByHandover[handoverId] || [];
+}
+
+// Fetch all archived expenses dated from `start` to `end` (either may be
+// empty for an open end), page by page.
+async function fetchArchivedRange(start, end) {
+    const inRange = exp => !!exp.handover_id && !exp.deleted_at && (!start || exp.date >= start) && (!end || exp.date <= end);
+    const list = [];
+    for (;;) {
+        const { data, error, fromCache } = await selectWithCache('expenses', () => {
+            let query = supa
+                .from('expenses')
+                .select('*')
+                .eq('household_id', currentHouseholdId)
+                .not('handover_id', 'is', null)
+                .is('deleted_at', null);
+            if (start) query = query.gte('date', start);
+            if (end) query = query.lte('date', end);
+            return query
+                .order('date', { ascending: true })
+                .order('id', { ascending: true })
+                .range(list.length, list.length + ARCHIVE_PAGE_SIZE - 1);
+        }, { filter: inRange, sortBy: 'date', partial: true });
+        if (error) throw error;
+        const rows = data.map(row => fromStoredRow('expenses', row));
+        if (fromCache) return rows;
+        list.push(...rows);
+        if (rows.length < ARCHIVE_PAGE_SIZE) return list;
+    }
+}
+
+// Server totals for the archived expenses in a range (see
+// expense_range_report in the migrations), cached per range.
+async function fetchRangeReport(start, end) {
+    const key = `${start}|${end}`;
+    if (rangeReportCache.has(key)) return rangeReportCache.get(key);
+    const { data, error } = await supa.rpc('expense_range_report', {
+        hid: currentHouseholdId,
+        from_date: start || null,
+        to_date: end || null
+    });
+    if (error) throw error;
+    rangeReportCache.set(key, data);
+    return data;
+}
+
+// Whether any archived expense matches a query filter, e.g. refers to a
+// member.  Not all archived expenses are loaded, so the server is asked;
+// offline only the loaded ones are checked with `test`.
+async function usedInArchive(applyFilter, test) {
+    if (navigator.onLine) {
+        const { count, error } = await applyFilter(supa
+            .from('expenses')
+            .select('id', { count: 'exact', head: true })
+            .eq('household_id', currentHouseholdId)
+            .not('handover_id', 'is', null)
+            .is('deleted_at', null));
+        if (!error) return count > 0;
+        console.error('Error checking archived expenses:', error);
+    }
+    return Object.values(archivedExpensesByHandover).some(list => list.some(test));
+}
+
+// Fill a handover's expense table in History from the pages loaded so far.
+function renderHandoverExpenses(handoverId) {
+    const container = document.querySelector(`.handover-expenses[data-handover-id="${handoverId}"]`);
+    if (!container) return;
+    const list = archivedExpensesByHandover[handoverId];
+    const state = archiveLoadState[handoverId] || {};
+    if (!list) {
+        container.innerHTML = `<p class="text-muted">${state.loading ? 'Loading expenses…' : 'Expenses could not be loaded.'}</p>`;
+        return;
+    }
+    const rows = list.map(exp => `<tr><td>${exp.date}</td><td>${escapeHTML(exp.title)}</td><td>${formatMoney(exp.amount, expenseCurrency(exp))}</td><td>${escapeHTML(exp.category)}</td><td>${escapeHTML(exp.payer)}</td><td>${escapeHTML(formatResponsible(exp))}</td><td>${escapeHTML(exp.payment)}</td></tr>`).join('');
+    container.innerHTML = `
+        <table class="table table-sm">
+            <thead class="table-light">
+                <tr>
+                    <th>Date</th><th>Title</th><th>Amount</th><th>Category</th><th>Payer</th><th>Responsible</th><th>Payment</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>` +
+        (state.complete ? '' : `<button type="button" class="btn btn-sm btn-outline-secondary load-more-archived">${state.loading ? 'Loading…' : 'Load more expenses'}</button>`);
+    const moreBtn = container.querySelector('.load-more-archived');
+    if (moreBtn) moreBtn.addEventListener('click', () => showHandoverExpenses(handoverId, true));
+}
+
+// Load (more of) a handover's expenses and show them.
+async function showHandoverExpenses(handoverId, more = false) {
+    const pending = loadHandoverExpenses(handoverId, more);
+    renderHandoverExpenses(handoverId);
+    await pending;
+    renderHandoverExpenses(handoverId);
+}
+
+// -----------------------------
+// Live updates
+// -----------------------------
+
+// Tables whose changes are pushed to every open copy of the app.
+const realtimeTables = ['expenses', 'handovers', 'members', 'categories', 'settlements', 'payment_methods'];
+
+// Supabase channel carrying those changes, and whether it has connected
+// before (a later reconnect may have missed changes).
+let realtimeChannel = null;
+let realtimeConnected = false;
+
+// Change events also arrive for this client's own writes.  The
+// `updated_at` each write returned is remembered by row ID so those echoes
+// can be ignored; an event with any other `updated_at` is someone else's
+// change, even right after ours.
+const localWriteVersions = new Map();
+
+// IDs of rows someone else changed recently, highlighted while they show.
+const REMOTE_HIGHLIGHT_MS = 5000;
+const remoteChangeTimes = new Map();
+
+// Views waiting to be re‑rendered.  A rename or handover produces a burst
+// of events, so rendering is batched.
+const pendingRealtimeViews = new Set();
+let realtimeRenderTimer = null;
+
+// Remember the rows a write of this client returned.
+function noteLocalWrite(rows) {
+    rows.forEach(row => {
+        if (row && row.id && row.updated_at) localWriteVersions.set(row.id, row.updated_at);
+    });
+}
+
+// Whether a changed row is the version this client wrote.  An echo that
+// arrives before the write's response is applied like any other change;
+// it holds the same data.
+function isLocalEcho(row) {
+    if (!row || !row.updated_at || localWriteVersions.get(row.id) !== row.updated_at) return false;
+    localWriteVersions.delete(row.id);
+    return true;
+}
+
+function isRecentRemoteChange(id) {
+    const time = remoteChangeTimes.get(id);
+    return time !== undefined && Date.now() - time < REMOTE_HIGHLIGHT_MS;
+}
+
+// Insert or replace a row in `list` by ID, keeping the list ordered by the
+// `sortBy` field.
+function upsertById(list, row, sortBy) {
+    const idx = list.findIndex(item => item.id === row.id);
+    if (idx >= 0) list[idx] = row;
+    else list.push(row);
+    list.sort((a, b) => String(a[sortBy] || '').localeCompare(String(b[sortBy] || '')));
+}
+
+function removeById(list, id) {
+    const idx = list.findIndex(item => item.id === id);
+    if (idx >= 0) list.splice(idx, 1);
+}
+
+// Merge an expense change into the active list or its handover's archive
+// (if that handover's expenses are loaded).  The edit modal tracks its
+// expense by index, so the index is re‑pointed (or the modal closed if the
+// expense is gone from the active list).
+function applyExpenseChange(id, row) {
+    const editing = currentEditIndex !== null ? expenses[currentEditIndex] : null;
+    removeById(expenses, id);
+    Object.values(archivedExpensesByHandover).forEach(list => removeById(list, id));
+    rangeReportCache.clear();
+    invalidateArchivedSearch();
+    if (row && row.handover_id) {
+        if (archivedExpensesByHandover[row.handover_id]) upsertById(archivedExpensesByHandover[row.handover_id], row, 'date');
+    } else if (row) {
+        upsertById(expenses, row, 'date');
+    }
+    if (editing) {
+        currentEditIndex = expenses.findIndex(exp => exp.id === editing.id);
+        if (currentEditIndex < 0) {
+            currentEditIndex = null;
+            const modal = bootstrap.Modal.getInstance(document.getElementById('edit-modal'));
+            if (modal) modal.hide();
+            alert(`"${editing.title}" was removed or handed over by someone else.`);
+        }
+    }
+}
+
+// Merge a member or category change and rebuild the name list.
+function applyListChange(records, id, row) {
+    removeById(records, id);
+    if (row) upsertById(records, row, 'name');
+    return records.map(r => r.name);
+}
+
+// Handle one change event from the realtime channel.
+function handleRealtimeChange(payload) {
+    const deleted = payload.eventType === 'DELETE';
+    const id = deleted ? payload.old && payload.old.id : payload.new && payload.new.id;
+    // Rows moved to the trash leave the lists just like deleted ones
+    const row = deleted || payload.new.deleted_at ? null : fromStoredRow(payload.table, payload.new);
+    if (!id || (!deleted && isLocalEcho(payload.new))) return;
+    if (row) remoteChangeTimes.set(id, Date.now());
+    // A renamed member, category or payment method shows its new name everywhere
+    if (!deleted && ['members', 'categories', 'payment_methods'].includes(payload.table)) {
+        const names = { members: memberNamesById, categories: categoryNamesById, payment_methods: paymentMethodNamesById }[payload.table];
+        const oldName = names[id];
+        names[id] = payload.new.name;
+        if (oldName && oldName !== payload.new.name) {
+            if (payload.table === 'members') renameMemberInMemory(oldName, payload.new.name);
+            else if (payload.table === 'categories') renameCategoryInMemory(oldName, payload.new.name);
+            else renamePaymentMethodInMemory(oldName, payload.new.name);
+        }
+    }
+    switch (payload.table) {
+        case 'expenses':
+            applyExpenseChange(id, row);
+            scheduleRealtimeRender(['expenses', 'history']);
+            break;
+        case 'handovers':
+            removeById(handovers, id);
+            if (row) upsertById(handovers, normalizeHandover(row), 'start_date');
+            scheduleRealtimeRender(['expenses', 'history']);
+            break;
+        case 'settlements':
+            removeById(settlements, id);
+            if (row) upsertById(settlements, row, 'created_at');
+            scheduleRealtimeRender(['expenses', 'history']);
+            break;
+        case 'members':
+            members = applyListChange(memberRecords, id, row);
+            scheduleRealtimeRender(['lists']);
+            break;
+        case 'categories':
+            categories = applyListChange(categoryRecords, id, row);
+            scheduleRealtimeRender(['lists']);
+            break;
+        case 'payment_methods':
+            paymentMethods = applyListChange(paymentMethodRecords, id, row);
+            scheduleRealtimeRender(['lists']);
+            break;
+    }
+    // Keep the offline copy in step
+    localApplyMutation(deleted
+        ? { table: payload.table, action: 'delete', id }
+        : { table: payload.table, action: 'upsert', rows: [payload.new] }, deleted ? null : [payload.new]);
+}
+
+function scheduleRealtimeRender(views) {
+    views.forEach(view => pendingRealtimeViews.add(view));
+    if (!realtimeRenderTimer) realtimeRenderTimer = setTimeout(flushRealtimeRender, 150);
+}
+
+// Re‑render the views touched by the changes received since the last render.
+function flushRealtimeRender() {
+    realtimeRenderTimer = null;
+    const views = new Set(pendingRealtimeViews);
+    pendingRealtimeViews.clear();
+    // Member and category changes affect every select, so redo everything
+    if (views.has('lists')) {
+        refreshAfterListChange();
+        return;
+    }
+    if (views.has('expenses')) {
+        renderSummary();
+        renderExpensesList();
+        renderCategoryChart(document.getElementById('chart-person-select').value || 'All');
+    }
+    if (views.has('history')) {
+        renderHistory();
+        renderHistoryReport();
+    }
+}
+
+// Subscribe to inserts, updates and deletes on the shared tables.
+function subscribeToChanges() {
+    if (realtimeChannel || !supa) return;
+    realtimeChannel = supa.channel(`household-${currentHouseholdId}`);
+    const filter = `household_id=eq.${currentHouseholdId}`;
+    realtimeTables.forEach(table => {
+        realtimeChannel
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table, filter }, handleRealtimeChange)
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table, filter }, handleRealtimeChange)
+            // Delete events only carry the primary key and cannot be
+            // filtered; IDs from other households simply match nothing.
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table }, handleRealtimeChange);
+    });
+    realtimeChannel.subscribe(status => {
+        if (status !== 'SUBSCRIBED') return;
+        // Changes made while the connection was down were not delivered
+        if (realtimeConnected) reloadAllData();
+        realtimeConnected = true;
+    });
+}
+
+// Render the settings page lists of members and categories.  It clears
+// existing list items and recreates them with edit and delete buttons.
+function renderSettings() {
+    const membersList = document.getElementById('members-list');
+    const categoriesList = document.getElementById('categories-list');
+    if (!membersList || !categoriesList) return;
+    // Clear existing entries
+    membersList.innerHTML = '';
+    categoriesList.innerHTML = '';
+    // Helper to create list items with edit/delete actions (admins only)
+    function createListItem(name, onEdit, onDelete) {
+        const li = document.createElement('li');
+        li.className = 'list-group-item d-flex justify-content-between align-items-center';
+        const span = document.createElement('span');
+        span.textContent = name;
+        const actions = document.createElement('div');
+        actions.className = 'btn-group btn-group-sm';
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-outline-secondary';
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => onEdit(name));
+        const deleteBtn = document.createElement('button');
         deleteBtn.className = 'btn btn-outline-danger';
         deleteBtn.textContent = 'Delete';
         deleteBtn.addEventListener('click', () => onDelete(name));
@@ -195,94 +1711,476 @@ function renderSettings() {
         actions.appendChild(deleteBtn);
         li.appendChild(span);
         li.appendChild(actions);
+        if (!isAdmin()) actions.classList.add('d-none');
         return li;
     }
-    // Populate members list
+    // Populate members list.  Members linked to a login are marked; the
+    // others get an Invite button.  Admins set each member's role and
+    // record when someone moves out (or back in).
     members.forEach(name => {
         const li = createListItem(name, editMember, deleteMember);
+        const memRec = memberRecords.find(m => m.name === name);
+        if (memRec && (memRec.moved_in || memRec.moved_out)) {
+            const period = document.createElement('small');
+            period.className = 'text-muted ms-2';
+            period.textContent = memRec.moved_out
+                ? `${memRec.moved_in ? formatDateDisplay(memRec.moved_in) : ''} – ${formatDateDisplay(memRec.moved_out)}`
+                : `since ${formatDateDisplay(memRec.moved_in)}`;
+            li.firstChild.appendChild(period);
+        }
+        if (memRec && memRec.moved_out && memRec.moved_out < todayISO()) {
+            const movedBadge = document.createElement('span');
+            movedBadge.className = 'badge bg-warning text-dark ms-2';
+            movedBadge.textContent = 'Moved out';
+            li.firstChild.appendChild(movedBadge);
+        }
+        if (memRec && isAdmin()) {
+            const moveBtn = document.createElement('button');
+            moveBtn.className = 'btn btn-outline-secondary';
+            moveBtn.textContent = memRec.moved_out ? 'Move back in' : 'Move out';
+            moveBtn.addEventListener('click', () => (memRec.moved_out ? moveMemberBackIn(name) : moveMemberOut(name)));
+            li.lastChild.prepend(moveBtn);
+        }
+        if (memRec && isAdmin()) {
+            const roleSelect = document.createElement('select');
+            roleSelect.className = 'form-select form-select-sm w-auto ms-auto me-2';
+            roleSelect.setAttribute('aria-label', `Role of ${name}`);
+            Object.entries(memberRoles).forEach(([value, label]) => {
+                const opt = document.createElement('option');
+                opt.value = value;
+                opt.textContent = label;
+                roleSelect.appendChild(opt);
+            });
+            roleSelect.value = memRec.role || 'member';
+            roleSelect.addEventListener('change', () => changeMemberRole(name, roleSelect.value));
+            li.insertBefore(roleSelect, li.lastChild);
+        } else if (memRec) {
+            const roleBadge = document.createElement('span');
+            roleBadge.className = 'badge bg-light text-dark ms-2';
+            roleBadge.textContent = memberRoles[memRec.role] || memberRoles.member;
+            li.firstChild.appendChild(roleBadge);
+        }
+        if (memRec && memRec.user_id) {
+            const badge = document.createElement('span');
+            badge.className = 'badge bg-secondary ms-2';
+            badge.textContent = memRec.user_id === currentUser.id ? 'You' : 'Has login';
+            li.firstChild.appendChild(badge);
+        } else if (memRec && isAdmin()) {
+            const inviteBtn = document.createElement('button');
+            inviteBtn.className = 'btn btn-outline-primary';
+            inviteBtn.textContent = 'Invite';
+            inviteBtn.addEventListener('click', () => inviteMember(name));
+            li.lastChild.prepend(inviteBtn);
+        }
         membersList.appendChild(li);
     });
-    // Populate categories list
-    categories.forEach(name => {
+    // Populate categories list, subcategories under their parent.  Admins
+    // set each category's colour and parent in place.
+    orderedCategories().forEach(name => {
         const li = createListItem(name, editCategory, deleteCategory);
+        const catRec = categoryRecord(name);
+        const parent = categoryParent(name);
+        li.firstChild.textContent = categoryLabel(name);
+        li.firstChild.classList.add('me-auto');
+        if (parent) li.firstChild.classList.add('ps-4');
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'form-control form-control-color form-control-sm me-2';
+        color.value = categoryColor(name);
+        color.disabled = !isAdmin();
+        color.setAttribute('aria-label', `Colour of ${name}`);
+        color.addEventListener('change', () => updateCategoryDetails(name, { color: color.value }));
+        li.prepend(color);
+        if (catRec && isAdmin()) {
+            const parentSelect = document.createElement('select');
+            parentSelect.className = 'form-select form-select-sm w-auto ms-auto me-2';
+            parentSelect.setAttribute('aria-label', `Parent of ${name}`);
+            parentSelect.innerHTML = '<option value="">No parent</option>';
+            categoryRecords.filter(c => !c.parent_id && c.id !== catRec.id).forEach(c => {
+                const opt = document.createElement('option');
+                opt.value = c.id;
+                opt.textContent = c.name;
+                parentSelect.appendChild(opt);
+            });
+            parentSelect.value = parent ? catRec.parent_id : '';
+            // A parent cannot itself move under another category
+            parentSelect.disabled = categoryChildren(name).length > 0;
+            parentSelect.addEventListener('change', () => updateCategoryDetails(name, { parent_id: parentSelect.value || null }));
+            li.insertBefore(parentSelect, li.lastChild);
+            const iconBtn = document.createElement('button');
+            iconBtn.className = 'btn btn-outline-secondary';
+            iconBtn.textContent = 'Icon';
+            iconBtn.addEventListener('click', () => editCategoryIcon(name));
+            li.lastChild.prepend(iconBtn);
+        }
         categoriesList.appendChild(li);
     });
+    const newParent = document.getElementById('new-category-parent');
+    if (newParent) {
+        const current = newParent.value;
+        newParent.innerHTML = '<option value="">No parent</option>';
+        categoryRecords.filter(c => !c.parent_id).forEach(c => {
+            const opt = document.createElement('option');
+            opt.value = c.id;
+            opt.textContent = c.name;
+            newParent.appendChild(opt);
+        });
+        newParent.value = current;
+        if (newParent.value !== current) newParent.value = '';
+    }
+    const newColor = document.getElementById('new-category-color');
+    if (newColor && !newColor.dataset.touched) newColor.value = nextCategoryColor();
+    // Populate payment methods and recurring templates lists
+    renderPaymentMethods(createListItem);
+    renderRecurringList();
 }
 
-// Add a new member.  Inserts into Supabase and refreshes the lists.
-async function addMember(event) {
+// Fill a select with "No owner" and the current members, by ID.
+function populateOwnerSelect(select, ownerId) {
+    select.innerHTML = '<option value="">No owner</option>';
+    memberRecords.forEach(m => {
+        const opt = document.createElement('option');
+        opt.value = m.id;
+        opt.textContent = m.name;
+        select.appendChild(opt);
+    });
+    select.value = ownerId || '';
+}
+
+// List the payment methods with their kind and owner.  Admins change the
+// owner in place.
+function renderPaymentMethods(createListItem) {
+    const list = document.getElementById('payment-methods-list');
+    if (!list) return;
+    list.innerHTML = '';
+    const kindSelect = document.getElementById('new-payment-method-kind');
+    if (kindSelect && !kindSelect.options.length) {
+        Object.entries(paymentMethodKinds).forEach(([value, label]) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = label;
+            kindSelect.appendChild(opt);
+        });
+        kindSelect.value = 'card';
+    }
+    const ownerSelect = document.getElementById('new-payment-method-owner');
+    if (ownerSelect) populateOwnerSelect(ownerSelect, ownerSelect.value);
+    const currencySelect = document.getElementById('new-payment-method-currency');
+    if (currencySelect) populateCurrencySelect('new-payment-method-currency', currencySelect.value || baseCurrency);
+    paymentMethodRecords.forEach(pm => {
+        const li = createListItem(pm.name, editPaymentMethod, deletePaymentMethod);
+        const kindBadge = document.createElement('span');
+        kindBadge.className = 'badge bg-light text-dark ms-2';
+        kindBadge.textContent = `${paymentMethodKinds[pm.kind] || pm.kind} · ${pm.currency || baseCurrency}`;
+        li.firstChild.appendChild(kindBadge);
+        if (isAdmin()) {
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm w-auto ms-auto me-2';
+            select.setAttribute('aria-label', `Owner of ${pm.name}`);
+            populateOwnerSelect(select, pm.owner_id);
+            select.addEventListener('change', () => changePaymentMethodOwner(pm.name, select.value || null));
+            li.insertBefore(select, li.lastChild);
+        } else if (pm.owner_id) {
+            const owner = document.createElement('small');
+            owner.className = 'text-muted ms-2';
+            owner.textContent = `owned by ${memberName(pm.owner_id)}`;
+            li.firstChild.appendChild(owner);
+        }
+        list.appendChild(li);
+    });
+}
+
+// Add a payment method or account from the settings form.
+async function addPaymentMethod(event) {
     event.preventDefault();
-    const input = document.getElementById('new-member-name');
-    if (!input) return;
+    const input = document.getElementById('new-payment-method-name');
     const name = input.value.trim();
     if (!name) return;
-    // Prevent duplicates
-    if (members.includes(name)) {
-        alert('Member already exists');
+    if (paymentMethods.includes(name)) {
+        alert('Payment method already exists');
         return;
     }
+    const kind = document.getElementById('new-payment-method-kind').value;
+    const ownerId = document.getElementById('new-payment-method-owner').value || null;
+    const currency = document.getElementById('new-payment-method-currency').value || baseCurrency;
     try {
-        const { data, error } = await supa.from('members').insert([{ name }]).select();
+        const { data, error } = await runMutation({ table: 'payment_methods', action: 'insert', rows: [{ name, kind, owner_id: ownerId, currency }] });
         if (error) {
-            console.error('Error adding member:', error);
-            alert('Failed to add member');
+            console.error('Error adding payment method:', error);
+            alert('Failed to add payment method');
             return;
         }
-        // Update local arrays
         if (data && data.length > 0) {
-            memberRecords.push(data[0]);
-            members.push(name);
+            paymentMethodNamesById[data[0].id] = name;
+            paymentMethods = applyListChange(paymentMethodRecords, data[0].id, data[0]);
         }
-        // Reset input
         input.value = '';
-        // Refresh settings and forms
+        document.getElementById('new-payment-method-owner').value = '';
         await refreshAfterListChange();
     } catch (err) {
-        console.error('Unexpected error adding member:', err);
-        alert('An unexpected error occurred while adding member');
+        console.error('Unexpected error adding payment method:', err);
+        alert('An unexpected error occurred while adding payment method');
     }
 }
 
-// Add a new category.  Inserts into Supabase and refreshes the lists.
-async function addCategory(event) {
-    event.preventDefault();
-    const input = document.getElementById('new-category-name');
-    if (!input) return;
-    const name = input.value.trim();
-    if (!name) return;
-    if (categories.includes(name)) {
-        alert('Category already exists');
+// Rename a payment method.  Expenses and templates refer to it by ID.
+async function editPaymentMethod(oldName) {
+    const newName = prompt(`Enter new name for ${oldName}:`, oldName);
+    if (newName === null) return;
+    const trimmed = newName.trim();
+    if (!trimmed || trimmed === oldName) return;
+    if (paymentMethods.includes(trimmed)) {
+        alert('A payment method with that name already exists');
         return;
     }
+    const pmRec = paymentMethodRecords.find(rec => rec.name === oldName);
+    if (!pmRec) return;
     try {
-        const { data, error } = await supa.from('categories').insert([{ name }]).select();
+        const { error } = await runMutation({ table: 'payment_methods', action: 'update', id: pmRec.id, values: { name: trimmed }, base: pmRec.updated_at, label: `Payment method ${oldName}` });
         if (error) {
-            console.error('Error adding category:', error);
-            alert('Failed to add category');
+            console.error('Error updating payment method name:', error);
+            alert('Failed to update payment method');
             return;
         }
-        if (data && data.length > 0) {
-            categoryRecords.push(data[0]);
-            categories.push(name);
-        }
-        input.value = '';
+        paymentMethodNamesById[pmRec.id] = trimmed;
+        renamePaymentMethodInMemory(oldName, trimmed);
+        await loadPaymentMethods();
         await refreshAfterListChange();
     } catch (err) {
-        console.error('Unexpected error adding category:', err);
-        alert('An unexpected error occurred while adding category');
+        console.error('Unexpected error editing payment method:', err);
+        alert('An unexpected error occurred while editing payment method');
     }
 }
 
-// Edit an existing member.  Prompts the user for a new name and updates
-// both the members table and any expenses referencing the old name.  If the
-// new name already exists, it aborts.  After updating, it refreshes local
-// arrays and UI.  The parameter `oldName` is the current name to edit.
-async function editMember(oldName) {
-    const newName = prompt(`Enter new name for ${oldName}:`, oldName);
-    if (newName === null) return; // Cancelled
-    const trimmed = newName.trim();
-    if (!trimmed) return;
-    if (trimmed === oldName) return;
+// Set or clear the member who owns a card or account.
+async function changePaymentMethodOwner(name, ownerId) {
+    const pmRec = paymentMethodRecords.find(rec => rec.name === name);
+    if (!pmRec || (pmRec.owner_id || null) === ownerId) return;
+    try {
+        const { data, error } = await runMutation({ table: 'payment_methods', action: 'update', id: pmRec.id, values: { owner_id: ownerId }, base: pmRec.updated_at, label: `Payment method ${name}` });
+        if (error) {
+            console.error('Error changing payment method owner:', error);
+            alert('Failed to change owner');
+            renderSettings();
+            return;
+        }
+        Object.assign(pmRec, { owner_id: ownerId }, data && data[0]);
+        renderSettings();
+        renderReconcile();
+    } catch (err) {
+        console.error('Unexpected error changing payment method owner:', err);
+        alert('An unexpected error occurred while changing owner');
+    }
+}
+
+// Delete a payment method that no expense or template uses.  Its
+// reconciled statements go with it.
+async function deletePaymentMethod(name) {
+    const usesMethod = exp => exp.payment === name;
+    const id = paymentMethodIdByName(name);
+    const usedInActive = expenses.some(usesMethod);
+    const usedInArchived = !usedInActive && await usedInArchive(query => query.eq('payment_method_id', id), usesMethod);
+    const usedInRecurring = recurringTemplates.some(usesMethod);
+    if (usedInActive || usedInArchived || usedInRecurring) {
+        alert('Cannot delete payment method because it is referenced in existing expenses, recurring expenses or history.');
+        return;
+    }
+    if (paymentMethods.length === 1) {
+        alert('The household needs at least one payment method.');
+        return;
+    }
+    const inTrashMessage = `Cannot delete payment method ${name} because expenses in the trash still use it. Delete them permanently first.`;
+    if (navigator.onLine) {
+        // Trashed expenses are not loaded but still reference the method
+        const { count, error: trashError } = await supa.from('expenses').select('id', { count: 'exact', head: true })
+            .eq('household_id', currentHouseholdId).eq('payment_method_id', id).not('deleted_at', 'is', null);
+        if (trashError) {
+            console.error('Error checking trash for payment method:', trashError);
+        } else if (count > 0) {
+            alert(inTrashMessage);
+            return;
+        }
+    }
+    if (!confirm(`Delete payment method ${name} and its reconciled statements?`)) return;
+    try {
+        const pmRec = paymentMethodRecords.find(rec => rec.id === id);
+        const { error } = await runMutation({ table: 'payment_methods', action: 'delete', id, base: pmRec && pmRec.updated_at, label: `Payment method ${name}` });
+        if (error) {
+            console.error('Error deleting payment method:', error);
+            // 23503: a foreign key still points at the method
+            alert(error.code === '23503' ? inTrashMessage : 'Failed to delete payment method');
+            return;
+        }
+        paymentMethods = applyListChange(paymentMethodRecords, id, null);
+        await refreshAfterListChange();
+    } catch (err) {
+        console.error('Unexpected error deleting payment method:', err);
+        alert('An unexpected error occurred while deleting payment method');
+    }
+}
+
+// Change a member's role.  The last admin cannot be demoted.
+async function changeMemberRole(name, role) {
+    const memRec = memberRecords.find(m => m.name === name);
+    if (!memRec || memRec.role === role) return;
+    if (memRec.role === 'admin' && memberRecords.filter(m => m.role === 'admin').length === 1) {
+        alert('The household needs at least one admin. Make someone else an admin first.');
+        renderSettings();
+        return;
+    }
+    if (memRec.id === currentMember().id && !confirm('You will lose admin rights. Continue?')) {
+        renderSettings();
+        return;
+    }
+    try {
+        const { error } = await runMutation({ table: 'members', action: 'update', id: memRec.id, values: { role }, base: memRec.updated_at, label: `Member ${name}` });
+        if (error) {
+            console.error('Error changing role:', error);
+            alert('Failed to change role');
+            renderSettings();
+            return;
+        }
+        memRec.role = role;
+        applyRoleUI();
+        renderSettings();
+        renderExpensesList();
+        renderHistory();
+    } catch (err) {
+        console.error('Unexpected error changing role:', err);
+        alert('An unexpected error occurred while changing role');
+    }
+}
+
+// Record that a member moved out.  They drop out of the forms and of "All"
+// splits after that date but stay in history.
+async function moveMemberOut(name) {
+    const memRec = memberRecords.find(m => m.name === name);
+    if (!memRec) return;
+    const input = prompt(`Last day ${name} lived in the house (YYYY-MM-DD):`, todayISO());
+    if (input === null) return;
+    const movedOut = input.trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(movedOut) || isNaN(new Date(movedOut))) {
+        alert('Please enter a date as YYYY-MM-DD');
+        return;
+    }
+    if (memRec.moved_in && movedOut < memRec.moved_in) {
+        alert(`${name} moved in on ${formatDateDisplay(memRec.moved_in)}; the move‑out date cannot be earlier.`);
+        return;
+    }
+    const later = expenses.filter(exp => exp.date > movedOut && exp.payer === name);
+    if (later.length > 0 && !confirm(`${name} paid ${later.length} current expense(s) dated after that day. Move them out anyway?`)) return;
+    await setMembershipPeriod(memRec, { moved_out: movedOut });
+}
+
+async function moveMemberBackIn(name) {
+    const memRec = memberRecords.find(m => m.name === name);
+    if (!memRec) return;
+    if (!confirm(`Mark ${name} as living in the house again?`)) return;
+    await setMembershipPeriod(memRec, { moved_out: null });
+}
+
+// Save a member's move‑in or move‑out date.  Current splits among "All"
+// may change, so every view is refreshed.
+async function setMembershipPeriod(memRec, values) {
+    try {
+        const { data, error } = await runMutation({ table: 'members', action: 'update', id: memRec.id, values, base: memRec.updated_at, label: `Member ${memRec.name}` });
+        if (error) {
+            console.error('Error updating membership period:', error);
+            alert('Failed to update member');
+            return;
+        }
+        Object.assign(memRec, values, data && data[0]);
+        await refreshAfterListChange();
+    } catch (err) {
+        console.error('Unexpected error updating membership period:', err);
+        alert('An unexpected error occurred while updating member');
+    }
+}
+
+// Add a new member.  Inserts into Supabase and refreshes the lists.
+async function addMember(event) {
+    event.preventDefault();
+    const input = document.getElementById('new-member-name');
+    if (!input) return;
+    const name = input.value.trim();
+    if (!name) return;
+    // Optional move‑in date; without one the member counts for all dates
+    const movedIn = document.getElementById('new-member-moved-in').value || null;
+    // Prevent duplicates
+    if (members.includes(name)) {
+        alert('Member already exists');
+        return;
+    }
+    try {
+        const { data, error } = await runMutation({ table: 'members', action: 'insert', rows: [{ name, moved_in: movedIn }] });
+        if (error) {
+            console.error('Error adding member:', error);
+            alert('Failed to add member');
+            return;
+        }
+        // Update local arrays
+        if (data && data.length > 0) {
+            memberNamesById[data[0].id] = name;
+            members = applyListChange(memberRecords, data[0].id, data[0]);
+        }
+        // Reset inputs
+        input.value = '';
+        document.getElementById('new-member-moved-in').value = '';
+        // Refresh settings and forms
+        await refreshAfterListChange();
+    } catch (err) {
+        console.error('Unexpected error adding member:', err);
+        alert('An unexpected error occurred while adding member');
+    }
+}
+
+// Add a new category.  Inserts into Supabase and refreshes the lists.
+async function addCategory(event) {
+    event.preventDefault();
+    const input = document.getElementById('new-category-name');
+    if (!input) return;
+    const name = input.value.trim();
+    if (!name) return;
+    if (categories.includes(name)) {
+        alert('Category already exists');
+        return;
+    }
+    const colorInput = document.getElementById('new-category-color');
+    const iconInput = document.getElementById('new-category-icon');
+    const icon = iconInput.value.trim() || null;
+    const parentId = document.getElementById('new-category-parent').value || null;
+    try {
+        const { data, error } = await runMutation({ table: 'categories', action: 'insert', rows: [{ name, parent_id: parentId, color: colorInput.value, icon }] });
+        if (error) {
+            console.error('Error adding category:', error);
+            alert('Failed to add category');
+            return;
+        }
+        if (data && data.length > 0) {
+            categoryNamesById[data[0].id] = name;
+            categoryRecords.push(data[0]);
+            categories.push(name);
+        }
+        input.value = '';
+        iconInput.value = '';
+        delete colorInput.dataset.touched;
+        await refreshAfterListChange();
+    } catch (err) {
+        console.error('Unexpected error adding category:', err);
+        alert('An unexpected error occurred while adding category');
+    }
+}
+
+// Edit an existing member.  Prompts the user for a new name and updates the
+// members table; everything else refers to the member by ID and only needs
+// the names in memory updated.  If the new name already exists, it aborts.  After updating, it refreshes local
+// arrays and UI.  The parameter `oldName` is the current name to edit.
+async function editMember(oldName) {
+    const newName = prompt(`Enter new name for ${oldName}:`, oldName);
+    if (newName === null) return; // Cancelled
+    const trimmed = newName.trim();
+    if (!trimmed) return;
+    if (trimmed === oldName) return;
     if (members.includes(trimmed)) {
         alert('A member with that name already exists');
         return;
@@ -295,51 +2193,15 @@ async function editMember(oldName) {
     }
     try {
         // Update the member record
-        const { error: updErr } = await supa.from('members').update({ name: trimmed }).eq('id', memRec.id);
+        const { error: updErr } = await runMutation({ table: 'members', action: 'update', id: memRec.id, values: { name: trimmed }, base: memRec.updated_at, label: `Member ${oldName}` });
         if (updErr) {
             console.error('Error updating member name:', updErr);
             alert('Failed to update member');
             return;
         }
-        // Update any expenses where this person is the payer
-        for (const exp of [...expenses]) {
-            let changed = false;
-            if (exp.payer === oldName) {
-                exp.payer = trimmed;
-                changed = true;
-            }
-            const resp = exp.responsible || exp.beneficiaries || [];
-            if (resp.includes(oldName)) {
-                const newResp = resp.map(name => name === oldName ? trimmed : name);
-                exp.responsible = newResp;
-                changed = true;
-            }
-            if (changed) {
-                // Persist update to Supabase
-                const updateObj = { payer: exp.payer, responsible: exp.responsible };
-                await supa.from('expenses').update(updateObj).eq('id', exp.id);
-            }
-        }
-        // Update archived expenses as well
-        for (const hid in archivedExpensesByHandover) {
-            const list = archivedExpensesByHandover[hid];
-            for (const exp of list) {
-                let changed = false;
-                if (exp.payer === oldName) {
-                    exp.payer = trimmed;
-                    changed = true;
-                }
-                const resp = exp.responsible || exp.beneficiaries || [];
-                if (resp.includes(oldName)) {
-                    const newResp = resp.map(name => name === oldName ? trimmed : name);
-                    exp.responsible = newResp;
-                    changed = true;
-                }
-                if (changed) {
-                    await supa.from('expenses').update({ payer: exp.payer, responsible: exp.responsible }).eq('id', exp.id);
-                }
-            }
-        }
+        // Expenses, templates and handovers refer to the member by ID
+        memberNamesById[memRec.id] = trimmed;
+        renameMemberInMemory(oldName, trimmed);
         // Refresh members list and local arrays
         await loadMembersAndCategories();
         // Re‑render UI
@@ -351,32 +2213,39 @@ async function editMember(oldName) {
     }
 }
 
+// Rename a member key inside an expense's `split_values`.  Returns true when
+// the expense was changed.
+function renameSplitKey(exp, oldName, newName) {
+    if (!exp.split_values || !(oldName in exp.split_values)) return false;
+    const values = { ...exp.split_values };
+    values[newName] = values[oldName];
+    delete values[oldName];
+    exp.split_values = values;
+    return true;
+}
+
 // Delete a member.  Only allowed if the member is not referenced in any
 // expense (payer or responsible).  If referenced, a warning is shown and
 // deletion is aborted.
 async function deleteMember(name) {
     // Check if any active or archived expense references this member
-    const usedInActive = expenses.some(exp => exp.payer === name || (exp.responsible || exp.beneficiaries || []).includes(name));
-    let usedInArchived = false;
-    if (!usedInActive) {
-        for (const hid in archivedExpensesByHandover) {
-            const list = archivedExpensesByHandover[hid];
-            if (list.some(exp => exp.payer === name || (exp.responsible || exp.beneficiaries || []).includes(name))) {
-                usedInArchived = true;
-                break;
-            }
-        }
-    }
-    if (usedInActive || usedInArchived) {
-        alert('Cannot delete member because they are referenced in existing expenses or history.');
+    const refersTo = exp => exp.payer === name || (exp.responsible || exp.beneficiaries || []).includes(name);
+    const usedInActive = expenses.some(refersTo);
+    const memberId = memberIdByName(name);
+    const usedInArchived = !usedInActive && (
+        await usedInArchive(query => query.eq('payer_id', memberId), refersTo) ||
+        await usedInArchive(query => query.filter('responsible_ids', 'cs', JSON.stringify([memberId])), refersTo));
+    const usedInRecurring = recurringTemplates.some(template => template.payer === name || (template.responsible || []).includes(name));
+    if (usedInActive || usedInArchived || usedInRecurring) {
+        alert('Cannot delete member because they are referenced in existing expenses, recurring expenses or history. Use "Move out" instead.');
         return;
     }
-    if (!confirm(`Delete member ${name}? This action cannot be undone.`)) return;
     // Find the record
     const memRec = memberRecords.find(rec => rec.name === name);
     if (!memRec) return;
     try {
-        const { error } = await supa.from('members').delete().eq('id', memRec.id);
+        // Move to the trash; it can be restored from Settings or the toast
+        const { data, error } = await setDeleted('members', memRec, true, `Member ${name}`);
         if (error) {
             console.error('Error deleting member:', error);
             alert('Failed to delete member');
@@ -387,6 +2256,8 @@ async function deleteMember(name) {
         memberRecords = memberRecords.filter(rec => rec.id !== memRec.id);
         // Refresh UI and forms
         await refreshAfterListChange();
+        loadTrash();
+        showUndoToast(`Deleted member ${name}`, () => restoreListRecord('members', { ...memRec, ...(data && data[0]) }));
     } catch (err) {
         console.error('Unexpected error deleting member:', err);
         alert('An unexpected error occurred while deleting member');
@@ -394,7 +2265,7 @@ async function deleteMember(name) {
 }
 
 // Edit an existing category.  Prompts for a new name and updates the
-// categories table as well as any expenses referencing the old category.
+// categories table; expenses pick up the new name through its ID.
 async function editCategory(oldName) {
     const newName = prompt(`Enter new name for ${oldName}:`, oldName);
     if (newName === null) return;
@@ -410,29 +2281,15 @@ async function editCategory(oldName) {
         return;
     }
     try {
-        const { error: updErr } = await supa.from('categories').update({ name: trimmed }).eq('id', catRec.id);
+        const { error: updErr } = await runMutation({ table: 'categories', action: 'update', id: catRec.id, values: { name: trimmed }, base: catRec.updated_at, label: `Category ${oldName}` });
         if (updErr) {
             console.error('Error updating category name:', updErr);
             alert('Failed to update category');
             return;
         }
-        // Update expenses referencing this category (active)
-        for (const exp of [...expenses]) {
-            if (exp.category === oldName) {
-                exp.category = trimmed;
-                await supa.from('expenses').update({ category: trimmed }).eq('id', exp.id);
-            }
-        }
-        // Update archived expenses as well
-        for (const hid in archivedExpensesByHandover) {
-            const list = archivedExpensesByHandover[hid];
-            for (const exp of list) {
-                if (exp.category === oldName) {
-                    exp.category = trimmed;
-                    await supa.from('expenses').update({ category: trimmed }).eq('id', exp.id);
-                }
-            }
-        }
+        // Expenses and templates refer to the category by ID
+        categoryNamesById[catRec.id] = trimmed;
+        renameCategoryInMemory(oldName, trimmed);
         // Refresh categories list and local arrays
         await loadMembersAndCategories();
         await refreshAfterListChange();
@@ -443,31 +2300,71 @@ async function editCategory(oldName) {
     }
 }
 
+// Save a category's colour, icon or parent.  A category with subcategories
+// stays at the top level.
+async function updateCategoryDetails(name, values) {
+    const catRec = categoryRecord(name);
+    if (!catRec) return;
+    if (values.parent_id && categoryChildren(name).length > 0) {
+        alert(`${name} has subcategories, so it cannot move under another category.`);
+        renderSettings();
+        return;
+    }
+    try {
+        const { data, error } = await runMutation({ table: 'categories', action: 'update', id: catRec.id, values, base: catRec.updated_at, label: `Category ${name}` });
+        if (error) {
+            console.error('Error updating category:', error);
+            alert('Failed to update category');
+            renderSettings();
+            return;
+        }
+        Object.assign(catRec, values, data && data[0]);
+        await refreshAfterListChange();
+    } catch (err) {
+        console.error('Unexpected error updating category:', err);
+        alert('An unexpected error occurred while updating category');
+    }
+}
+
+// Prompt for a category's icon, e.g. an emoji.  An empty answer removes it.
+async function editCategoryIcon(name) {
+    const catRec = categoryRecord(name);
+    if (!catRec) return;
+    const input = prompt(`Icon for ${name} (an emoji; leave empty for none):`, catRec.icon || '');
+    if (input === null) return;
+    const icon = input.trim() || null;
+    if (icon && [...icon].length > 8) {
+        alert('Please use at most 8 characters for the icon');
+        return;
+    }
+    if (icon === (catRec.icon || null)) return;
+    await updateCategoryDetails(name, { icon });
+}
+
 // Delete a category if unused.  Prevents deletion when it is referenced in
-// any expense (active or archived).  Otherwise removes it from the table and
-// refreshes the UI.
+// any expense (active or archived) or has subcategories.  Otherwise removes
+// it from the table and refreshes the UI.
 async function deleteCategory(name) {
-    // Check if any expense references this category
-    const usedInActive = expenses.some(exp => exp.category === name);
-    let usedInArchived = false;
-    if (!usedInActive) {
-        for (const hid in archivedExpensesByHandover) {
-            const list = archivedExpensesByHandover[hid];
-            if (list.some(exp => exp.category === name)) {
-                usedInArchived = true;
-                break;
-            }
-        }
+    if (categoryChildren(name).length > 0) {
+        alert('Cannot delete category because it has subcategories. Move or delete them first.');
+        return;
     }
-    if (usedInActive || usedInArchived) {
-        alert('Cannot delete category because it is referenced in existing expenses or history.');
+    // Check if any expense (or item of a receipt) references this category
+    const usesCategory = exp => exp.category === name || (exp.items || []).some(item => item.category === name);
+    const id = categoryIdByName(name);
+    const usedInActive = expenses.some(usesCategory);
+    const usedInArchived = !usedInActive &&
+        (await usedInArchive(query => query.eq('category_id', id), usesCategory) ||
+         await usedInArchive(query => query.filter('items', 'cs', JSON.stringify([{ category_id: id }])), usesCategory));
+    const usedInRecurring = recurringTemplates.some(template => template.category === name);
+    if (usedInActive || usedInArchived || usedInRecurring) {
+        alert('Cannot delete category because it is referenced in existing expenses, recurring expenses or history.');
         return;
     }
-    if (!confirm(`Delete category ${name}? This action cannot be undone.`)) return;
     const catRec = categoryRecords.find(rec => rec.name === name);
     if (!catRec) return;
     try {
-        const { error } = await supa.from('categories').delete().eq('id', catRec.id);
+        const { data, error } = await setDeleted('categories', catRec, true, `Category ${name}`);
         if (error) {
             console.error('Error deleting category:', error);
             alert('Failed to delete category');
@@ -477,69 +2374,1080 @@ async function deleteCategory(name) {
         categories = categories.filter(c => c !== name);
         categoryRecords = categoryRecords.filter(rec => rec.id !== catRec.id);
         await refreshAfterListChange();
+        loadTrash();
+        showUndoToast(`Deleted category ${name}`, () => restoreListRecord('categories', { ...catRec, ...(data && data[0]) }));
     } catch (err) {
         console.error('Unexpected error deleting category:', err);
         alert('An unexpected error occurred while deleting category');
     }
 }
 
-// Helper function to refresh the UI and forms after members or categories
-// change.  Re‑populates selects, filters, responsible checkboxes and
-// re‑renders all relevant views.
-async function refreshAfterListChange() {
-    // Repopulate selects for add/edit forms
-    populateSelect('category', categories);
-    populateSelect('payment', paymentMethods);
-    populateSelect('payer', members);
-    populateResponsibleCheckboxes('responsible-options', ['All']);
-    // Repopulate filters
-    const payerFilter = document.getElementById('filter-payer');
-    if (payerFilter) {
-        payerFilter.innerHTML = '<option value="">All</option>';
-        members.forEach(name => {
-            const opt = document.createElement('option');
-            opt.value = name;
-            opt.textContent = name;
-            payerFilter.appendChild(opt);
-        });
+// -----------------------------
+// Trash and undo
+// -----------------------------
+//
+// Expenses, members and categories are soft deleted by setting
+// `deleted_at`.  Loaders skip such rows; the Trash list in Settings restores
+// them or deletes them for good.
+
+// Tables that support the trash, with a label for the Trash list.
+const trashTables = {
+    expenses: 'Expense',
+    members: 'Member',
+    categories: 'Category'
+};
+
+// Deleted records shown in the Trash list: { table, record }.
+let trashItems = [];
+
+// Move a record to the trash (or back out of it).
+function setDeleted(table, record, deleted, label) {
+    return runMutation({
+        table,
+        action: 'update',
+        id: record.id,
+        values: { deleted_at: deleted ? new Date().toISOString() : null },
+        base: record.updated_at,
+        label
+    });
+}
+
+// Show a short message with an Undo button.  The toast hides by itself;
+// `onUndo` runs if the button is clicked first.
+function showUndoToast(message, onUndo) {
+    const container = document.getElementById('toast-container');
+    const toastEl = document.createElement('div');
+    toastEl.className = 'toast align-items-center';
+    toastEl.setAttribute('role', 'status');
+    toastEl.setAttribute('aria-live', 'polite');
+    toastEl.innerHTML = '<div class="d-flex"><div class="toast-body"></div>' +
+        '<button type="button" class="btn btn-link btn-sm ms-auto undo-btn">Undo</button>' +
+        '<button type="button" class="btn-close me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button></div>';
+    toastEl.querySelector('.toast-body').textContent = message;
+    const toast = new bootstrap.Toast(toastEl, { delay: 8000 });
+    toastEl.querySelector('.undo-btn').addEventListener('click', () => {
+        toast.hide();
+        onUndo();
+    });
+    toastEl.addEventListener('hidden.bs.toast', () => toastEl.remove());
+    container.appendChild(toastEl);
+    toast.show();
+}
+
+// Restore a deleted expense to the active list or its handover.
+async function restoreExpense(record) {
+    try {
+        const { data, error } = await setDeleted('expenses', record, false, `Expense "${record.title}"`);
+        if (error) {
+            console.error('Error restoring expense:', error);
+            alert('Failed to restore expense');
+            return;
+        }
+        const restored = { ...record, ...(data && data[0]), deleted_at: null };
+        if (restored.handover_id) {
+            rangeReportCache.clear();
+            invalidateArchivedSearch();
+            if (archivedExpensesByHandover[restored.handover_id]) upsertById(archivedExpensesByHandover[restored.handover_id], restored, 'date');
+        } else {
+            upsertById(expenses, restored, 'date');
+        }
+        renderSummary();
+        renderExpensesList();
+        renderCategoryChart(document.getElementById('chart-person-select').value || 'All');
+        renderHistory();
+        loadTrash();
+    } catch (err) {
+        console.error('Unexpected error restoring expense:', err);
+        alert('An unexpected error occurred while restoring expense');
     }
-    const categoryFilter = document.getElementById('filter-category');
-    if (categoryFilter) {
-        categoryFilter.innerHTML = '<option value="">All</option>';
-        categories.forEach(cat => {
-            const opt = document.createElement('option');
-            opt.value = cat;
-            opt.textContent = cat;
-            categoryFilter.appendChild(opt);
-        });
+}
+
+// Restore a deleted member or category.  Another record may have taken its
+// name in the meantime.
+async function restoreListRecord(table, record) {
+    const records = table === 'members' ? memberRecords : categoryRecords;
+    if (records.some(r => r.name === record.name)) {
+        alert(`${trashTables[table]} ${record.name} already exists. Rename it before restoring this one.`);
+        return;
     }
-    const responsibleFilter = document.getElementById('filter-responsible');
-    if (responsibleFilter) {
-        responsibleFilter.innerHTML = '<option value="">All</option>';
-        members.forEach(name => {
-            const opt = document.createElement('option');
-            opt.value = name;
-            opt.textContent = name;
-            responsibleFilter.appendChild(opt);
-        });
+    try {
+        const { data, error } = await setDeleted(table, record, false, `${trashTables[table]} ${record.name}`);
+        if (error) {
+            console.error(`Error restoring ${table}:`, error);
+            alert(`Failed to restore ${trashTables[table].toLowerCase()}`);
+            return;
+        }
+        const names = applyListChange(records, record.id, { ...record, ...(data && data[0]), deleted_at: null });
+        if (table === 'members') members = names;
+        else categories = names;
+        await refreshAfterListChange();
+        loadTrash();
+    } catch (err) {
+        console.error(`Unexpected error restoring ${table}:`, err);
+        alert('An unexpected error occurred while restoring');
     }
-    // Repopulate chart selects
-    const chartSelect = document.getElementById('chart-person-select');
-    if (chartSelect) {
-        chartSelect.innerHTML = '';
-        const allOpt = document.createElement('option');
-        allOpt.value = 'All';
-        allOpt.textContent = 'All';
-        chartSelect.appendChild(allOpt);
-        members.forEach(name => {
-            const opt = document.createElement('option');
-            opt.value = name;
-            opt.textContent = name;
-            chartSelect.appendChild(opt);
+}
+
+// Delete a record in the trash for good.
+async function purgeTrashItem(table, record) {
+    const name = table === 'expenses' ? `"${record.title}"` : record.name;
+    if (!confirm(`Permanently delete ${trashTables[table].toLowerCase()} ${name}? This cannot be undone.`)) return;
+    try {
+        const { error } = await runMutation({ table, action: 'delete', id: record.id, base: record.updated_at, label: `${trashTables[table]} ${name}` });
+        // Members and categories still named by expenses or handovers stay
+        if (error && error.code === '23503') {
+            alert(`${trashTables[table]} ${name} is still used by expenses or history and can only be restored.`);
+            return;
+        }
+        if (error) {
+            console.error(`Error purging ${table}:`, error);
+            alert('Failed to delete permanently');
+            return;
+        }
+        loadTrash();
+    } catch (err) {
+        console.error(`Unexpected error purging ${table}:`, err);
+        alert('An unexpected error occurred while deleting permanently');
+    }
+}
+
+// Load the deleted records of the household, newest first.
+async function loadTrash() {
+    const list = document.getElementById('trash-list');
+    if (!list) return;
+    if (!navigator.onLine) {
+        list.innerHTML = '<li class="list-group-item text-muted">The trash is not available offline.</li>';
+        return;
+    }
+    try {
+        const tables = Object.keys(trashTables);
+        const results = await Promise.all(tables.map(table => supa
+            .from(table)
+            .select('*')
+            .eq('household_id', currentHouseholdId)
+            .not('deleted_at', 'is', null)));
+        trashItems = [];
+        results.forEach(({ data, error }, i) => {
+            if (error) {
+                console.error(`Error loading deleted ${tables[i]}:`, error);
+                return;
+            }
+            (data || []).forEach(record => trashItems.push({ table: tables[i], record: fromStoredRow(tables[i], record) }));
         });
-        chartSelect.value = 'All';
+        trashItems.sort((a, b) => b.record.deleted_at.localeCompare(a.record.deleted_at));
+        renderTrash();
+    } catch (err) {
+        console.error('Unexpected error loading trash:', err);
     }
-    // Repopulate history chart person select
+}
+
+// Render the Trash list with restore and permanent delete actions for
+// the records the user is allowed to change.
+function renderTrash() {
+    const list = document.getElementById('trash-list');
+    list.innerHTML = '';
+    if (trashItems.length === 0) {
+        list.innerHTML = '<li class="list-group-item text-muted">The trash is empty.</li>';
+        return;
+    }
+    trashItems.forEach(({ table, record }) => {
+        const li = document.createElement('li');
+        li.className = 'list-group-item d-flex justify-content-between align-items-center';
+        const info = document.createElement('div');
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-secondary me-2';
+        badge.textContent = trashTables[table];
+        const label = document.createElement('span');
+        label.textContent = table === 'expenses'
+            ? `${record.title} – ${formatExpenseAmount(record)} on ${formatDateDisplay(record.date)}`
+            : record.name;
+        const when = document.createElement('small');
+        when.className = 'text-muted ms-2';
+        when.textContent = `deleted ${formatAuditTime(record.deleted_at)}`;
+        info.appendChild(badge);
+        info.appendChild(label);
+        info.appendChild(when);
+        li.appendChild(info);
+        const allowed = table === 'expenses' ? canEditExpense(record) : isAdmin();
+        if (allowed) {
+            const actions = document.createElement('div');
+            actions.className = 'btn-group btn-group-sm';
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn-outline-secondary';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => (table === 'expenses' ? restoreExpense(record) : restoreListRecord(table, record)));
+            const purgeBtn = document.createElement('button');
+            purgeBtn.className = 'btn btn-outline-danger';
+            purgeBtn.textContent = 'Delete permanently';
+            purgeBtn.addEventListener('click', () => purgeTrashItem(table, record));
+            actions.appendChild(restoreBtn);
+            actions.appendChild(purgeBtn);
+            li.appendChild(actions);
+        }
+        list.appendChild(li);
+    });
+}
+
+// -----------------------------
+// Recurring expense templates
+// -----------------------------
+
+// Today's date in the local timezone as YYYY-MM-DD.
+function todayISO() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+// Add a number of days to a YYYY-MM-DD date string.
+function addDays(dateStr, days) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+// Build the date for `day` in the given month, clamped to the month's last
+// day so "day 31" falls on 30 April or 28 February.
+function monthlyDate(year, monthIndex, day) {
+    const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+// Return the first date on or after `fromDate` that matches a template's
+// schedule.  Weekly and interval schedules start on `fromDate` itself.
+function firstOccurrence(template, fromDate) {
+    if (template.frequency !== 'monthly') return fromDate;
+    const d = new Date(`${fromDate}T00:00:00Z`);
+    const candidate = monthlyDate(d.getUTCFullYear(), d.getUTCMonth(), template.day_of_month);
+    if (candidate >= fromDate) return candidate;
+    return monthlyDate(d.getUTCFullYear(), d.getUTCMonth() + 1, template.day_of_month);
+}
+
+// Return the occurrence following `dateStr` for a template's schedule.
+function nextOccurrence(template, dateStr) {
+    if (template.frequency === 'weekly') return addDays(dateStr, 7);
+    if (template.frequency === 'interval') return addDays(dateStr, Math.max(1, template.interval_days || 1));
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    return monthlyDate(d.getUTCFullYear(), d.getUTCMonth() + 1, template.day_of_month);
+}
+
+// Describe a template's schedule for display.
+function describeSchedule(template) {
+    if (template.frequency === 'weekly') return 'Weekly';
+    if (template.frequency === 'interval') return `Every ${template.interval_days} days`;
+    return `Monthly on day ${template.day_of_month}`;
+}
+
+// Load recurring expense templates from Supabase, or the local copy offline.
+async function loadRecurring() {
+    await initSupabase();
+    try {
+        const { data, error } = await selectWithCache('recurring_expenses', () => supa
+            .from('recurring_expenses')
+            .select('*')
+            .eq('household_id', currentHouseholdId)
+            .order('title', { ascending: true }), { sortBy: 'title' });
+        if (error) {
+            console.error('Error loading recurring expenses:', error);
+            recurringTemplates = [];
+        } else {
+            recurringTemplates = data.map(row => fromStoredRow('recurring_expenses', row));
+        }
+    } catch (err) {
+        console.error('Unexpected error loading recurring expenses:', err);
+        recurringTemplates = [];
+    }
+}
+
+// Whether a template's next occurrence has fallen due on a day nobody lived
+// in the house, so it cannot be created (see allResolvesToNobody).
+function recurringHeldByNobody(template) {
+    return !template.paused && !!template.next_date && template.next_date <= todayISO() &&
+        allResolvesToNobody(template.responsible, template.next_date);
+}
+
+// Generate expenses for every template occurrence that has fallen due.  A
+// template that was not visited for a while catches up on all missed
+// occurrences.  Each template's expenses are inserted in one call and its
+// `next_date` is advanced past today.  An occurrence dated when nobody
+// lived in the house stops its template there: it stays due, flagged in
+// Settings, until the membership is fixed or the occurrence is skipped.
+async function generateDueRecurringExpenses() {
+    // Generating while offline could duplicate expenses another device
+    // creates for the same template, so wait for a connection.
+    if (!navigator.onLine || !canWrite()) return;
+    const today = todayISO();
+    const held = [];
+    for (const template of recurringTemplates) {
+        if (template.paused || !template.next_date || template.next_date > today) continue;
+        const rows = [];
+        let due = template.next_date;
+        while (due <= today) {
+            if (allResolvesToNobody(template.responsible, due)) {
+                held.push(`${template.title} on ${formatDateDisplay(due)}`);
+                break;
+            }
+            rows.push({
+                date: due,
+                title: template.title,
+                description: template.description,
+                amount: template.amount,
+                currency: template.currency,
+                category: template.category,
+                payment: template.payment,
+                payer: template.payer,
+                responsible: template.responsible,
+                split_mode: template.split_mode,
+                split_values: template.split_values,
+                recurring_id: template.id,
+                handover_id: null
+            });
+            due = nextOccurrence(template, due);
+        }
+        try {
+            // Another open copy of the app may have generated the same
+            // occurrences; those are skipped (see 023_recurring_occurrences.sql)
+            if (rows.length > 0) {
+                const { data, error } = await runMutation({ table: 'expenses', action: 'upsert', rows, onConflict: 'recurring_id,date', ignoreDuplicates: true });
+                if (error) {
+                    console.error('Error generating recurring expenses:', error);
+                    continue;
+                }
+                expenses.push(...(data || []));
+            }
+            if (due === template.next_date) continue;
+            const { error: updErr } = await runMutation({ table: 'recurring_expenses', action: 'update', id: template.id, values: { next_date: due } });
+            if (updErr) {
+                console.error('Error advancing recurring expense:', updErr);
+            }
+            template.next_date = due;
+        } catch (err) {
+            console.error('Unexpected error generating recurring expenses:', err);
+        }
+    }
+    expenses.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    if (held.length > 0) {
+        alert(`These recurring expenses were not created because nobody lived in the house that day: ${held.join(', ')}. ` +
+            'Fix the membership dates, or skip the occurrence in Settings.');
+    }
+}
+
+// Render the list of recurring templates on the settings page with pause,
+// skip and delete actions.
+function renderRecurringList() {
+    const list = document.getElementById('recurring-list');
+    if (!list) return;
+    list.innerHTML = '';
+    if (recurringTemplates.length === 0) {
+        list.innerHTML = '<li class="list-group-item text-muted">No recurring expenses yet.</li>';
+        return;
+    }
+    recurringTemplates.forEach(template => {
+        const li = document.createElement('li');
+        li.className = 'list-group-item d-flex justify-content-between align-items-center';
+        const info = document.createElement('div');
+        let status = template.paused ? ' <span class="badge bg-secondary">Paused</span>' : '';
+        if (recurringHeldByNobody(template)) {
+            status += ' <span class="badge bg-danger" title="Nobody lived in the house on this date; fix the membership dates or skip it">Not created</span>';
+        }
+        info.innerHTML = `<strong>${escapeHTML(template.title)}</strong> – ${formatMoney(template.amount, template.currency || baseCurrency)}${status}<br>` +
+            `<small class="text-muted">${describeSchedule(template)} · ${escapeHTML(template.category)} · paid by ${escapeHTML(template.payer)} · ` +
+            `${template.paused ? 'paused' : `next on ${formatDateDisplay(template.next_date)}`}</small>`;
+        const actions = document.createElement('div');
+        actions.className = 'btn-group btn-group-sm';
+        const pauseBtn = document.createElement('button');
+        pauseBtn.className = 'btn btn-outline-secondary';
+        pauseBtn.textContent = template.paused ? 'Resume' : 'Pause';
+        pauseBtn.addEventListener('click', () => toggleRecurringPaused(template.id));
+        const skipBtn = document.createElement('button');
+        skipBtn.className = 'btn btn-outline-secondary';
+        skipBtn.textContent = 'Skip next';
+        skipBtn.disabled = !!template.paused;
+        skipBtn.addEventListener('click', () => skipRecurring(template.id));
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-outline-danger';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => deleteRecurring(template.id));
+        actions.appendChild(pauseBtn);
+        actions.appendChild(skipBtn);
+        actions.appendChild(deleteBtn);
+        li.appendChild(info);
+        if (canWrite()) li.appendChild(actions);
+        list.appendChild(li);
+    });
+}
+
+// Show only the schedule input relevant to the selected frequency.
+function updateRecurringScheduleInputs() {
+    const frequency = document.getElementById('recurring-frequency').value;
+    document.getElementById('recurring-day-group').classList.toggle('d-none', frequency !== 'monthly');
+    document.getElementById('recurring-interval-group').classList.toggle('d-none', frequency !== 'interval');
+}
+
+// Populate the selects and checkboxes of the recurring template form.
+function populateRecurringForm() {
+    populateSelect('recurring-category', categories);
+    populateSelect('recurring-payment', paymentMethods);
+    populateSelect('recurring-payer', formMembers());
+    populateCurrencySelect('recurring-currency');
+    populateResponsibleCheckboxes('recurring-responsible', ['All']);
+    renderSplitInputs('recurring');
+}
+
+// Add a recurring template from the settings form.
+async function addRecurring(event) {
+    event.preventDefault();
+    const title = document.getElementById('recurring-title').value.trim();
+    const amount = document.getElementById('recurring-amount').value;
+    const frequency = document.getElementById('recurring-frequency').value;
+    const dayOfMonth = parseInt(document.getElementById('recurring-day').value, 10);
+    const intervalDays = parseInt(document.getElementById('recurring-interval').value, 10);
+    const startDate = document.getElementById('recurring-start').value;
+    const selected = Array.from(document.querySelectorAll('#recurring-responsible input[type=checkbox]:checked')).map(cb => cb.value);
+    if (!title || !startDate) return;
+    if (selected.length === 0) {
+        alert('Please select at least one responsible person');
+        return;
+    }
+    if (frequency === 'monthly' && !(dayOfMonth >= 1 && dayOfMonth <= 31)) {
+        alert('Please enter a day of the month between 1 and 31');
+        return;
+    }
+    if (frequency === 'interval' && !(intervalDays >= 1)) {
+        alert('Please enter the number of days between expenses');
+        return;
+    }
+    const split = readSplit('recurring', amount);
+    if (split.error) {
+        alert(split.error);
+        return;
+    }
+    const template = {
+        title,
+        description: document.getElementById('recurring-description').value,
+        amount,
+        currency: document.getElementById('recurring-currency').value,
+        category: document.getElementById('recurring-category').value,
+        payment: document.getElementById('recurring-payment').value,
+        payer: document.getElementById('recurring-payer').value,
+        responsible: selected,
+        split_mode: split.split_mode,
+        split_values: split.split_values,
+        frequency,
+        day_of_month: frequency === 'monthly' ? dayOfMonth : null,
+        interval_days: frequency === 'interval' ? intervalDays : null,
+        paused: false
+    };
+    template.next_date = firstOccurrence(template, startDate);
+    try {
+        const { data, error } = await runMutation({ table: 'recurring_expenses', action: 'insert', rows: [template] });
+        if (error) {
+            console.error('Error adding recurring expense:', error);
+            alert('Failed to add recurring expense');
+            return;
+        }
+        if (data && data.length > 0) {
+            recurringTemplates.push(data[0]);
+        }
+        document.getElementById('recurring-form').reset();
+        updateRecurringScheduleInputs();
+        populateRecurringForm();
+        // The first occurrence may already be due
+        await generateDueRecurringExpenses();
+        renderRecurringList();
+        renderSummary();
+        renderExpensesList();
+    } catch (err) {
+        console.error('Unexpected error adding recurring expense:', err);
+        alert('An unexpected error occurred while adding recurring expense');
+    }
+}
+
+// Pause or resume a template.  Resuming moves a stale `next_date` forward to
+// the next occurrence from today so paused months are not back‑filled.
+async function toggleRecurringPaused(id) {
+    const template = recurringTemplates.find(t => t.id === id);
+    if (!template) return;
+    const updated = { paused: !template.paused };
+    if (template.paused && template.next_date < todayISO()) {
+        updated.next_date = firstOccurrence(template, todayISO());
+    }
+    try {
+        const { error } = await runMutation({ table: 'recurring_expenses', action: 'update', id, values: updated, base: template.updated_at, label: `Recurring expense "${template.title}"` });
+        if (error) {
+            console.error('Error updating recurring expense:', error);
+            alert('Failed to update recurring expense');
+            return;
+        }
+        Object.assign(template, updated);
+        await generateDueRecurringExpenses();
+        renderRecurringList();
+        renderSummary();
+        renderExpensesList();
+    } catch (err) {
+        console.error('Unexpected error updating recurring expense:', err);
+        alert('An unexpected error occurred while updating recurring expense');
+    }
+}
+
+// Skip the next occurrence of a template without creating an expense.
+async function skipRecurring(id) {
+    const template = recurringTemplates.find(t => t.id === id);
+    if (!template) return;
+    if (!confirm(`Skip the ${template.title} expense due on ${formatDateDisplay(template.next_date)}?`)) return;
+    const nextDate = nextOccurrence(template, template.next_date);
+    try {
+        const { error } = await runMutation({ table: 'recurring_expenses', action: 'update', id, values: { next_date: nextDate }, base: template.updated_at, label: `Recurring expense "${template.title}"` });
+        if (error) {
+            console.error('Error skipping recurring expense:', error);
+            alert('Failed to skip recurring expense');
+            return;
+        }
+        template.next_date = nextDate;
+        renderRecurringList();
+    } catch (err) {
+        console.error('Unexpected error skipping recurring expense:', err);
+        alert('An unexpected error occurred while skipping recurring expense');
+    }
+}
+
+// Delete a template.  Expenses it already generated are kept.
+async function deleteRecurring(id) {
+    const template = recurringTemplates.find(t => t.id === id);
+    if (!template) return;
+    if (!confirm(`Delete recurring expense ${template.title}? Expenses already created are kept.`)) return;
+    try {
+        const { error } = await runMutation({ table: 'recurring_expenses', action: 'delete', id, base: template.updated_at, label: `Recurring expense "${template.title}"` });
+        if (error) {
+            console.error('Error deleting recurring expense:', error);
+            alert('Failed to delete recurring expense');
+            return;
+        }
+        recurringTemplates = recurringTemplates.filter(t => t.id !== id);
+        renderRecurringList();
+    } catch (err) {
+        console.error('Unexpected error deleting recurring expense:', err);
+        alert('An unexpected error occurred while deleting recurring expense');
+    }
+}
+
+// -----------------------------
+// CSV bank statement import
+// -----------------------------
+
+// Parse CSV text into an array of rows (arrays of strings).  Handles quoted
+// fields with embedded delimiters, newlines and doubled quotes.  The
+// delimiter is detected from the first line: comma, semicolon or tab.
+function parseCSV(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) =>
+        firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Drop blank lines
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Convert a bank date string to YYYY-MM-DD using the selected format
+// ('ymd', 'dmy' or 'mdy').  Returns null when the date cannot be read.
+function parseImportDate(value, format) {
+    const parts = (value || '').trim().split(/[^0-9]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    let year;
+    let month;
+    let day;
+    if (format === 'ymd') [year, month, day] = parts;
+    else if (format === 'dmy') [day, month, year] = parts;
+    else [month, day, year] = parts;
+    if (year.length === 2) year = `20${year}`;
+    const y = parseInt(year, 10);
+    const m = parseInt(month, 10);
+    const d = parseInt(day, 10);
+    if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCMonth() !== m - 1) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+// Read a bank amount such as "-1,234.50", "$12.00" or "(45.10)", or with
+// decimal = 'comma' "-1.234,50".  Returns NaN when the value is not a number.
+function parseImportAmount(value, decimal = 'dot') {
+    let str = (value || '').trim();
+    let negative = false;
+    if (/^\(.*\)$/.test(str)) {
+        negative = true;
+        str = str.slice(1, -1);
+    }
+    // Drop the grouping separator first so only the decimal one is left
+    if (decimal === 'comma') str = str.replace(/\./g, '').replace(/,/g, '.');
+    str = str.replace(/[^0-9.\-]/g, '');
+    const num = parseFloat(str);
+    if (isNaN(num)) return NaN;
+    return negative ? -num : num;
+}
+
+// Guess the decimal separator of the amount column: a comma followed by one
+// or two digits at the end ("12,50", "1.234,5") means a decimal comma.
+function detectImportDecimal(values) {
+    const amounts = values.map(v => (v || '').trim().replace(/\)$/, '')).filter(v => /\d/.test(v));
+    const comma = amounts.filter(v => /,\d{1,2}$/.test(v)).length;
+    const dot = amounts.filter(v => /\.\d{1,2}$/.test(v)).length;
+    return comma > dot ? 'comma' : 'dot';
+}
+
+// Find the first import rule whose pattern appears in the text.
+function matchImportRule(text) {
+    const haystack = text.toLowerCase();
+    return importRules.find(rule => haystack.includes(rule.pattern.toLowerCase())) || null;
+}
+
+// Return true when an existing expense (active, or archived in `archived`)
+// has the same date and amount as an imported row.
+function isDuplicateExpense(date, amount, archived = []) {
+    const sameAs = exp => exp.date === date && Math.abs(parseFloat(exp.amount) - amount) < 0.005;
+    return expenses.some(sameAs) || archived.some(sameAs);
+}
+
+// Flag preview rows that match archived expenses.  Those are fetched for
+// the file's date range once the preview is shown.
+async function flagArchivedDuplicates() {
+    const rows = importPreviewRows;
+    if (rows.length === 0) return;
+    const dates = rows.map(r => r.date).sort();
+    let archived;
+    try {
+        archived = await fetchArchivedRange(dates[0], dates[dates.length - 1]);
+    } catch (err) {
+        console.error('Error checking archived expenses for duplicates:', err);
+        return;
+    }
+    // The preview may have been rebuilt meanwhile
+    if (rows !== importPreviewRows) return;
+    let flagged = false;
+    rows.forEach(row => {
+        if (!row.duplicate && isDuplicateExpense(row.date, row.amount, archived)) {
+            row.duplicate = true;
+            row.include = false;
+            flagged = true;
+        }
+    });
+    if (flagged) renderImportPreview();
+}
+
+// Load import rules from Supabase, or the local copy offline.
+async function loadImportRules() {
+    await initSupabase();
+    try {
+        const { data, error } = await selectWithCache('import_rules', () => supa
+            .from('import_rules')
+            .select('*')
+            .eq('household_id', currentHouseholdId)
+            .order('pattern', { ascending: true }), { sortBy: 'pattern' });
+        if (error) {
+            console.error('Error loading import rules:', error);
+            importRules = [];
+        } else {
+            importRules = data.map(row => fromStoredRow('import_rules', row));
+        }
+    } catch (err) {
+        console.error('Unexpected error loading import rules:', err);
+        importRules = [];
+    }
+}
+
+// Fill a column mapping select with the CSV columns.  Optional columns get a
+// "None" entry.  The header name is shown when the file has a header row.
+function populateImportColumnSelect(selectId, optional, guess) {
+    const select = document.getElementById(selectId);
+    const hasHeader = document.getElementById('import-has-header').checked;
+    const width = importCsvRows.reduce((max, r) => Math.max(max, r.length), 0);
+    select.innerHTML = '';
+    if (optional) {
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None';
+        select.appendChild(none);
+    }
+    for (let i = 0; i < width; i++) {
+        const opt = document.createElement('option');
+        opt.value = String(i);
+        opt.textContent = hasHeader && importCsvRows[0][i] ? importCsvRows[0][i] : `Column ${i + 1}`;
+        select.appendChild(opt);
+    }
+    // Preselect a column whose header looks right
+    if (hasHeader) {
+        const idx = importCsvRows[0].findIndex(h => guess.test(h));
+        if (idx >= 0) select.value = String(idx);
+    }
+}
+
+// Populate the selects of the import page that depend on members,
+// categories and payment methods.
+function populateImportForm() {
+    populateSelect('import-payer', formMembers());
+    populateSelect('import-category', categories);
+    populateSelect('import-payment', paymentMethods);
+    populateCurrencySelect('import-currency');
+    populateResponsibleCheckboxes('import-responsible', ['All']);
+    // Rule selects start with an empty option meaning "keep the default"
+    [['rule-category', 'category', categories], ['rule-payer', 'payer', formMembers()], ['rule-responsible', 'responsible', ['All', ...formMembers()]]].forEach(([id, field, options]) => {
+        populateSelect(id, options);
+        const keep = document.createElement('option');
+        keep.value = '';
+        keep.textContent = `Keep default ${field}`;
+        document.getElementById(id).prepend(keep);
+        document.getElementById(id).value = '';
+    });
+}
+
+// Read the chosen CSV file, then show the column mapping and preview.
+function handleImportFile() {
+    const input = document.getElementById('import-file');
+    const file = input.files && input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        importCsvRows = parseCSV(String(reader.result).replace(/^\uFEFF/, ''));
+        if (importCsvRows.length === 0) {
+            alert('The file does not contain any rows');
+            return;
+        }
+        refreshImportColumns(true);
+    };
+    reader.onerror = () => alert('Could not read the file');
+    reader.readAsText(file);
+}
+
+// Rebuild the column selects (e.g. after toggling the header row) and the
+// preview.  For a new file the decimal separator is guessed as well.
+function refreshImportColumns(detectDecimal = false) {
+    if (importCsvRows.length === 0) return;
+    populateImportColumnSelect('import-col-date', false, /date/i);
+    populateImportColumnSelect('import-col-title', false, /desc|narr|payee|merchant|title|details/i);
+    populateImportColumnSelect('import-col-amount', false, /amount|debit|value/i);
+    populateImportColumnSelect('import-col-description', true, /memo|reference|note/i);
+    if (detectDecimal) {
+        const colAmount = parseInt(document.getElementById('import-col-amount').value, 10);
+        const hasHeader = document.getElementById('import-has-header').checked;
+        document.getElementById('import-decimal').value =
+            detectImportDecimal(importCsvRows.slice(hasHeader ? 1 : 0).map(cells => cells[colAmount]));
+    }
+    document.getElementById('import-mapping').classList.remove('d-none');
+    buildImportPreview();
+}
+
+// Build preview rows from the CSV using the column mapping, defaults and
+// rules.  Rows that cannot be read are skipped and counted; rows matching
+// an existing expense are flagged as duplicates and left unselected.
+function buildImportPreview() {
+    const hasHeader = document.getElementById('import-has-header').checked;
+    const colDate = parseInt(document.getElementById('import-col-date').value, 10);
+    const colTitle = parseInt(document.getElementById('import-col-title').value, 10);
+    const colAmount = parseInt(document.getElementById('import-col-amount').value, 10);
+    const colDescValue = document.getElementById('import-col-description').value;
+    const colDesc = colDescValue === '' ? null : parseInt(colDescValue, 10);
+    const dateFormat = document.getElementById('import-date-format').value;
+    const spendingSign = document.getElementById('import-sign').value;
+    const decimal = document.getElementById('import-decimal').value;
+    const defaults = {
+        payer: document.getElementById('import-payer').value,
+        category: document.getElementById('import-category').value,
+        payment: document.getElementById('import-payment').value,
+        currency: document.getElementById('import-currency').value,
+        responsible: Array.from(document.querySelectorAll('#import-responsible input[type=checkbox]:checked')).map(cb => cb.value)
+    };
+    importPreviewRows = [];
+    importSkippedRows = 0;
+    importCsvRows.slice(hasHeader ? 1 : 0).forEach(cells => {
+        const date = parseImportDate(cells[colDate], dateFormat);
+        const raw = parseImportAmount(cells[colAmount], decimal);
+        const title = (cells[colTitle] || '').trim();
+        // Credits (refunds, salary) are not expenses
+        if (!date || isNaN(raw) || !title || (spendingSign === 'negative' ? raw >= 0 : raw <= 0)) {
+            importSkippedRows++;
+            return;
+        }
+        const amount = Math.abs(raw);
+        const description = colDesc === null ? '' : (cells[colDesc] || '').trim();
+        const rule = matchImportRule(`${title} ${description}`);
+        const duplicate = isDuplicateExpense(date, amount);
+        importPreviewRows.push({
+            include: !duplicate,
+            duplicate,
+            date,
+            title,
+            description,
+            amount,
+            amountText: (cells[colAmount] || '').trim(),
+            currency: defaults.currency,
+            payment: defaults.payment,
+            category: rule && rule.category ? rule.category : defaults.category,
+            payer: rule && rule.payer ? rule.payer : defaults.payer,
+            responsible: rule && rule.responsible ? rule.responsible : (defaults.responsible.length > 0 ? defaults.responsible : ['All'])
+        });
+    });
+    renderImportPreview();
+    flagArchivedDuplicates();
+}
+
+// Render the preview table.  Category and payer can be changed per row.
+function renderImportPreview() {
+    const skipped = importSkippedRows;
+    const previewDiv = document.getElementById('import-preview');
+    const tbody = document.getElementById('import-preview-body');
+    const info = document.getElementById('import-preview-info');
+    tbody.innerHTML = '';
+    if (importPreviewRows.length === 0) {
+        previewDiv.classList.remove('d-none');
+        info.textContent = `No expenses found in the file${skipped ? ` (${skipped} rows skipped)` : ''}.`;
+        document.getElementById('import-confirm').disabled = true;
+        return;
+    }
+    const duplicates = importPreviewRows.filter(r => r.duplicate).length;
+    // An example amount shows whether the decimal separator is right
+    const example = importPreviewRows[0];
+    info.textContent = `${importPreviewRows.length} expenses found` +
+        (duplicates ? `, ${duplicates} possible duplicates (unselected)` : '') +
+        (skipped ? `, ${skipped} rows skipped (credits or unreadable)` : '') +
+        `. "${example.amountText}" is read as ${formatMoney(example.amount, example.currency)}.`;
+    importPreviewRows.forEach((row, idx) => {
+        const tr = document.createElement('tr');
+        if (row.duplicate) tr.className = 'table-warning';
+        const categoryOptions = categories.map(c => `<option value="${escapeHTML(c)}"${c === row.category ? ' selected' : ''}>${escapeHTML(c)}</option>`).join('');
+        const payerOptions = formMembers([row.payer]).map(m => `<option value="${escapeHTML(m)}"${m === row.payer ? ' selected' : ''}>${escapeHTML(m)}</option>`).join('');
+        tr.innerHTML = `
+            <td><input type="checkbox" class="form-check-input import-include" data-index="${idx}"${row.include ? ' checked' : ''}></td>
+            <td>${row.date}</td>
+            <td></td>
+            <td></td>
+            <td>${formatMoney(row.amount, row.currency)}</td>
+            <td><select class="form-select form-select-sm import-row-category" data-index="${idx}">${categoryOptions}</select></td>
+            <td><select class="form-select form-select-sm import-row-payer" data-index="${idx}">${payerOptions}</select></td>
+            <td>${row.responsible.join(', ')}</td>
+            <td>${row.duplicate ? '<span class="badge bg-warning text-dark">Possible duplicate</span>' : ''}</td>
+        `;
+        // Title and description come straight from the file
+        tr.children[2].textContent = row.title;
+        tr.children[3].textContent = row.description;
+        tbody.appendChild(tr);
+    });
+    tbody.querySelectorAll('.import-include').forEach(cb => {
+        cb.addEventListener('change', () => {
+            importPreviewRows[parseInt(cb.dataset.index, 10)].include = cb.checked;
+        });
+    });
+    tbody.querySelectorAll('.import-row-category').forEach(sel => {
+        sel.addEventListener('change', () => {
+            importPreviewRows[parseInt(sel.dataset.index, 10)].category = sel.value;
+        });
+    });
+    tbody.querySelectorAll('.import-row-payer').forEach(sel => {
+        sel.addEventListener('change', () => {
+            importPreviewRows[parseInt(sel.dataset.index, 10)].payer = sel.value;
+        });
+    });
+    document.getElementById('import-select-all').checked = importPreviewRows.every(r => r.include);
+    document.getElementById('import-confirm').disabled = false;
+    previewDiv.classList.remove('d-none');
+}
+
+// Insert the selected preview rows as expenses in a single call.
+async function confirmImport() {
+    const rows = importPreviewRows.filter(r => r.include);
+    if (rows.length === 0) {
+        alert('No rows selected for import');
+        return;
+    }
+    const nobody = rows.filter(r => allResolvesToNobody(r.responsible, r.date));
+    if (nobody.length > 0) {
+        alert(`${nobody.length} selected row(s) are dated when nobody lived in the house, so "All" has nobody to split among. ` +
+            'Choose the responsible members or leave those rows out.');
+        return;
+    }
+    const duplicates = rows.filter(r => r.duplicate).length;
+    const message = `Import ${rows.length} expenses?` + (duplicates ? ` ${duplicates} of them look like existing expenses.` : '');
+    if (!confirm(message)) return;
+    const newExpenses = rows.map(r => ({
+        date: r.date,
+        title: r.title,
+        description: r.description,
+        amount: r.amount,
+        currency: r.currency,
+        category: r.category,
+        payment: r.payment,
+        payer: r.payer,
+        responsible: r.responsible,
+        split_mode: 'equal',
+        split_values: null,
+        handover_id: null
+    }));
+    try {
+        const { data, error } = await runMutation({ table: 'expenses', action: 'insert', rows: newExpenses });
+        if (error) {
+            console.error('Error importing expenses:', error);
+            alert('Failed to import expenses');
+            return;
+        }
+        expenses.push(...(data || []));
+        expenses.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        // Reset the import page
+        importCsvRows = [];
+        importPreviewRows = [];
+        document.getElementById('import-file').value = '';
+        document.getElementById('import-mapping').classList.add('d-none');
+        document.getElementById('import-preview').classList.add('d-none');
+        renderSummary();
+        renderExpensesList();
+        const person = document.getElementById('chart-person-select').value || 'All';
+        renderCategoryChart(person);
+        alert(`Imported ${newExpenses.length} expenses.`);
+    } catch (err) {
+        console.error('Unexpected error importing expenses:', err);
+        alert('An unexpected error occurred while importing expenses');
+    }
+}
+
+// Render the list of import rules with delete buttons.
+function renderImportRules() {
+    const list = document.getElementById('import-rules-list');
+    if (!list) return;
+    list.innerHTML = '';
+    if (importRules.length === 0) {
+        list.innerHTML = '<li class="list-group-item text-muted">No rules yet.</li>';
+        return;
+    }
+    importRules.forEach(rule => {
+        const li = document.createElement('li');
+        li.className = 'list-group-item d-flex justify-content-between align-items-center';
+        const effects = [];
+        if (rule.category) effects.push(`category ${rule.category}`);
+        if (rule.payer) effects.push(`payer ${rule.payer}`);
+        if (rule.responsible) effects.push(`responsible ${rule.responsible.join(', ')}`);
+        const span = document.createElement('span');
+        span.textContent = `Contains "${rule.pattern}" → ${effects.join(', ')}`;
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-sm btn-outline-danger';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => deleteImportRule(rule.id));
+        li.appendChild(span);
+        if (canWrite()) li.appendChild(deleteBtn);
+        list.appendChild(li);
+    });
+}
+
+// Add an import rule and re-apply rules to the preview.
+async function addImportRule(event) {
+    event.preventDefault();
+    const pattern = document.getElementById('rule-pattern').value.trim();
+    const category = document.getElementById('rule-category').value || null;
+    const payer = document.getElementById('rule-payer').value || null;
+    const responsibleValue = document.getElementById('rule-responsible').value;
+    if (!pattern) return;
+    if (!category && !payer && !responsibleValue) {
+        alert('Choose a category, payer or responsible person for the rule');
+        return;
+    }
+    const rule = { pattern, category, payer, responsible: responsibleValue ? [responsibleValue] : null };
+    try {
+        const { data, error } = await runMutation({ table: 'import_rules', action: 'insert', rows: [rule] });
+        if (error) {
+            console.error('Error adding import rule:', error);
+            alert('Failed to add rule');
+            return;
+        }
+        if (data && data.length > 0) importRules.push(data[0]);
+        document.getElementById('import-rule-form').reset();
+        renderImportRules();
+        if (importCsvRows.length > 0) buildImportPreview();
+    } catch (err) {
+        console.error('Unexpected error adding import rule:', err);
+        alert('An unexpected error occurred while adding rule');
+    }
+}
+
+// Delete an import rule.
+async function deleteImportRule(id) {
+    try {
+        const { error } = await runMutation({ table: 'import_rules', action: 'delete', id });
+        if (error) {
+            console.error('Error deleting import rule:', error);
+            alert('Failed to delete rule');
+            return;
+        }
+        importRules = importRules.filter(r => r.id !== id);
+        renderImportRules();
+        if (importCsvRows.length > 0) buildImportPreview();
+    } catch (err) {
+        console.error('Unexpected error deleting import rule:', err);
+        alert('An unexpected error occurred while deleting rule');
+    }
+}
+
+// Helper function to refresh the UI and forms after members or categories
+// change.  Re‑populates selects, filters, responsible checkboxes and
+// re‑renders all relevant views.
+async function refreshAfterListChange() {
+    // A member change may have changed the user's own role
+    applyRoleUI();
+    // Repopulate selects for add/edit forms
+    populateSelect('category', categories);
+    populateSelect('payment', paymentMethods);
+    populateSelect('payer', formMembers());
+    populateResponsibleCheckboxes('responsible-options', ['All']);
+    renderSplitInputs('add');
+    // Repopulate filters and the bulk action values
+    populateExpenseFilters();
+    populateBulkValue();
+    // Repopulate chart selects
+    const chartSelect = document.getElementById('chart-person-select');
+    if (chartSelect) {
+        chartSelect.innerHTML = '';
+        const allOpt = document.createElement('option');
+        allOpt.value = 'All';
+        allOpt.textContent = 'All';
+        chartSelect.appendChild(allOpt);
+        members.forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            chartSelect.appendChild(opt);
+        });
+        chartSelect.value = 'All';
+    }
+    // Repopulate history chart person select
     const historyChartSelect = document.getElementById('history-chart-person');
     if (historyChartSelect) {
         historyChartSelect.innerHTML = '';
@@ -551,673 +3459,3007 @@ async function refreshAfterListChange() {
             const opt = document.createElement('option');
             opt.value = name;
             opt.textContent = name;
-            historyChartSelect.appendChild(opt);
+            historyChartSelect.appendChild(opt);
+        });
+        historyChartSelect.value = 'All';
+    }
+    // Re‑render settings lists, the recurring template form and the
+    // reconciliation accounts
+    renderSettings();
+    populateRecurringForm();
+    populateImportForm();
+    renderReconcile();
+    // Re‑render summary and charts
+    renderSummary();
+    const person = document.getElementById('chart-person-select') ? document.getElementById('chart-person-select').value : 'All';
+    renderCategoryChart(person || 'All');
+    // Re‑render expenses list and history
+    renderExpensesList();
+    renderHistory();
+}
+
+// NOTE: The previous localStorage persistence functions (saveExpenses, saveHandovers)
+// are no longer used because data is stored remotely.
+
+// Populate select elements with options.  If includeAll is true, add an "All"
+// option that represents splitting among all members.  This is used for the
+// Responsible multi‑select.
+function populateSelect(selectId, options, includeAll = false) {
+    const select = document.getElementById(selectId);
+    select.innerHTML = '';
+    if (includeAll) {
+        const opt = document.createElement('option');
+        opt.value = 'All';
+        opt.textContent = 'All';
+        select.appendChild(opt);
+    }
+    options.forEach(optVal => {
+        const opt = document.createElement('option');
+        opt.value = optVal;
+        opt.textContent = optVal;
+        select.appendChild(opt);
+    });
+}
+
+// -----------------------------
+// Currency helpers
+// -----------------------------
+
+// Cached Intl formatters keyed by currency code.
+const moneyFormatters = {};
+
+// Format an amount in the given currency (the base currency by default),
+// e.g. "$12.50" or "€8.00".
+function formatMoney(amount, currency = baseCurrency) {
+    const code = currency || baseCurrency;
+    if (!moneyFormatters[code]) {
+        try {
+            moneyFormatters[code] = new Intl.NumberFormat(undefined, { style: 'currency', currency: code });
+        } catch (err) {
+            // Unknown currency code: fall back to the plain code prefix.
+            moneyFormatters[code] = { format: value => `${code} ${value.toFixed(2)}` };
+        }
+    }
+    return moneyFormatters[code].format(parseFloat(amount) || 0);
+}
+
+// The currency an expense was paid in.  Every row stores it since 028; the
+// fallback only covers rows cached before that.
+function expenseCurrency(exp) {
+    return exp.currency || baseCurrency;
+}
+
+// Find the rate for a currency on a date: the most recent rate on or before
+// the date, otherwise the earliest rate after it.  Returns null when no rate
+// has been entered for the currency.
+function findExchangeRate(currency, date) {
+    if (!currency || currency === baseCurrency) return 1;
+    const rates = exchangeRates
+        .filter(r => r.currency === currency)
+        .sort((a, b) => (a.rate_date < b.rate_date ? -1 : a.rate_date > b.rate_date ? 1 : 0));
+    if (rates.length === 0) return null;
+    let match = rates[0];
+    rates.forEach(r => {
+        if (r.rate_date <= date) match = r;
+    });
+    return parseFloat(match.rate);
+}
+
+// Conversion factor from an expense's currency to the base currency.  A
+// missing rate gives 0, leaving the expense out of totals and shares rather
+// than converting it at parity; the expenses table and the dashboard flag
+// those expenses and generateHandover refuses them.
+function expenseRate(exp) {
+    return findExchangeRate(expenseCurrency(exp), exp.date) || 0;
+}
+
+// Whether an expense is in a currency that has no exchange rate yet.
+function missingExchangeRate(exp) {
+    return findExchangeRate(expenseCurrency(exp), exp.date) === null;
+}
+
+// Amount of an expense in the base currency.
+function expenseBaseAmount(exp) {
+    return parseFloat(exp.amount) * expenseRate(exp);
+}
+
+// Amount of an expense in another currency, e.g. a payment method's own.
+// Returns null when a rate on either side is missing.
+function amountInCurrency(exp, currency) {
+    const from = expenseCurrency(exp);
+    if (from === currency) return parseFloat(exp.amount);
+    const fromRate = findExchangeRate(from, exp.date);
+    const toRate = findExchangeRate(currency, exp.date);
+    if (fromRate === null || toRate === null) return null;
+    return parseFloat(exp.amount) * fromRate / toRate;
+}
+
+// Describe an expense amount for the expenses table: the original amount,
+// plus the converted amount when it was paid in another currency.
+function formatExpenseAmount(exp) {
+    const currency = expenseCurrency(exp);
+    if (currency === baseCurrency) return formatMoney(exp.amount);
+    const rate = findExchangeRate(currency, exp.date);
+    if (rate === null) {
+        return `${formatMoney(exp.amount, currency)}<br><small class="text-danger">No ${currency} rate</small>`;
+    }
+    return `${formatMoney(exp.amount, currency)}<br><small class="text-muted">≈ ${formatMoney(parseFloat(exp.amount) * rate)}</small>`;
+}
+
+// Fill a currency select with the known codes, selecting `value`.
+function populateCurrencySelect(selectId, value = baseCurrency) {
+    const codes = currencyCodes.includes(value) ? currencyCodes : [...currencyCodes, value].sort();
+    populateSelect(selectId, codes);
+    document.getElementById(selectId).value = value;
+}
+
+// Render the base currency picker and exchange rate table on the settings page.
+function renderCurrencySettings() {
+    const baseSelect = document.getElementById('base-currency');
+    const ratesBody = document.getElementById('exchange-rates-body');
+    if (!baseSelect || !ratesBody) return;
+    populateCurrencySelect('base-currency', baseCurrency);
+    document.querySelectorAll('.base-currency-code').forEach(el => {
+        el.textContent = baseCurrency;
+    });
+    ratesBody.innerHTML = '';
+    if (exchangeRates.length === 0) {
+        ratesBody.innerHTML = '<tr><td colspan="4" class="text-muted">No exchange rates yet.</td></tr>';
+        return;
+    }
+    exchangeRates.forEach(rate => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `<td>${rate.currency}</td><td>${formatDateDisplay(rate.rate_date)}</td><td>1 ${rate.currency} = ${parseFloat(rate.rate)} ${baseCurrency}</td>` +
+            `<td class="text-end">${isAdmin() ? '<button class="btn btn-sm btn-outline-danger">Delete</button>' : ''}</td>`;
+        if (isAdmin()) tr.querySelector('button').addEventListener('click', () => deleteExchangeRate(rate.id));
+        ratesBody.appendChild(tr);
+    });
+}
+
+// Re-render every view that shows converted amounts.
+function refreshCurrencyViews() {
+    renderSummary();
+    renderExpensesList();
+    renderHistory();
+    const person = document.getElementById('chart-person-select').value || 'All';
+    renderCategoryChart(person);
+}
+
+// Change the household base currency.  Existing exchange rates are
+// expressed in the old base currency, so the user is warned to review them.
+async function saveBaseCurrency() {
+    const select = document.getElementById('base-currency');
+    const code = select.value;
+    if (code === baseCurrency) return;
+    if (exchangeRates.length > 0 && !confirm(`Exchange rates are expressed in ${baseCurrency}. Change the base currency to ${code} anyway? You will need to update the rates.`)) {
+        select.value = baseCurrency;
+        return;
+    }
+    try {
+        const { error } = await supa
+            .from('app_settings')
+            .upsert([{ household_id: currentHouseholdId, key: 'base_currency', value: code }], { onConflict: 'household_id,key' });
+        if (error) {
+            console.error('Error saving base currency:', error);
+            alert('Failed to save base currency');
+            select.value = baseCurrency;
+            return;
+        }
+        baseCurrency = code;
+        localStorage.setItem(`baseCurrency:${currentHouseholdId}`, code);
+        renderCurrencySettings();
+        refreshCurrencyViews();
+    } catch (err) {
+        console.error('Unexpected error saving base currency:', err);
+        alert('An unexpected error occurred while saving base currency');
+    }
+}
+
+// Add an exchange rate from the settings form.  A rate for the same
+// currency and date replaces the existing one.
+async function addExchangeRate(event) {
+    event.preventDefault();
+    const currency = document.getElementById('rate-currency').value;
+    const rateDate = document.getElementById('rate-date').value;
+    const rate = parseFloat(document.getElementById('rate-value').value);
+    if (!rateDate || !(rate > 0)) return;
+    if (currency === baseCurrency) {
+        alert(`${currency} is the base currency and does not need a rate`);
+        return;
+    }
+    try {
+        const { data, error } = await runMutation({ table: 'exchange_rates', action: 'upsert', rows: [{ currency, rate_date: rateDate, rate }], onConflict: 'household_id,currency,rate_date' });
+        if (error) {
+            console.error('Error adding exchange rate:', error);
+            alert('Failed to add exchange rate');
+            return;
+        }
+        exchangeRates = exchangeRates.filter(r => !(r.currency === currency && r.rate_date === rateDate));
+        if (data && data.length > 0) exchangeRates.push(data[0]);
+        exchangeRates.sort((a, b) => (a.rate_date < b.rate_date ? 1 : a.rate_date > b.rate_date ? -1 : 0));
+        document.getElementById('rate-value').value = '';
+        renderCurrencySettings();
+        refreshCurrencyViews();
+    } catch (err) {
+        console.error('Unexpected error adding exchange rate:', err);
+        alert('An unexpected error occurred while adding exchange rate');
+    }
+}
+
+// Delete an exchange rate.
+async function deleteExchangeRate(id) {
+    const rate = exchangeRates.find(r => r.id === id);
+    if (!rate) return;
+    if (!confirm(`Delete the ${rate.currency} rate for ${formatDateDisplay(rate.rate_date)}?`)) return;
+    try {
+        const { error } = await runMutation({ table: 'exchange_rates', action: 'delete', id });
+        if (error) {
+            console.error('Error deleting exchange rate:', error);
+            alert('Failed to delete exchange rate');
+            return;
+        }
+        exchangeRates = exchangeRates.filter(r => r.id !== id);
+        renderCurrencySettings();
+        refreshCurrencyViews();
+    } catch (err) {
+        console.error('Unexpected error deleting exchange rate:', err);
+        alert('An unexpected error occurred while deleting exchange rate');
+    }
+}
+
+// Load the base currency and exchange rates from Supabase.  The base
+// currency is remembered locally so conversions still work offline.
+async function loadCurrencySettings() {
+    await initSupabase();
+    baseCurrency = localStorage.getItem(`baseCurrency:${currentHouseholdId}`) || baseCurrency;
+    if (navigator.onLine) {
+        const { data: setData, error: setErr } = await supa
+            .from('app_settings')
+            .select('*')
+            .eq('household_id', currentHouseholdId)
+            .eq('key', 'base_currency');
+        if (setErr) {
+            console.error('Error loading base currency:', setErr);
+        } else if (setData && setData.length > 0 && setData[0].value) {
+            baseCurrency = setData[0].value;
+            localStorage.setItem(`baseCurrency:${currentHouseholdId}`, baseCurrency);
+        }
+    }
+    const { data: rateData, error: rateErr } = await selectWithCache('exchange_rates', () => supa
+        .from('exchange_rates')
+        .select('*')
+        .eq('household_id', currentHouseholdId)
+        .order('rate_date', { ascending: false }));
+    if (rateErr) {
+        console.error('Error loading exchange rates:', rateErr);
+        exchangeRates = [];
+    } else {
+        exchangeRates = rateData || [];
+    }
+}
+
+// Resolve the list of member names an expense is split between.  Handles the
+// legacy `beneficiaries` field and expands 'All' to every current member.
+function resolveResponsible(exp) {
+    const resp = exp.responsible || exp.beneficiaries || [];
+    return resp.includes('All') ? membersActiveOn(exp.date) : resp;
+}
+
+// Whether a member lived in the house at any time from `start` to `end`
+// (ISO dates, inclusive).  Missing move‑in or move‑out dates are open ended.
+function memberActiveBetween(rec, start, end) {
+    return (!rec.moved_in || rec.moved_in <= end) && (!rec.moved_out || rec.moved_out >= start);
+}
+
+// Names of the members who lived in the house during a period or on a date.
+function membersActiveBetween(start, end) {
+    return memberRecords.filter(rec => memberActiveBetween(rec, start, end)).map(rec => rec.name);
+}
+
+function membersActiveOn(date) {
+    const day = date || todayISO();
+    return membersActiveBetween(day, day);
+}
+
+// Whether an expense split among "All" would have nobody to split among on
+// its date (before everyone moved in or after the last one moved out).
+// Its amount would still count as paid, so such expenses are refused.
+function allResolvesToNobody(responsible, date) {
+    return (responsible || []).includes('All') && membersActiveOn(date).length === 0;
+}
+
+function nobodyActiveMessage(date) {
+    return `Nobody lived in the house on ${formatDateDisplay(date)}, so "All" has nobody to split among. Select the responsible members instead.`;
+}
+
+// Members offered in the forms: those living in the house today, plus any
+// of `keep` (e.g. the payer of an older expense being edited).
+function formMembers(keep = []) {
+    const active = membersActiveOn(todayISO());
+    return members.filter(name => active.includes(name) || keep.includes(name));
+}
+
+// The lines an expense is attributed by: one per item of an itemised
+// receipt, each split equally among its responsible members, or else the
+// expense itself.
+function expenseLines(exp) {
+    if (!exp.items || exp.items.length === 0) return [exp];
+    return exp.items.map(item => ({
+        ...exp,
+        title: item.title || exp.title,
+        amount: item.amount,
+        category: item.category,
+        responsible: item.responsible,
+        split_mode: 'equal',
+        split_values: null,
+        items: null
+    }));
+}
+
+// Compute how much of an expense each responsible member owes, in the base
+// currency.  Returns an object keyed by member name.  Equal splits (and
+// legacy expenses without a `split_mode`) divide the amount evenly; other
+// modes use `split_values`, which are in the expense's own currency.  The
+// items of an itemised receipt are added up line by line.
+function computeExpenseShares(exp) {
+    if (exp.items && exp.items.length > 0) {
+        const shares = {};
+        expenseLines(exp).forEach(line => {
+            Object.entries(computeExpenseShares(line)).forEach(([name, share]) => {
+                shares[name] = (shares[name] || 0) + share;
+            });
+        });
+        return shares;
+    }
+    const amount = parseFloat(exp.amount);
+    const rate = expenseRate(exp);
+    const respList = resolveResponsible(exp);
+    const values = exp.split_values || {};
+    const shares = {};
+    switch (exp.split_mode) {
+        case 'percent':
+            respList.forEach(name => {
+                shares[name] = amount * (parseFloat(values[name]) || 0) / 100;
+            });
+            break;
+        case 'shares': {
+            const totalWeight = respList.reduce((sum, name) => sum + (parseFloat(values[name]) || 0), 0);
+            respList.forEach(name => {
+                shares[name] = totalWeight > 0 ? amount * (parseFloat(values[name]) || 0) / totalWeight : 0;
+            });
+            break;
+        }
+        case 'exact':
+            respList.forEach(name => {
+                shares[name] = parseFloat(values[name]) || 0;
+            });
+            break;
+        default:
+            respList.forEach(name => {
+                shares[name] = amount / (respList.length || 1);
+            });
+    }
+    Object.keys(shares).forEach(name => {
+        shares[name] *= rate;
+    });
+    return shares;
+}
+
+// Check that split values add up for the given mode.  Returns an error
+// message, or null when the split is valid.
+function validateSplit(mode, values, names, amount, currency = baseCurrency) {
+    if (mode === 'equal') return null;
+    const nums = names.map(name => parseFloat(values[name]));
+    if (nums.some(n => isNaN(n) || n < 0)) {
+        return 'Please enter a non-negative value for every responsible person';
+    }
+    const sum = nums.reduce((a, b) => a + b, 0);
+    if (mode === 'percent' && Math.abs(sum - 100) > 0.01) {
+        return `Percentages must add up to 100% (currently ${sum.toFixed(2)}%)`;
+    }
+    if (mode === 'shares' && sum <= 0) {
+        return 'Shares must add up to more than zero';
+    }
+    if (mode === 'exact' && Math.abs(sum - amount) > 0.01) {
+        return `Exact amounts must add up to the total of ${formatMoney(amount, currency)} (currently ${formatMoney(sum, currency)})`;
+    }
+    return null;
+}
+
+// Describe an expense's responsible members for display, including each
+// person's part when the split is not equal (e.g. "Alice (60%), Bob (40%)").
+function formatResponsible(exp) {
+    const resp = exp.responsible || exp.beneficiaries || [];
+    if (!exp.split_mode || exp.split_mode === 'equal') return resp.join(', ');
+    const values = exp.split_values || {};
+    return resolveResponsible(exp).map(name => {
+        const v = parseFloat(values[name]) || 0;
+        if (exp.split_mode === 'percent') return `${name} (${v}%)`;
+        if (exp.split_mode === 'shares') return `${name} (${v} ${v === 1 ? 'share' : 'shares'})`;
+        return `${name} (${formatMoney(v, expenseCurrency(exp))})`;
+    }).join(', ');
+}
+
+// Compute summary for a list of expenses.  Returns an object keyed by member
+// name with { paid, share }, covering the members who lived in the house
+// during the expenses' dates and anyone else the expenses involve.  Net is
+// computed by caller as share - paid.
+function computeSummaryFromList(list) {
+    const dates = list.map(exp => exp.date).sort();
+    const involved = new Set(dates.length > 0 ? membersActiveBetween(dates[0], dates[dates.length - 1]) : membersActiveOn(todayISO()));
+    const sharesList = list.map(exp => {
+        const shares = computeExpenseShares(exp);
+        involved.add(exp.payer);
+        Object.keys(shares).forEach(name => involved.add(name));
+        return shares;
+    });
+    const summary = {};
+    members.filter(m => involved.has(m)).forEach(m => {
+        summary[m] = { paid: 0, share: 0 };
+    });
+    list.forEach((exp, i) => {
+        const amount = expenseBaseAmount(exp);
+        // Add to payer's paid total
+        if (summary[exp.payer]) {
+            summary[exp.payer].paid += amount;
+        }
+        const shares = sharesList[i];
+        Object.keys(shares).forEach(name => {
+            if (summary[name]) {
+                summary[name].share += shares[name];
+            }
+        });
+    });
+    return summary;
+}
+
+// Compute category totals for chart.  When person is 'All' we sum the full
+// amounts, otherwise we sum the person's shares for each category.
+function computeCategoryTotals(person) {
+    return computeCategoryTotalsFromList(expenses, person);
+}
+
+// -----------------------------
+// Additional helper functions
+// -----------------------------
+
+// Format a date string (YYYY-MM-DD) into "DD MMM YYYY" (e.g., 12 DEC 2025).
+function formatDateDisplay(dateStr) {
+    const months = ['JAN','FEB','MAR','APR','MAY','JUN','JUL','AUG','SEP','OCT','NOV','DEC'];
+    const [year, month, day] = dateStr.split('-');
+    return `${day} ${months[parseInt(month, 10) - 1]} ${year}`;
+}
+
+// Escape text typed by household members (titles, names, categories)
+// before it goes into HTML.
+function escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Compute and display the dashboard period (from last handover end or earliest
+// current expense to the latest current expense) and total amount spent.  If
+// there are no current expenses, a message will be shown instead.
+function renderDashboardInfo() {
+    const infoDiv = document.getElementById('dashboard-info');
+    if (!infoDiv) return;
+    if (!expenses || expenses.length === 0) {
+        infoDiv.textContent = 'No expenses yet.';
+        return;
+    }
+    // Determine period start: if there are past handovers, use the last handover end; else use earliest expense date.
+    let start;
+    if (handovers && handovers.length > 0) {
+        start = handovers[handovers.length - 1].end;
+    } else {
+        start = expenses.reduce((min, exp) => (exp.date < min ? exp.date : min), expenses[0].date);
+    }
+    // Determine period end: latest expense date
+    const end = expenses.reduce((max, exp) => (exp.date > max ? exp.date : max), expenses[0].date);
+    // Compute total amount spent in current period
+    const total = expenses.reduce((sum, exp) => sum + expenseBaseAmount(exp), 0);
+    const startDisplay = formatDateDisplay(start);
+    const endDisplay = formatDateDisplay(end);
+    const unrated = expenses.filter(missingExchangeRate).length;
+    infoDiv.innerHTML = `<strong>Period:</strong> ${startDisplay} – ${endDisplay}<br><strong>Total spent:</strong> ${formatMoney(total)}` +
+        (unrated > 0 ? `<br><span class="text-danger">${unrated} expense(s) have no exchange rate and are left out of the totals; add the rates in Settings.</span>` : '');
+}
+
+// Populate a container with checkboxes for responsible selection.  The
+// `containerId` is the ID of the DOM element that will hold the checkboxes.  The
+// optional `selected` array specifies which names should be checked on load;
+// defaults to ['All'].
+function populateResponsibleCheckboxes(containerId, selected = ['All'], names = formMembers(selected)) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    container.innerHTML = '';
+    // Helper to create a checkbox with label
+    function createCheckbox(value, label) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-check me-2';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'form-check-input';
+        input.id = `${containerId}-${value}`;
+        input.value = value;
+        input.checked = selected.includes(value);
+        const lbl = document.createElement('label');
+        lbl.className = 'form-check-label';
+        lbl.htmlFor = input.id;
+        lbl.textContent = label;
+        wrapper.appendChild(input);
+        wrapper.appendChild(lbl);
+        return { wrapper, input };
+    }
+    // 'All' option
+    const { wrapper: allWrapper, input: allInput } = createCheckbox('All', 'All');
+    container.appendChild(allWrapper);
+    // Individual member options
+    const individualInputs = [];
+    names.forEach(name => {
+        const { wrapper, input } = createCheckbox(name, name);
+        container.appendChild(wrapper);
+        individualInputs.push(input);
+    });
+    // Event rules: when 'All' is checked, uncheck others; when any individual is checked, uncheck 'All';
+    // when no individuals are checked, re-check 'All'.
+    allInput.addEventListener('change', () => {
+        if (allInput.checked) {
+            individualInputs.forEach(cb => cb.checked = false);
+        }
+    });
+    individualInputs.forEach(cb => {
+        cb.addEventListener('change', () => {
+            if (cb.checked) {
+                allInput.checked = false;
+            } else {
+                const anyChecked = individualInputs.some(other => other.checked);
+                if (!anyChecked) {
+                    allInput.checked = true;
+                }
+            }
+        });
+    });
+}
+
+// Return the member names currently ticked in a responsible checkbox
+// container, with 'All' expanded to the members living in the house on
+// `date`.
+function getSelectedResponsible(containerId, date) {
+    const selected = Array.from(document.querySelectorAll(`#${containerId} input[type=checkbox]:checked`)).map(cb => cb.value);
+    return selected.includes('All') ? membersActiveOn(date) : selected;
+}
+
+// Fill a split mode select with the available modes and select `mode`.
+function populateSplitModes(formKey, mode = 'equal') {
+    const ids = splitForms[formKey];
+    const select = document.getElementById(ids.mode);
+    if (!select) return;
+    select.innerHTML = '';
+    splitModes.forEach(m => {
+        const opt = document.createElement('option');
+        opt.value = m.value;
+        opt.textContent = m.label;
+        select.appendChild(opt);
+    });
+    select.value = mode;
+}
+
+// Render one number input per responsible member for the selected split
+// mode.  Values already typed into the inputs are kept when the responsible
+// selection changes; `initial` supplies values when opening an expense.
+function renderSplitInputs(formKey, initial = null) {
+    const ids = splitForms[formKey];
+    const container = document.getElementById(ids.values);
+    const select = document.getElementById(ids.mode);
+    if (!container || !select) return;
+    const current = initial || readSplitValues(formKey);
+    container.innerHTML = '';
+    const mode = select.value || 'equal';
+    if (mode !== 'equal') {
+        const suffix = mode === 'percent' ? '%' : mode === 'shares' ? 'shares' : '$';
+        getSelectedResponsible(ids.responsible, document.getElementById(ids.date).value).forEach(name => {
+            const col = document.createElement('div');
+            col.className = 'col-sm-6 col-lg-4';
+            const group = document.createElement('div');
+            group.className = 'input-group input-group-sm';
+            const label = document.createElement('span');
+            label.className = 'input-group-text';
+            label.textContent = name;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'form-control';
+            input.min = '0';
+            input.step = mode === 'shares' ? '1' : '0.01';
+            input.dataset.member = name;
+            if (current[name] !== undefined) input.value = current[name];
+            input.addEventListener('input', () => updateSplitHint(formKey));
+            const unit = document.createElement('span');
+            unit.className = 'input-group-text';
+            unit.textContent = suffix;
+            group.appendChild(label);
+            group.appendChild(input);
+            group.appendChild(unit);
+            col.appendChild(group);
+            container.appendChild(col);
+        });
+    }
+    updateSplitHint(formKey);
+}
+
+// Read the per‑member values currently entered in a split container.
+function readSplitValues(formKey) {
+    const values = {};
+    document.querySelectorAll(`#${splitForms[formKey].values} input[data-member]`).forEach(input => {
+        if (input.value !== '') values[input.dataset.member] = parseFloat(input.value);
+    });
+    return values;
+}
+
+// Show how much of the expense has been allocated so far.
+function updateSplitHint(formKey) {
+    const ids = splitForms[formKey];
+    const hint = document.getElementById(ids.hint);
+    if (!hint) return;
+    const mode = document.getElementById(ids.mode).value;
+    const values = readSplitValues(formKey);
+    const sum = Object.values(values).reduce((a, b) => a + b, 0);
+    const amount = parseFloat(document.getElementById(ids.amount).value) || 0;
+    const currency = document.getElementById(ids.currency).value;
+    if (mode === 'percent') {
+        hint.textContent = `Allocated ${sum.toFixed(2)}% of 100%`;
+    } else if (mode === 'shares') {
+        hint.textContent = `${sum} shares in total`;
+    } else if (mode === 'exact') {
+        hint.textContent = `Allocated ${formatMoney(sum, currency)} of ${formatMoney(amount, currency)}`;
+    } else {
+        hint.textContent = '';
+    }
+}
+
+// Collect and validate the split for a form.  Returns
+// { split_mode, split_values } on success or { error } when the values do
+// not add up.
+function readSplit(formKey, amount) {
+    const ids = splitForms[formKey];
+    const mode = document.getElementById(ids.mode).value;
+    if (mode === 'equal') return { split_mode: 'equal', split_values: null };
+    const names = getSelectedResponsible(ids.responsible, document.getElementById(ids.date).value);
+    const values = readSplitValues(formKey);
+    const currency = document.getElementById(ids.currency).value;
+    const error = validateSplit(mode, values, names, parseFloat(amount) || 0, currency);
+    if (error) return { error };
+    const splitValues = {};
+    names.forEach(name => (splitValues[name] = values[name]));
+    return { split_mode: mode, split_values: splitValues };
+}
+
+// Read who shares an expense and how, from either the responsible and split
+// fields or the items of an itemised receipt.  Returns { responsible,
+// split_mode, split_values, items } or { error }.
+function readExpenseSplit(formKey, amount) {
+    const date = document.getElementById(splitForms[formKey].date).value;
+    if (isItemised(formKey)) {
+        const receipt = readReceipt(formKey, amount);
+        if (!receipt.error && receipt.items.some(item => allResolvesToNobody(item.responsible, date))) {
+            return { error: nobodyActiveMessage(date) };
+        }
+        return receipt;
+    }
+    const selected = Array.from(document.querySelectorAll(`#${splitForms[formKey].responsible} input[type=checkbox]:checked`)).map(cb => cb.value);
+    if (selected.length === 0) return { error: 'Please select at least one responsible person' };
+    if (allResolvesToNobody(selected, date)) return { error: nobodyActiveMessage(date) };
+    const split = readSplit(formKey, amount);
+    if (split.error) return split;
+    return { responsible: selected, ...split, items: null };
+}
+
+// Wire the split controls of a form so the per‑member inputs follow the
+// selected mode, responsible members and amount.
+function initSplitControls(formKey) {
+    const ids = splitForms[formKey];
+    populateSplitModes(formKey);
+    document.getElementById(ids.mode).addEventListener('change', () => renderSplitInputs(formKey));
+    document.getElementById(ids.responsible).addEventListener('change', () => renderSplitInputs(formKey));
+    document.getElementById(ids.amount).addEventListener('input', () => updateSplitHint(formKey));
+    document.getElementById(ids.currency).addEventListener('change', () => updateSplitHint(formKey));
+    // 'All' means whoever lives in the house on the expense date
+    document.getElementById(ids.date).addEventListener('change', () => renderSplitInputs(formKey));
+    renderSplitInputs(formKey);
+}
+
+// Compute category totals from an arbitrary list of expenses.  Works similarly
+// to computeCategoryTotals but operates on an arbitrary list of expenses instead of
+// the global `expenses` array.
+function computeCategoryTotalsFromList(list, person) {
+    const totals = {};
+    categories.forEach(cat => (totals[cat] = 0));
+    // Each item of a receipt counts towards its own category
+    list.flatMap(expenseLines).forEach(line => {
+        const category = line.category;
+        if (person === 'All') {
+            totals[category] = (totals[category] || 0) + expenseBaseAmount(line);
+        } else {
+            const shares = computeExpenseShares(line);
+            if (shares[person] !== undefined) {
+                totals[category] = (totals[category] || 0) + shares[person];
+            }
+        }
+    });
+    return totals;
+}
+
+// Render a custom history report.  Based on the currently selected start and
+// end dates in the history filters, it asks the server for the totals of the
+// archived expenses in that range (cached per range) and populates the
+// custom report section with a table and pie chart.
+async function renderHistoryReport() {
+    const startDate = document.getElementById('history-start').value;
+    const endDate = document.getElementById('history-end').value;
+    const reportDiv = document.getElementById('history-report');
+    const infoDiv = document.getElementById('history-report-info');
+    const tbody = document.getElementById('history-report-body');
+    const chartSelect = document.getElementById('history-chart-person');
+    if (!reportDiv || !infoDiv || !tbody || !chartSelect) return;
+    if (handovers.length === 0) {
+        reportDiv.classList.add('d-none');
+        return;
+    }
+    // Only the latest request may render; the dates can change meanwhile
+    const request = ++historyReportRequest;
+    let report;
+    try {
+        report = await fetchRangeReport(startDate, endDate);
+    } catch (err) {
+        if (request !== historyReportRequest) return;
+        console.error('Error loading history report:', err);
+        historyReport = null;
+        infoDiv.textContent = isNetworkError(err) ? 'The report needs a connection.' : 'The report could not be loaded.';
+        tbody.innerHTML = '';
+        reportDiv.classList.remove('d-none');
+        return;
+    }
+    if (request !== historyReportRequest) return;
+    historyReport = report;
+    if (!report || !report.expense_count) {
+        // Hide report if no data
+        reportDiv.classList.add('d-none');
+        return;
+    }
+    infoDiv.innerHTML = `<strong>Period:</strong> ${formatDateDisplay(report.first_date)} – ${formatDateDisplay(report.last_date)}<br>` +
+        `<strong>Total spent:</strong> ${formatMoney(report.total)} (${report.expense_count} expense${report.expense_count === 1 ? '' : 's'})`;
+    tbody.innerHTML = '';
+    report.members.forEach(m => {
+        const paid = parseFloat(m.paid) || 0;
+        const share = parseFloat(m.share) || 0;
+        const tr = document.createElement('tr');
+        tr.innerHTML = `<td>${escapeHTML(memberName(m.id))}</td><td>${formatMoney(paid)}</td><td>${formatMoney(share)}</td><td>${formatMoney(share - paid)}</td>`;
+        tbody.appendChild(tr);
+    });
+    // Populate chart person select only once
+    if (chartSelect.options.length === 0) {
+        const allOpt = document.createElement('option');
+        allOpt.value = 'All';
+        allOpt.textContent = 'All';
+        chartSelect.appendChild(allOpt);
+        members.forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            chartSelect.appendChild(opt);
+        });
+        chartSelect.addEventListener('change', () => {
+            if (historyReport) renderHistoryCategoryChart(historyReport, chartSelect.value);
+        });
+    }
+    // Set default selection to All and render chart
+    chartSelect.value = 'All';
+    renderHistoryCategoryChart(report, 'All');
+    reportDiv.classList.remove('d-none');
+}
+
+// Category totals from a range report: full amounts for 'All', otherwise
+// the person's shares.
+function rangeReportCategoryTotals(report, person) {
+    const memberId = person === 'All' ? null : memberIdByName(person);
+    const totals = {};
+    report.categories.forEach(c => {
+        const value = memberId ? parseFloat((c.shares || {})[memberId]) || 0 : parseFloat(c.total) || 0;
+        if (value > 0) totals[categoryName(c.id)] = value;
+    });
+    return totals;
+}
+
+// Render a category breakdown chart for the history report.
+function renderHistoryCategoryChart(report, person) {
+    const totals = rangeReportCategoryTotals(report, person);
+    const title = person === 'All' ? 'Overall Category Spend' : `${person}'s Category Share`;
+    historyCategoryChart = renderCategoryPie(historyCategoryChart, 'historyCategoryChart', totals, historyChartView, title, 'history-chart-up',
+        () => renderHistoryCategoryChart(historyReport, document.getElementById('history-chart-person').value));
+}
+
+// Compute settlement transactions based on a summary object.  Returns an
+// array of { from, to, amount } transfers that bring every member's net to
+// zero.  Two strategies are supported via `options.mode`:
+//   'minimal' (default) – greedily match the largest debtor with the largest
+//     creditor until all balances are settled.  This keeps the number of
+//     transfers to at most one fewer than the number of people involved.
+//   'direct' – each person only pays the people whose expenses they shared,
+//     netting out what two people owe each other.  Requires
+//     `options.expenses`, the list the summary was computed from.
+function computeSettlement(summary, options = {}) {
+    if (options.mode === 'direct') {
+        return computeDirectSettlement(options.expenses || []);
+    }
+    const debtors = [];
+    const creditors = [];
+    Object.keys(summary).forEach(name => {
+        const s = summary[name];
+        const net = s.share - s.paid;
+        if (net > 0.01) {
+            debtors.push({ name, amount: net });
+        } else if (net < -0.01) {
+            creditors.push({ name, amount: -net });
+        }
+    });
+    const transactions = [];
+    while (debtors.length > 0 && creditors.length > 0) {
+        debtors.sort((a, b) => b.amount - a.amount);
+        creditors.sort((a, b) => b.amount - a.amount);
+        const debtor = debtors[0];
+        const creditor = creditors[0];
+        const amount = Math.min(debtor.amount, creditor.amount);
+        transactions.push({ from: debtor.name, to: creditor.name, amount: roundMoney(amount) });
+        debtor.amount -= amount;
+        creditor.amount -= amount;
+        if (debtor.amount <= 0.01) debtors.shift();
+        if (creditor.amount <= 0.01) creditors.shift();
+    }
+    return transactions;
+}
+
+// Settle each pair of members separately: everyone owes the payer of each
+// expense their share of it, and opposite debts between two people cancel.
+function computeDirectSettlement(list) {
+    const owed = {};
+    list.forEach(exp => {
+        const shares = computeExpenseShares(exp);
+        Object.keys(shares).forEach(name => {
+            if (name === exp.payer || !shares[name]) return;
+            const key = JSON.stringify([name, exp.payer]);
+            owed[key] = (owed[key] || 0) + shares[name];
+        });
+    });
+    const transactions = [];
+    const seen = new Set();
+    Object.keys(owed).forEach(key => {
+        const [from, to] = JSON.parse(key);
+        const reverseKey = JSON.stringify([to, from]);
+        if (seen.has(key) || seen.has(reverseKey)) return;
+        seen.add(key);
+        const net = owed[key] - (owed[reverseKey] || 0);
+        if (net > 0.01) {
+            transactions.push({ from, to, amount: roundMoney(net) });
+        } else if (net < -0.01) {
+            transactions.push({ from: to, to: from, amount: roundMoney(-net) });
+        }
+    });
+    transactions.sort((a, b) => a.from.localeCompare(b.from) || b.amount - a.amount);
+    return transactions;
+}
+
+// Round a money amount to cents.
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Convert a stored settlement transaction into a { from, to, amount }
+// object.  Handovers recorded before settlements were structured stored
+// preformatted strings such as "Alice to Bob: $12.50".
+function normalizeTransaction(t) {
+    if (typeof t !== 'string') return { from: t.from, to: t.to, amount: parseFloat(t.amount) };
+    const match = t.match(/^(.+) to (.+): \$(-?[\d.]+)$/);
+    if (!match) return { from: '', to: '', amount: 0, text: t };
+    return { from: match[1], to: match[2], amount: parseFloat(match[3]) };
+}
+
+// Describe a settlement transaction for display.
+function formatTransaction(t, currency = baseCurrency) {
+    if (t.text) return t.text;
+    return `${t.from} to ${t.to}: ${formatMoney(t.amount, currency)}`;
+}
+
+// Open the edit modal for the expense at the specified index.  Prefills the
+// form fields with the existing expense data and shows the modal.
+function openEditModal(index) {
+    currentEditIndex = index;
+    const exp = expenses[index];
+    // Prefill simple inputs
+    document.getElementById('edit-date').value = exp.date;
+    document.getElementById('edit-title').value = exp.title;
+    document.getElementById('edit-description').value = exp.description || '';
+    document.getElementById('edit-amount').value = parseFloat(exp.amount).toFixed(2);
+    populateCurrencySelect('edit-currency', expenseCurrency(exp));
+    // Populate selects and set value
+    populateSelect('edit-category', categories);
+    populateSelect('edit-payment', paymentMethods);
+    populateSelect('edit-payer', formMembers([exp.payer]));
+    document.getElementById('edit-category').value = exp.category;
+    document.getElementById('edit-payment').value = exp.payment;
+    document.getElementById('edit-payer').value = exp.payer;
+    // Populate responsible checkboxes
+    const respList = exp.responsible || exp.beneficiaries || [];
+    const selected = respList.includes('All') || respList.length === 0 ? ['All'] : respList;
+    populateResponsibleCheckboxes('edit-responsible', selected);
+    // Restore the stored split mode and per‑member values
+    populateSplitModes('edit', exp.split_mode || 'equal');
+    renderSplitInputs('edit', exp.split_values || {});
+    setItemised('edit', !!(exp.items && exp.items.length > 0), exp.items);
+    // Change history is loaded in the background
+    document.getElementById('edit-history-panel').open = false;
+    renderExpenseHistory(exp.id);
+    // Show modal using Bootstrap JS API
+    const modalEl = document.getElementById('edit-modal');
+    const modal = new bootstrap.Modal(modalEl);
+    modal.show();
+}
+
+// Save changes made in the edit modal back to the expenses list
+async function saveEdit() {
+    if (currentEditIndex === null) return;
+    const idx = currentEditIndex;
+    // Retrieve values from the modal
+    const date = document.getElementById('edit-date').value;
+    const title = document.getElementById('edit-title').value;
+    const description = document.getElementById('edit-description').value;
+    const amount = document.getElementById('edit-amount').value;
+    const currency = document.getElementById('edit-currency').value;
+    const category = document.getElementById('edit-category').value;
+    const payment = document.getElementById('edit-payment').value;
+    const payer = document.getElementById('edit-payer').value;
+    const split = readExpenseSplit('edit', amount);
+    if (split.error) {
+        alert(split.error);
+        return;
+    }
+    // Grab the existing expense record to get its ID
+    const existing = expenses[idx];
+    const updated = {
+        date,
+        title,
+        description,
+        amount,
+        currency,
+        category,
+        payment,
+        payer,
+        ...split
+    };
+    try {
+        // Perform update in Supabase using the record's ID
+        const { data, error } = await runMutation({ table: 'expenses', action: 'update', id: existing.id, values: updated, base: existing.updated_at, label: `Expense "${existing.title}"` });
+        if (error) {
+            console.error('Error updating expense:', error);
+            alert('Failed to update expense');
+            return;
+        }
+        // Replace the record in the local array.  Live updates may have
+        // shifted it while the request was in flight, so find it by ID.
+        const pos = expenses.findIndex(e => e.id === existing.id);
+        if (pos >= 0) expenses[pos] = { ...existing, ...updated, ...(data && data[0]) };
+        // Refresh views
+        renderSummary();
+        renderExpensesList();
+        const person = document.getElementById('chart-person-select').value || 'All';
+        renderCategoryChart(person);
+        // Hide modal
+        const modalEl = document.getElementById('edit-modal');
+        const modal = bootstrap.Modal.getInstance(modalEl);
+        modal.hide();
+        currentEditIndex = null;
+    } catch (err) {
+        console.error('Unexpected error updating expense:', err);
+        alert('An unexpected error occurred while updating expense');
+    }
+}
+
+// Delete an expense by index.  It goes to the trash and a toast offers to
+// undo the deletion.
+async function deleteExpense(index) {
+    const exp = expenses[index];
+    try {
+        const { data, error } = await setDeleted('expenses', exp, true, `Expense "${exp.title}"`);
+        if (error) {
+            console.error('Error deleting expense:', error);
+            alert('Failed to delete expense');
+            return;
+        }
+        expenses = expenses.filter(e => e.id !== exp.id);
+        renderSummary();
+        renderExpensesList();
+        const person = document.getElementById('chart-person-select').value || 'All';
+        renderCategoryChart(person);
+        loadTrash();
+        showUndoToast(`Deleted "${exp.title}"`, () => restoreExpense({ ...exp, ...(data && data[0]) }));
+    } catch (err) {
+        console.error('Unexpected error deleting expense:', err);
+        alert('An unexpected error occurred while deleting expense');
+    }
+}
+
+// Render summary table for the dashboard using current expenses.
+function renderSummary() {
+    const summary = computeSummaryFromList(expenses);
+    const tbody = document.getElementById('summary-body');
+    tbody.innerHTML = '';
+    Object.keys(summary).forEach(name => {
+        const s = summary[name];
+        const net = s.share - s.paid;
+        const tr = document.createElement('tr');
+        tr.innerHTML = `<td>${escapeHTML(name)}</td>` +
+            `<td>${formatMoney(s.paid)}</td>` +
+            `<td>${formatMoney(s.share)}</td>` +
+            `<td>${formatMoney(net)}</td>`;
+        tbody.appendChild(tr);
+    });
+
+    // Update dashboard period and total information
+    if (typeof renderDashboardInfo === 'function') {
+        renderDashboardInfo();
+    }
+    renderSettlementBanner();
+}
+
+// Global chart instance for category breakdown.  We reuse the same chart
+// instance and update its data to avoid re‑creating canvases.
+let categoryChart = null;
+
+// Separate chart instance for the history custom report
+let historyCategoryChart = null;
+// The parent category each chart is drilled down to (null for the top
+// level) and the categories of its slices, in order
+const categoryChartView = { parent: null, keys: [] };
+const historyChartView = { parent: null, keys: [] };
+// Server totals shown in the history custom report, and a counter so only
+// the latest report request renders
+let historyReport = null;
+let historyReportRequest = 0;
+// Track the index of the expense being edited in the edit modal
+let currentEditIndex = null;
+
+function renderCategoryChart(person) {
+    const totals = computeCategoryTotals(person);
+    const title = person === 'All' ? 'Overall Category Spend' : `${person}'s Category Share`;
+    categoryChart = renderCategoryPie(categoryChart, 'categoryChart', totals, categoryChartView, title, 'category-chart-up',
+        () => renderCategoryChart(document.getElementById('chart-person-select').value || 'All'));
+}
+
+// The "All categories" buttons take the charts back to the top level.
+function initCategoryChartNavigation() {
+    document.getElementById('category-chart-up').addEventListener('click', () => {
+        categoryChartView.parent = null;
+        renderCategoryChart(document.getElementById('chart-person-select').value || 'All');
+    });
+    document.getElementById('history-chart-up').addEventListener('click', () => {
+        historyChartView.parent = null;
+        if (historyReport) renderHistoryCategoryChart(historyReport, document.getElementById('history-chart-person').value);
+    });
+}
+
+// Return the expenses matching the expense list filters, sorted as
+// selected.  Archived expenses are included when the scope toggle is on
+// (see loadArchivedSearch).
+function getFilteredExpenses() {
+    const filters = readExpenseFilters();
+    const { start, end } = filterDateRange(filters);
+    const me = currentMember() ? currentMember().name : null;
+    const person = value => (value === ME_FILTER ? me : value);
+    const payerFilter = person(filters.payer);
+    const responsibleFilter = person(filters.responsible);
+    // A parent category also matches its subcategories
+    const inFilterCategory = name => name === filters.category || categoryParent(name) === filters.category;
+    const search = filters.search.trim().toLowerCase();
+    const min = filters.amountMin === '' ? null : parseFloat(filters.amountMin);
+    const max = filters.amountMax === '' ? null : parseFloat(filters.amountMax);
+    const source = filters.includeArchived ? [...expenses, ...archivedSearch.rows] : expenses;
+    const filtered = source.filter(exp => {
+        if (filters.payer && exp.payer !== payerFilter) return false;
+        if (filters.category && !inFilterCategory(exp.category) &&
+            !(exp.items || []).some(item => inFilterCategory(item.category))) return false;
+        if (filters.responsible && !resolveResponsible(exp).includes(responsibleFilter)) return false;
+        if ((start && exp.date < start) || (end && exp.date > end)) return false;
+        if (search && !`${exp.title} ${exp.description || ''}`.toLowerCase().includes(search)) return false;
+        const amount = expenseBaseAmount(exp);
+        if ((min !== null && amount < min) || (max !== null && amount > max)) return false;
+        return true;
+    });
+    // Dates are ISO strings (YYYY-MM-DD) so they compare lexicographically
+    const byDate = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+    const compare = {
+        date: byDate,
+        amount: (a, b) => expenseBaseAmount(a) - expenseBaseAmount(b),
+        payer: (a, b) => (a.payer || '').localeCompare(b.payer || ''),
+        category: (a, b) => (a.category || '').localeCompare(b.category || '')
+    }[filters.sortField] || byDate;
+    const direction = filters.sortOrder === 'asc' ? 1 : -1;
+    // Ties keep the newest expense first
+    filtered.sort((a, b) => direction * compare(a, b) || byDate(b, a));
+    return filtered;
+}
+
+// Render expense list table based on filters and sorting.  Archived
+// expenses found by the search are read‑only here.  Rows the user may edit
+// get a checkbox for bulk actions; the selection keeps only listed rows.
+function renderExpensesList() {
+    const filters = readExpenseFilters();
+    if (filters.includeArchived) loadArchivedSearch(filters);
+    const filtered = getFilteredExpenses();
+    const selectable = new Set(filtered.filter(isBulkSelectable).map(exp => exp.id));
+    selectedExpenseIds = new Set([...selectedExpenseIds].filter(id => selectable.has(id)));
+    const tbody = document.getElementById('expenses-body');
+    tbody.innerHTML = '';
+    filtered.forEach(exp => {
+        const tr = document.createElement('tr');
+        if (isRecentRemoteChange(exp.id)) tr.className = 'remote-change';
+        const idx = expenses.indexOf(exp);
+        const archived = idx < 0;
+        const itemised = exp.items && exp.items.length > 0;
+        const itemsToggle = itemised
+            ? ` <button type="button" class="btn btn-link btn-sm p-0 toggle-items" data-id="${exp.id}" aria-expanded="${expandedReceipts.has(exp.id)}">${exp.items.length} items</button>`
+            : '';
+        tr.innerHTML = `
+            <td>${selectable.has(exp.id) ? `<input type="checkbox" class="form-check-input expense-select" data-id="${exp.id}" aria-label="Select expense"${selectedExpenseIds.has(exp.id) ? ' checked' : ''}>` : ''}</td>
+            <td>${exp.date}</td>
+            <td>${escapeHTML(exp.title)}${archived ? ' <span class="badge bg-secondary" title="Settled in a past handover">Past</span>' : ''}${itemsToggle}</td>
+            <td>${escapeHTML(exp.description)}</td>
+            <td>${formatExpenseAmount(exp)}</td>
+            <td>${escapeHTML(itemised ? [...new Set(exp.items.map(item => item.category))].join(', ') : exp.category)}</td>
+            <td>${escapeHTML(exp.payer)}</td>
+            <td>${escapeHTML(formatResponsible(exp))}</td>
+            <td>${escapeHTML(exp.payment)}</td>
+            <td>
+                ${!archived && canEditExpense(exp) ? `<button class="btn btn-sm btn-outline-secondary edit-btn" data-index="${idx}">Edit</button>
+                <button class="btn btn-sm btn-outline-danger delete-btn" data-index="${idx}">Delete</button>` : ''}
+            </td>
+        `;
+        tbody.appendChild(tr);
+        if (itemised) receiptItemRows(exp).forEach(row => tbody.appendChild(row));
+    });
+    // Show or hide the items of a receipt
+    tbody.querySelectorAll('.toggle-items').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const id = btn.dataset.id;
+            const open = !expandedReceipts.has(id);
+            if (open) expandedReceipts.add(id);
+            else expandedReceipts.delete(id);
+            btn.setAttribute('aria-expanded', String(open));
+            tbody.querySelectorAll(`.receipt-item-row[data-receipt-id="${id}"]`).forEach(row => row.classList.toggle('d-none', !open));
+        });
+    });
+    // Attach event listeners for edit and delete buttons
+    tbody.querySelectorAll('.edit-btn').forEach(btn => {
+        btn.addEventListener('click', e => {
+            const index = parseInt(e.target.dataset.index);
+            openEditModal(index);
+        });
+    });
+    tbody.querySelectorAll('.delete-btn').forEach(btn => {
+        btn.addEventListener('click', e => {
+            const index = parseInt(e.target.dataset.index);
+            deleteExpense(index);
+        });
+    });
+    tbody.querySelectorAll('.expense-select').forEach(cb => {
+        cb.addEventListener('change', () => {
+            if (cb.checked) selectedExpenseIds.add(cb.dataset.id);
+            else selectedExpenseIds.delete(cb.dataset.id);
+            renderBulkActions();
+        });
+    });
+    renderExpensesFilterInfo(filtered, filters);
+    renderBulkActions();
+}
+
+// Show how many expenses match and their total, and the state of the
+// search through past handovers.
+function renderExpensesFilterInfo(filtered, filters) {
+    const info = document.getElementById('expenses-filter-info');
+    if (!info) return;
+    const total = filtered.reduce((sum, exp) => sum + expenseBaseAmount(exp), 0);
+    let text = `${filtered.length} expense${filtered.length === 1 ? '' : 's'}, ${formatMoney(total)}`;
+    if (filters.includeArchived) {
+        if (archivedSearch.loading) text += ' · searching past handovers…';
+        else if (archivedSearch.error) text += ' · past handovers could not be searched';
+        else if (archivedSearch.truncated) text += ` · only the ${ARCHIVE_SEARCH_LIMIT} most recent past matches are shown, narrow the filters to see more`;
+    }
+    info.textContent = text;
+}
+
+// Render history of handovers.  If date filters are provided, only show
+// handovers whose range intersects the selected range.
+function renderHistory() {
+    const start = document.getElementById('history-start').value;
+    const end = document.getElementById('history-end').value;
+    const container = document.getElementById('history-content');
+    container.innerHTML = '';
+    if (handovers.length === 0) {
+        container.innerHTML = '<p>No past handovers yet.</p>';
+        return;
+    }
+    handovers.forEach((handover, idx) => {
+        // If date filters are set, skip those outside the range.
+        if (start && handover.end < start) return;
+        if (end && handover.start > end) return;
+        const card = document.createElement('div');
+        card.className = isRecentRemoteChange(handover.id) ? 'accordion-item remote-change' : 'accordion-item';
+        const headerId = `handoverHeader${idx}`;
+        const collapseId = `handoverCollapse${idx}`;
+        // Handovers confirmed before settlement tracking have no settlement
+        // records; list their transactions as plain text instead.
+        const hoSettlements = settlements.filter(st => st.handover_id === handover.id);
+        const hoCurrency = handover.currency || baseCurrency;
+        let settlementHTML = '';
+        if (hoSettlements.length > 0) {
+            settlementHTML = generateSettlementTableHTML(hoSettlements, hoCurrency) + '<hr>';
+        } else if (handover.transactions && handover.transactions.length > 0) {
+            settlementHTML = `<h6>Settlement</h6><ul>` + handover.transactions.map(t => `<li>${escapeHTML(formatTransaction(t, hoCurrency))}</li>`).join('') + `</ul><hr>`;
+        }
+        const outstanding = hoSettlements.reduce((sum, st) => sum + settlementOutstanding(st), 0);
+        let statusBadge = '';
+        if (hoSettlements.length > 0) {
+            statusBadge = outstanding > 0.005
+                ? `<span class="badge bg-warning text-dark ms-2">${formatMoney(outstanding, hoCurrency)} outstanding</span>`
+                : '<span class="badge bg-success ms-2">Settled</span>';
+        }
+        // Totals as settled, and a warning when the archived expenses no
+        // longer match them
+        let snapshotHTML = '';
+        if (handover.snapshot) {
+            snapshotHTML = `<p class="mb-2"><strong>Total settled:</strong> ${formatMoney(handover.snapshot.total, hoCurrency)} ` +
+                `(${handover.snapshot.expense_count} expense${handover.snapshot.expense_count === 1 ? '' : 's'})</p>`;
+        }
+        if (handoverIntegrity(handover) === 'changed') {
+            statusBadge += '<span class="badge bg-danger ms-2">Expenses changed</span>';
+            snapshotHTML += '<div class="alert alert-danger py-2">The archived expenses of this handover were changed, trashed or restored ' +
+                'after it was settled, so they no longer match the totals below. Check the Activity page, or reopen the period to settle it again.</div>';
+        }
+        // Only the latest handover can be reopened, newest first
+        const reopenBtn = idx === handovers.length - 1 && isAdmin()
+            ? `<button type="button" class="btn btn-sm btn-outline-danger reopen-handover-btn" data-handover-id="${handover.id}">Reopen period</button>`
+            : '';
+        card.innerHTML = `
+            <h2 class="accordion-header" id="${headerId}">
+                <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#${collapseId}" aria-expanded="false" aria-controls="${collapseId}">
+                    Handover ${idx + 1}: ${handover.start} to ${handover.end}${statusBadge}
+                </button>
+            </h2>
+            <div id="${collapseId}" class="accordion-collapse collapse" aria-labelledby="${headerId}" data-bs-parent="#history-content">
+                <div class="accordion-body">
+                    <div class="d-flex justify-content-end gap-2 mb-2">
+                        <div class="btn-group btn-group-sm">
+                            <button type="button" class="btn btn-outline-secondary statement-print-btn" data-handover-id="${handover.id}">Print statement</button>
+                            <button type="button" class="btn btn-outline-secondary statement-pdf-btn" data-handover-id="${handover.id}">PDF</button>
+                        </div>
+                        ${exportMenuHTML('handover', handover.id)}
+                        ${reopenBtn}
+                    </div>
+                    ${snapshotHTML}
+                    ${generateSummaryTableHTML(handover.summary, hoCurrency)}
+                    ${settlementHTML}
+                    <hr>
+                    <h6>Expenses</h6>
+                    <div class="handover-expenses" data-handover-id="${handover.id}"></div>
+                </div>
+            </div>
+        `;
+        container.appendChild(card);
+        // Expenses are fetched the first time the handover is opened
+        if (archivedExpensesByHandover[handover.id]) renderHandoverExpenses(handover.id);
+        card.querySelector('.accordion-collapse').addEventListener('show.bs.collapse', () => showHandoverExpenses(handover.id));
+    });
+    // Attach listeners for recording settlement payments
+    container.querySelectorAll('.record-payment-btn').forEach(btn => {
+        btn.addEventListener('click', () => openPaymentModal(btn.dataset.settlementId));
+    });
+    // Attach listeners for handover statements
+    container.querySelectorAll('.statement-print-btn').forEach(btn => {
+        btn.addEventListener('click', () => printHandoverStatement(btn.dataset.handoverId));
+    });
+    container.querySelectorAll('.statement-pdf-btn').forEach(btn => {
+        btn.addEventListener('click', () => downloadHandoverPDF(btn.dataset.handoverId));
+    });
+    container.querySelectorAll('.reopen-handover-btn').forEach(btn => {
+        btn.addEventListener('click', () => reopenHandover(btn.dataset.handoverId));
+    });
+
+    // After listing handovers, render a custom report based on the selected date range
+    if (typeof renderHistoryReport === 'function') {
+        renderHistoryReport();
+    }
+}
+
+// Helper to generate a summary table's HTML from a summary object.
+function generateSummaryTableHTML(summary, currency = baseCurrency) {
+    let html = '<table class="table table-bordered"><thead class="table-light"><tr><th>Member</th><th>Paid</th><th>Share</th><th>Net</th></tr></thead><tbody>';
+    Object.keys(summary).forEach(name => {
+        const s = summary[name];
+        const net = s.share - s.paid;
+        html += `<tr><td>${escapeHTML(name)}</td><td>${formatMoney(s.paid, currency)}</td><td>${formatMoney(s.share, currency)}</td><td>${formatMoney(net, currency)}</td></tr>`;
+    });
+    html += '</tbody></table>';
+    return html;
+}
+
+// Amount of a settlement transfer that has not been paid yet.
+function settlementOutstanding(st) {
+    return Math.max(0, parseFloat(st.amount) - (parseFloat(st.paid_amount) || 0));
+}
+
+// Helper to generate the settlement table for a handover, showing each
+// transfer's payment status and a button to record a payment.
+function generateSettlementTableHTML(list, currency = baseCurrency) {
+    let html = '<h6>Settlement</h6><table class="table table-sm"><thead class="table-light"><tr><th>From</th><th>To</th><th>Amount</th><th>Paid</th><th>Status</th><th></th></tr></thead><tbody>';
+    list.forEach(st => {
+        const badgeClass = st.status === 'paid' ? 'bg-success' : st.status === 'partial' ? 'bg-info text-dark' : 'bg-warning text-dark';
+        const payments = st.payments || [];
+        let paidInfo = formatMoney(st.paid_amount, currency);
+        if (payments.length > 1) {
+            // Each instalment on its own line under the total
+            paidInfo += payments.map(p => `<br><small class="text-muted">${formatMoney(p.amount, currency)}` +
+                `${p.date ? ` on ${formatDateDisplay(p.date)}` : ''}${p.method ? ` (${escapeHTML(p.method)})` : ''}</small>`).join('');
+        } else {
+            if (st.paid_date) paidInfo += ` on ${formatDateDisplay(st.paid_date)}`;
+            if (st.payment_method) paidInfo += ` (${escapeHTML(st.payment_method)})`;
+        }
+        const action = st.status === 'paid' || !canRecordPayment(st)
+            ? ''
+            : `<button class="btn btn-sm btn-outline-primary record-payment-btn" data-settlement-id="${st.id}">Record payment</button>`;
+        html += `<tr><td>${escapeHTML(st.from_member)}</td><td>${escapeHTML(st.to_member)}</td><td>${formatMoney(st.amount, currency)}</td><td>${paidInfo}</td><td><span class="badge ${badgeClass}">${settlementStatuses[st.status] || st.status}</span></td><td>${action}</td></tr>`;
+    });
+    html += '</tbody></table>';
+    return html;
+}
+
+// Show a banner on the dashboard listing settlement transfers from earlier
+// handovers that have not been fully paid.
+function renderSettlementBanner() {
+    const banner = document.getElementById('settlement-banner');
+    if (!banner) return;
+    const unpaid = settlements.filter(st => st.status !== 'paid');
+    if (unpaid.length === 0) {
+        banner.classList.add('d-none');
+        banner.innerHTML = '';
+        return;
+    }
+    const items = unpaid.map(st => {
+        const handover = handovers.find(ho => ho.id === st.handover_id);
+        const period = handover ? ` (handover ending ${formatDateDisplay(handover.end)})` : '';
+        const currency = handover && handover.currency ? handover.currency : baseCurrency;
+        return `<li>${escapeHTML(st.from_member)} owes ${escapeHTML(st.to_member)} ${formatMoney(settlementOutstanding(st), currency)}${period}</li>`;
+    }).join('');
+    banner.innerHTML = `<strong>Unpaid settlements</strong><ul class="mb-1">${items}</ul><a href="#" class="alert-link" data-page="history">View in History</a>`;
+    banner.querySelector('a[data-page]').addEventListener('click', e => {
+        e.preventDefault();
+        showPage('history');
+    });
+    banner.classList.remove('d-none');
+}
+
+// Track the settlement being paid in the payment modal
+let currentSettlementId = null;
+
+// Open the payment modal for a settlement transfer, defaulting the amount to
+// what is still outstanding and the date to today.
+function openPaymentModal(settlementId) {
+    const st = settlements.find(rec => rec.id === settlementId);
+    if (!st) return;
+    currentSettlementId = settlementId;
+    const handover = handovers.find(ho => ho.id === st.handover_id);
+    const currency = handover && handover.currency ? handover.currency : baseCurrency;
+    document.getElementById('payment-modal-info').textContent =
+        `${st.from_member} to ${st.to_member}: ${formatMoney(settlementOutstanding(st), currency)} outstanding`;
+    document.getElementById('payment-amount').value = settlementOutstanding(st).toFixed(2);
+    document.getElementById('payment-date').value = todayISO();
+    populateSelect('payment-method', settlementMethods);
+    const modal = new bootstrap.Modal(document.getElementById('payment-modal'));
+    modal.show();
+}
+
+// Record a (possibly partial) payment against the settlement open in the
+// payment modal and update its status.  The payment is added to the
+// settlement's list; `paid_date` and `payment_method` keep the first one's.
+async function savePayment() {
+    if (currentSettlementId === null) return;
+    const st = settlements.find(rec => rec.id === currentSettlementId);
+    if (!st) return;
+    const amount = parseFloat(document.getElementById('payment-amount').value);
+    const paidDate = document.getElementById('payment-date').value;
+    const method = document.getElementById('payment-method').value;
+    if (!(amount > 0)) {
+        alert('Please enter the amount paid');
+        return;
+    }
+    if (!paidDate) {
+        alert('Please select the payment date');
+        return;
+    }
+    const outstanding = settlementOutstanding(st);
+    if (amount > outstanding + 0.005) {
+        const handover = handovers.find(ho => ho.id === st.handover_id);
+        alert(`The payment is more than the ${formatMoney(outstanding, handover && handover.currency ? handover.currency : baseCurrency)} still outstanding`);
+        return;
+    }
+    const paidAmount = roundMoney((parseFloat(st.paid_amount) || 0) + amount);
+    const status = paidAmount >= parseFloat(st.amount) - 0.005 ? 'paid' : 'partial';
+    const updated = {
+        paid_amount: paidAmount,
+        status,
+        paid_date: st.paid_date || paidDate,
+        payment_method: st.payment_method || method,
+        payments: [...(st.payments || []), { amount: roundMoney(amount), date: paidDate, method }]
+    };
+    try {
+        const { data, error } = await runMutation({ table: 'settlements', action: 'update', id: st.id, values: updated, base: st.updated_at, label: `Settlement from ${st.from_member} to ${st.to_member}` });
+        if (error) {
+            console.error('Error recording settlement payment:', error);
+            alert('Failed to record payment');
+            return;
+        }
+        Object.assign(st, updated, data && data[0]);
+        renderHistory();
+        renderSettlementBanner();
+        const modal = bootstrap.Modal.getInstance(document.getElementById('payment-modal'));
+        modal.hide();
+        currentSettlementId = null;
+    } catch (err) {
+        console.error('Unexpected error recording settlement payment:', err);
+        alert('An unexpected error occurred while recording the payment');
+    }
+}
+
+// -----------------------------
+// Itemised receipts
+// -----------------------------
+//
+// An expense can be split into line items, e.g. shared groceries and one
+// person's toiletries on the same receipt.  Each item has an amount,
+// category and responsible members and is split equally among them.  The
+// items must add up to the expense amount; the expense's own `responsible`
+// lists everyone the items name, and summaries and charts attribute each
+// item separately (see expenseLines).
+
+// Element IDs used by the item editor in the add form and edit modal.
+// `single` are the responsible and split fields the items replace.
+const itemForms = {
+    add: { toggle: 'itemised', section: 'items-section', items: 'items', hint: 'items-hint', addButton: 'add-item', single: ['responsible-group', 'split-group'], amount: 'amount', currency: 'currency', category: 'category' },
+    edit: { toggle: 'edit-itemised', section: 'edit-items-section', items: 'edit-items', hint: 'edit-items-hint', addButton: 'edit-add-item', single: ['edit-responsible-group', 'edit-split-group'], amount: 'edit-amount', currency: 'edit-currency', category: 'edit-category' }
+};
+
+// Gives each item's responsible checkboxes unique IDs.
+let receiptItemCounter = 0;
+
+// Receipts whose items are shown in the expense list.
+const expandedReceipts = new Set();
+
+function isItemised(formKey) {
+    return document.getElementById(itemForms[formKey].toggle).checked;
+}
+
+// Switch a form between a single split and line items.  `items` fills the
+// editor; a new receipt starts with two items in the form's category.
+function setItemised(formKey, itemised, items = null) {
+    const ids = itemForms[formKey];
+    document.getElementById(ids.toggle).checked = itemised;
+    document.getElementById(ids.section).classList.toggle('d-none', !itemised);
+    ids.single.forEach(id => document.getElementById(id).classList.toggle('d-none', itemised));
+    document.getElementById(ids.items).innerHTML = '';
+    if (itemised) {
+        const category = document.getElementById(ids.category).value;
+        (items || [{ category }, { category }]).forEach(item => addItemRow(formKey, item));
+    }
+    updateItemsHint(formKey);
+}
+
+// Add an item row to a form's item editor.
+function addItemRow(formKey, item = {}) {
+    const ids = itemForms[formKey];
+    const responsibleId = `${ids.items}-${++receiptItemCounter}`;
+    const row = document.createElement('div');
+    row.className = 'row g-2 align-items-start mb-2 receipt-item';
+    row.innerHTML = `
+        <div class="col-md-3"><input type="text" class="form-control form-control-sm item-title" placeholder="Item" aria-label="Item"></div>
+        <div class="col-md-2"><input type="number" class="form-control form-control-sm item-amount" min="0" step="0.01" placeholder="Amount" aria-label="Item amount"></div>
+        <div class="col-md-2"><select class="form-select form-select-sm item-category" aria-label="Item category"></select></div>
+        <div class="col-md-4"><div id="${responsibleId}" class="d-flex flex-wrap gap-1 item-responsible"></div></div>
+        <div class="col-md-1"><button type="button" class="btn btn-sm btn-outline-danger remove-item" aria-label="Remove item">&times;</button></div>`;
+    document.getElementById(ids.items).appendChild(row);
+    row.querySelector('.item-title').value = item.title || '';
+    if (item.amount !== undefined && item.amount !== null && item.amount !== '') {
+        row.querySelector('.item-amount').value = parseFloat(item.amount).toFixed(2);
+    }
+    const select = row.querySelector('.item-category');
+    const options = item.category && !categories.includes(item.category) ? [...categories, item.category] : categories;
+    options.forEach(cat => {
+        const opt = document.createElement('option');
+        opt.value = cat;
+        opt.textContent = cat;
+        select.appendChild(opt);
+    });
+    if (item.category) select.value = item.category;
+    const responsible = item.responsible && item.responsible.length > 0 ? item.responsible : ['All'];
+    populateResponsibleCheckboxes(responsibleId, responsible);
+    row.querySelector('.item-amount').addEventListener('input', () => updateItemsHint(formKey));
+    row.querySelector('.remove-item').addEventListener('click', () => {
+        row.remove();
+        updateItemsHint(formKey);
+    });
+}
+
+// Show how much of the expense amount the items cover.
+function updateItemsHint(formKey) {
+    const ids = itemForms[formKey];
+    const hint = document.getElementById(ids.hint);
+    if (!hint) return;
+    if (!isItemised(formKey)) {
+        hint.textContent = '';
+        return;
+    }
+    const sum = Array.from(document.querySelectorAll(`#${ids.items} .item-amount`))
+        .reduce((total, input) => total + (parseFloat(input.value) || 0), 0);
+    const amount = parseFloat(document.getElementById(ids.amount).value) || 0;
+    const currency = document.getElementById(ids.currency).value;
+    hint.textContent = `Items add up to ${formatMoney(sum, currency)} of ${formatMoney(amount, currency)}`;
+    hint.classList.toggle('text-danger', Math.abs(sum - amount) > 0.005);
+}
+
+// Check that the items of a receipt add up to its amount.  Returns an
+// error message, or null when they do.
+function validateItems(items, amount, currency = baseCurrency) {
+    if (items.length === 0) return 'Add at least one item to the receipt';
+    const sum = items.reduce((total, item) => total + item.amount, 0);
+    if (Math.abs(sum - amount) > 0.005) {
+        return `Items must add up to the total of ${formatMoney(amount, currency)} (currently ${formatMoney(sum, currency)})`;
+    }
+    return null;
+}
+
+// Everyone a receipt's items name, or 'All' when any item is shared by all.
+function receiptResponsible(items) {
+    if (items.some(item => item.responsible.includes('All'))) return ['All'];
+    return [...new Set(items.flatMap(item => item.responsible))];
+}
+
+// Collect and validate the items of a form.  Returns the expense fields
+// { responsible, split_mode, split_values, items } or { error }.
+function readReceipt(formKey, amount) {
+    const ids = itemForms[formKey];
+    const items = [];
+    for (const row of document.querySelectorAll(`#${ids.items} .receipt-item`)) {
+        const itemAmount = parseFloat(row.querySelector('.item-amount').value);
+        const responsible = Array.from(row.querySelectorAll('.item-responsible input[type=checkbox]:checked')).map(cb => cb.value);
+        if (isNaN(itemAmount) || itemAmount < 0) return { error: 'Please enter an amount for every item' };
+        if (responsible.length === 0) return { error: 'Please select at least one responsible person for every item' };
+        items.push({
+            title: row.querySelector('.item-title').value.trim(),
+            amount: roundMoney(itemAmount),
+            category: row.querySelector('.item-category').value,
+            responsible
+        });
+    }
+    const error = validateItems(items, parseFloat(amount) || 0, document.getElementById(ids.currency).value);
+    if (error) return { error };
+    return { responsible: receiptResponsible(items), split_mode: 'equal', split_values: null, items };
+}
+
+// Wire the itemise switch and item editor of a form.
+function initItemControls(formKey) {
+    const ids = itemForms[formKey];
+    document.getElementById(ids.toggle).addEventListener('change', e => setItemised(formKey, e.target.checked));
+    document.getElementById(ids.addButton).addEventListener('click', () => {
+        addItemRow(formKey, { category: document.getElementById(ids.category).value });
+        updateItemsHint(formKey);
+    });
+    document.getElementById(ids.amount).addEventListener('input', () => updateItemsHint(formKey));
+    document.getElementById(ids.currency).addEventListener('change', () => updateItemsHint(formKey));
+}
+
+// Describe the items of a receipt for exports, e.g.
+// "Shampoo $6.50 (Toiletries; Alice); Groceries $40.00 (Food; All)".
+function formatItems(exp) {
+    return (exp.items || []).map(item =>
+        `${item.title || 'Item'} ${formatMoney(item.amount, expenseCurrency(exp))} (${item.category}; ${item.responsible.join(', ')})`
+    ).join('; ');
+}
+
+// Table rows listing a receipt's items under its row in the expense list.
+function receiptItemRows(exp) {
+    const hidden = expandedReceipts.has(exp.id) ? '' : ' d-none';
+    return exp.items.map(item => {
+        const tr = document.createElement('tr');
+        tr.className = `receipt-item-row table-light${hidden}`;
+        tr.dataset.receiptId = exp.id;
+        tr.innerHTML = `
+            <td></td>
+            <td></td>
+            <td class="ps-4"><small></small></td>
+            <td></td>
+            <td><small>${formatMoney(item.amount, expenseCurrency(exp))}</small></td>
+            <td><small></small></td>
+            <td></td>
+            <td><small></small></td>
+            <td></td>
+            <td></td>`;
+        tr.children[2].firstChild.textContent = item.title || 'Item';
+        tr.children[5].firstChild.textContent = item.category;
+        tr.children[7].firstChild.textContent = item.responsible.join(', ');
+        return tr;
+    });
+}
+
+// -----------------------------
+// Expense filters and saved views
+// -----------------------------
+//
+// The Expenses page filters by date range, amount, payer, category,
+// responsible and free text, and can include expenses from past handovers.
+// Those are searched on the server (they are not all loaded) and the
+// results filtered again locally like the active ones.  A filter
+// combination can be saved under a name; saved views belong to the
+// signed‑in user and store members and categories by ID.
+
+// Most archived expenses fetched for one search.
+const ARCHIVE_SEARCH_LIMIT = 500;
+
+// Payer or responsible filter value meaning the signed‑in user's member.
+const ME_FILTER = '@me';
+
+// Element ID of each filter setting.
+const expenseFilterFields = {
+    search: 'filter-search',
+    datePreset: 'filter-date-preset',
+    dateFrom: 'filter-date-from',
+    dateTo: 'filter-date-to',
+    includeArchived: 'filter-include-archived',
+    payer: 'filter-payer',
+    category: 'filter-category',
+    responsible: 'filter-responsible',
+    amountMin: 'filter-amount-min',
+    amountMax: 'filter-amount-max',
+    sortField: 'sort-field',
+    sortOrder: 'sort-order'
+};
+
+const defaultExpenseFilters = {
+    search: '',
+    datePreset: '',
+    dateFrom: '',
+    dateTo: '',
+    includeArchived: false,
+    payer: '',
+    category: '',
+    responsible: '',
+    amountMin: '',
+    amountMax: '',
+    sortField: 'date',
+    sortOrder: 'desc'
+};
+
+// Archived expenses found for the current filters.  `key` identifies the
+// server query they came from; clearing it makes the next render search again.
+let archivedSearch = { key: null, rows: [], loading: false, truncated: false, error: false };
+
+// The user's saved views: { id, name, filters, updated_at }.
+let savedViews = [];
+
+// Read the filter settings from the page.
+function readExpenseFilters() {
+    const filters = {};
+    Object.entries(expenseFilterFields).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (!el) filters[key] = defaultExpenseFilters[key];
+        else filters[key] = el.type === 'checkbox' ? el.checked : el.value;
+    });
+    return filters;
+}
+
+// Put filter settings on the page.  Missing settings take their defaults.
+function applyExpenseFilters(filters) {
+    const values = { ...defaultExpenseFilters, ...filters };
+    Object.entries(expenseFilterFields).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        if (el.type === 'checkbox') el.checked = !!values[key];
+        else el.value = values[key] === null || values[key] === undefined ? '' : values[key];
+    });
+    syncDatePresetInputs();
+}
+
+// The { start, end } dates (inclusive, possibly empty) selected by the date
+// filter.  Presets are relative to today, so a saved "This month" view
+// follows the calendar.
+function filterDateRange(filters) {
+    const today = todayISO();
+    const [year, month] = today.split('-').map(Number);
+    switch (filters.datePreset) {
+        case 'this-month':
+            return { start: monthlyDate(year, month - 1, 1), end: monthlyDate(year, month - 1, 31) };
+        case 'last-month':
+            return { start: monthlyDate(year, month - 2, 1), end: monthlyDate(year, month - 2, 31) };
+        case 'last-30':
+            return { start: addDays(today, -29), end: today };
+        default:
+            return { start: filters.dateFrom, end: filters.dateTo };
+    }
+}
+
+// Show the dates of the selected preset in the From and To inputs.
+function syncDatePresetInputs() {
+    const preset = document.getElementById('filter-date-preset').value;
+    if (preset === 'custom') return;
+    const { start, end } = filterDateRange({ ...defaultExpenseFilters, datePreset: preset });
+    document.getElementById('filter-date-from').value = start || '';
+    document.getElementById('filter-date-to').value = end || '';
+}
+
+// Rebuild the payer, category and responsible filter options, keeping the
+// current selections where they still exist.
+function populateExpenseFilters() {
+    const fill = (id, names, withMe) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = '<option value="">All</option>';
+        if (withMe && currentMember()) {
+            const me = document.createElement('option');
+            me.value = ME_FILTER;
+            me.textContent = 'Me';
+            select.appendChild(me);
+        }
+        names.forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            select.appendChild(opt);
         });
-        historyChartSelect.value = 'All';
+        select.value = current;
+        if (select.value !== current) select.value = '';
+    };
+    fill('filter-payer', members, true);
+    fill('filter-category', orderedCategories(), false);
+    fill('filter-responsible', members, true);
+}
+
+// Search archived expenses on the server with the filters it can apply
+// (dates, payer, category of the expense or its items and the longest word
+// of the search text).  The
+// rest is applied locally by getFilteredExpenses.  Re‑renders the list
+// when the results arrive.
+async function loadArchivedSearch(filters) {
+    const { start, end } = filterDateRange(filters);
+    const me = currentMember() ? currentMember().name : null;
+    const payerId = filters.payer ? memberIdByName(filters.payer === ME_FILTER ? me : filters.payer) : null;
+    const categoryIds = filters.category ? [filters.category, ...categoryChildren(filters.category)].map(categoryIdByName).filter(Boolean) : [];
+    // Only letters and digits are safe inside the PostgREST `or` filter
+    const term = filters.search.split(/[^\p{L}\p{N}]+/u).reduce((a, b) => (b.length > a.length ? b : a), '');
+    const key = JSON.stringify([start, end, payerId, categoryIds, term.toLowerCase()]);
+    if (archivedSearch.key === key) return;
+    const request = { key, rows: archivedSearch.rows, loading: true, truncated: false, error: false };
+    archivedSearch = request;
+    try {
+        const { data, error, fromCache } = await selectWithCache('expenses', () => {
+            let query = supa
+                .from('expenses')
+                .select('*')
+                .eq('household_id', currentHouseholdId)
+                .not('handover_id', 'is', null)
+                .is('deleted_at', null);
+            if (start) query = query.gte('date', start);
+            if (end) query = query.lte('date', end);
+            if (payerId) query = query.eq('payer_id', payerId);
+            // The category and text conditions each allow alternatives; they
+            // go into one `or` filter as a single `and` group
+            const conditions = [];
+            if (categoryIds.length > 0) {
+                // The expense's own category, or any item of a receipt.  The
+                // JSON value is quoted as PostgREST expects inside `or`.
+                const itemMatches = categoryIds.map(id => `items.cs.${JSON.stringify(JSON.stringify([{ category_id: id }]))}`);
+                conditions.push(`or(category_id.in.(${categoryIds.join(',')}),${itemMatches.join(',')})`);
+            }
+            if (term) conditions.push(`or(title.ilike.%${term}%,description.ilike.%${term}%)`);
+            if (conditions.length > 0) query = query.or(`and(${conditions.join(',')})`);
+            return query.order('date', { ascending: false }).limit(ARCHIVE_SEARCH_LIMIT);
+        }, { filter: exp => !!exp.handover_id && !exp.deleted_at, sortBy: 'date', partial: true });
+        if (archivedSearch !== request) return;
+        if (error) {
+            console.error('Error searching archived expenses:', error);
+            request.rows = [];
+            request.error = true;
+        } else {
+            request.rows = data.map(row => fromStoredRow('expenses', row));
+            request.truncated = !fromCache && data.length >= ARCHIVE_SEARCH_LIMIT;
+        }
+    } catch (err) {
+        console.error('Unexpected error searching archived expenses:', err);
+        request.rows = [];
+        request.error = true;
+    } finally {
+        request.loading = false;
     }
-    // Re‑render settings lists
-    renderSettings();
-    // Re‑render summary and charts
-    renderSummary();
-    const person = document.getElementById('chart-person-select') ? document.getElementById('chart-person-select').value : 'All';
-    renderCategoryChart(person || 'All');
-    // Re‑render expenses list and history
+    if (archivedSearch === request) renderExpensesList();
+}
+
+// Search archived expenses again on the next render, e.g. after one changed.
+function invalidateArchivedSearch() {
+    archivedSearch.key = null;
+}
+
+// A filter was changed by hand, so no saved view is selected any more.
+function onExpenseFilterChange() {
+    document.getElementById('saved-view-select').value = '';
+    updateSavedViewButtons();
     renderExpensesList();
-    renderHistory();
 }
 
-// NOTE: The previous localStorage persistence functions (saveExpenses, saveHandovers)
-// are no longer used because data is stored remotely.
+// Wire the filter inputs.  Typing in the text and amount fields waits for a
+// pause before filtering.
+function initExpenseFilters() {
+    let typingTimer = null;
+    ['filter-search', 'filter-amount-min', 'filter-amount-max'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            clearTimeout(typingTimer);
+            typingTimer = setTimeout(onExpenseFilterChange, 300);
+        });
+    });
+    ['filter-payer', 'filter-category', 'filter-responsible', 'filter-include-archived', 'sort-field', 'sort-order'].forEach(id => {
+        document.getElementById(id).addEventListener('change', onExpenseFilterChange);
+    });
+    document.getElementById('filter-date-preset').addEventListener('change', () => {
+        syncDatePresetInputs();
+        onExpenseFilterChange();
+    });
+    ['filter-date-from', 'filter-date-to'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            const hasDates = document.getElementById('filter-date-from').value || document.getElementById('filter-date-to').value;
+            document.getElementById('filter-date-preset').value = hasDates ? 'custom' : '';
+            onExpenseFilterChange();
+        });
+    });
+    document.getElementById('reset-filters-btn').addEventListener('click', () => {
+        applyExpenseFilters(defaultExpenseFilters);
+        onExpenseFilterChange();
+    });
+    document.getElementById('saved-view-select').addEventListener('change', e => applySavedView(e.target.value));
+    document.getElementById('save-view-btn').addEventListener('click', saveCurrentView);
+    document.getElementById('delete-view-btn').addEventListener('click', deleteSavedView);
+}
 
-// Populate select elements with options.  If includeAll is true, add an "All"
-// option that represents splitting among all members.  This is used for the
-// Responsible multi‑select.
-function populateSelect(selectId, options, includeAll = false) {
-    const select = document.getElementById(selectId);
-    select.innerHTML = '';
-    if (includeAll) {
+// Filters as stored in a saved view: members and categories by ID.
+function toStoredFilters(filters) {
+    const memberRef = name => (name === ME_FILTER ? ME_FILTER : memberIdByName(name) || null);
+    const { payer, category, responsible, ...rest } = filters;
+    return {
+        ...rest,
+        payer_id: memberRef(payer),
+        category_id: categoryIdByName(category),
+        responsible_id: memberRef(responsible)
+    };
+}
+
+function fromStoredFilters(stored) {
+    const { payer_id, category_id, responsible_id, ...rest } = stored || {};
+    return {
+        ...rest,
+        payer: memberName(payer_id) || '',
+        category: categoryName(category_id) || '',
+        responsible: memberName(responsible_id) || ''
+    };
+}
+
+// Load the signed‑in user's saved views for this household.
+async function loadSavedViews() {
+    await initSupabase();
+    const { data, error } = await supa
+        .from('saved_views')
+        .select('*')
+        .eq('household_id', currentHouseholdId)
+        .eq('user_id', currentUser.id)
+        .order('name', { ascending: true });
+    if (error) {
+        console.error('Error loading saved views:', error);
+        savedViews = [];
+    } else {
+        savedViews = data || [];
+    }
+}
+
+// Fill the saved view select, keeping the selected view if it still exists.
+function renderSavedViews() {
+    const select = document.getElementById('saved-view-select');
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '<option value="">Custom filters</option>';
+    savedViews.forEach(view => {
         const opt = document.createElement('option');
-        opt.value = 'All';
-        opt.textContent = 'All';
+        opt.value = view.id;
+        opt.textContent = view.name;
         select.appendChild(opt);
+    });
+    select.value = savedViews.some(v => v.id === current) ? current : '';
+    updateSavedViewButtons();
+}
+
+function updateSavedViewButtons() {
+    const selected = document.getElementById('saved-view-select').value;
+    document.getElementById('delete-view-btn').classList.toggle('d-none', !selected);
+}
+
+// Show the expenses matching a saved view.
+function applySavedView(id) {
+    updateSavedViewButtons();
+    const view = savedViews.find(v => v.id === id);
+    if (!view) return;
+    applyExpenseFilters(fromStoredFilters(view.filters));
+    renderExpensesList();
+}
+
+// Save the current filters under a name.  Saving under an existing name
+// replaces that view after confirmation.
+async function saveCurrentView() {
+    const selected = savedViews.find(v => v.id === document.getElementById('saved-view-select').value);
+    const input = prompt('Name for this view:', selected ? selected.name : '');
+    if (input === null) return;
+    const name = input.trim();
+    if (!name) {
+        alert('Enter a name for the view');
+        return;
+    }
+    const filters = toStoredFilters(readExpenseFilters());
+    const existing = savedViews.find(v => v.name === name);
+    if (existing && !confirm(`Replace the saved view "${name}"?`)) return;
+    try {
+        const { data, error } = existing
+            ? await runMutation({ table: 'saved_views', action: 'update', id: existing.id, values: { filters }, base: existing.updated_at, label: `Saved view "${name}"` })
+            : await runMutation({ table: 'saved_views', action: 'insert', rows: [{ name, filters }] });
+        if (error) {
+            console.error('Error saving view:', error);
+            alert('Failed to save view');
+            return;
+        }
+        const saved = { ...(existing || {}), name, filters, ...(data && data[0]) };
+        savedViews = [...savedViews.filter(v => v.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name));
+        renderSavedViews();
+        document.getElementById('saved-view-select').value = saved.id;
+        updateSavedViewButtons();
+    } catch (err) {
+        console.error('Unexpected error saving view:', err);
+        alert('An unexpected error occurred while saving view');
+    }
+}
+
+// Delete the selected saved view.  The filters stay as they are.
+async function deleteSavedView() {
+    const view = savedViews.find(v => v.id === document.getElementById('saved-view-select').value);
+    if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+    try {
+        const { error } = await runMutation({ table: 'saved_views', action: 'delete', id: view.id, base: view.updated_at, label: `Saved view "${view.name}"` });
+        if (error) {
+            console.error('Error deleting view:', error);
+            alert('Failed to delete view');
+            return;
+        }
+        savedViews = savedViews.filter(v => v.id !== view.id);
+        renderSavedViews();
+    } catch (err) {
+        console.error('Unexpected error deleting view:', err);
+        alert('An unexpected error occurred while deleting view');
+    }
+}
+
+// -----------------------------
+// Bulk expense actions
+// -----------------------------
+//
+// Rows of the expense list can be ticked and changed together: category,
+// payer, responsible or payment method, or moved to the trash.  Each action
+// asks once and is sent as a single update of all the selected rows.
+
+// IDs of the ticked expenses.
+let selectedExpenseIds = new Set();
+
+// Settings a bulk change can set, with the label used in its confirmation.
+const bulkFields = {
+    category: 'category',
+    payer: 'payer',
+    responsible: 'responsible members',
+    payment: 'payment method'
+};
+
+// Only active expenses the user may edit can be selected.
+function isBulkSelectable(exp) {
+    return !exp.handover_id && canEditExpense(exp);
+}
+
+function selectedExpenses() {
+    return expenses.filter(exp => selectedExpenseIds.has(exp.id));
+}
+
+// Show the bulk action bar with the number and total of the selected
+// expenses, and update the select‑all checkbox.
+function renderBulkActions() {
+    const selected = selectedExpenses();
+    const bar = document.getElementById('bulk-actions');
+    bar.classList.toggle('d-none', selected.length === 0);
+    const total = selected.reduce((sum, exp) => sum + expenseBaseAmount(exp), 0);
+    document.getElementById('bulk-selection-info').textContent =
+        `${selected.length} selected, ${formatMoney(total)}`;
+    const boxes = Array.from(document.querySelectorAll('#expenses-body .expense-select'));
+    const selectAll = document.getElementById('expenses-select-all');
+    const ticked = boxes.filter(cb => cb.checked).length;
+    selectAll.disabled = boxes.length === 0;
+    selectAll.checked = boxes.length > 0 && ticked === boxes.length;
+    selectAll.indeterminate = ticked > 0 && ticked < boxes.length;
+}
+
+// Show the value input for the chosen bulk field.
+function populateBulkValue() {
+    const field = document.getElementById('bulk-field').value;
+    const responsible = field === 'responsible';
+    document.getElementById('bulk-value').classList.toggle('d-none', responsible);
+    document.getElementById('bulk-responsible').classList.toggle('d-none', !responsible);
+    if (responsible) {
+        populateResponsibleCheckboxes('bulk-responsible', ['All']);
+    } else {
+        populateSelect('bulk-value', { category: categories, payer: formMembers(), payment: paymentMethods }[field]);
+    }
+}
+
+// Tick or untick every selectable expense in the filtered list.
+function toggleSelectAllExpenses(checked) {
+    document.querySelectorAll('#expenses-body .expense-select').forEach(cb => {
+        cb.checked = checked;
+        if (checked) selectedExpenseIds.add(cb.dataset.id);
+        else selectedExpenseIds.delete(cb.dataset.id);
+    });
+    renderBulkActions();
+}
+
+function clearExpenseSelection() {
+    selectedExpenseIds = new Set();
+    renderExpensesList();
+}
+
+// `updated_at` of each expense by ID, for conflict checks on replay.
+function updatedAtById(list) {
+    return Object.fromEntries(list.map(exp => [exp.id, exp.updated_at]));
+}
+
+// Re‑render the views showing active expenses after a bulk action.
+function renderAfterBulkChange() {
+    renderSummary();
+    renderExpensesList();
+    renderCategoryChart(document.getElementById('chart-person-select').value || 'All');
+}
+
+// Apply the chosen field and value to every selected expense.  A new
+// responsible set splits the expenses equally among it.  Itemised receipts
+// keep the categories and responsible members of their items, so they are
+// left out of those changes.
+async function applyBulkChange() {
+    const field = document.getElementById('bulk-field').value;
+    const selected = selectedExpenses();
+    const list = field === 'category' || field === 'responsible'
+        ? selected.filter(exp => !(exp.items && exp.items.length > 0))
+        : selected;
+    if (list.length === 0) {
+        if (selected.length > 0) alert(`Itemised receipts keep the ${bulkFields[field]} of their items. Edit them one by one instead.`);
+        return;
+    }
+    let values;
+    let shown;
+    if (field === 'responsible') {
+        const responsible = Array.from(document.querySelectorAll('#bulk-responsible input[type=checkbox]:checked')).map(cb => cb.value);
+        if (responsible.length === 0) {
+            alert('Please select at least one responsible person');
+            return;
+        }
+        values = { responsible, split_mode: 'equal', split_values: null };
+        shown = responsible.join(', ');
+    } else {
+        const value = document.getElementById('bulk-value').value;
+        if (!value) return;
+        values = { [field]: value };
+        shown = value;
+    }
+    let message = `Set the ${bulkFields[field]} of ${list.length} expense${list.length === 1 ? '' : 's'} to ${shown}?`;
+    if (list.length < selected.length) {
+        message += ` ${selected.length - list.length} itemised receipt${selected.length - list.length === 1 ? '' : 's'} will be left unchanged.`;
+    }
+    if (field === 'responsible' && list.some(exp => exp.split_mode && exp.split_mode !== 'equal')) {
+        message += ' Their custom splits will be replaced by an equal split.';
+    }
+    if (!confirm(message)) return;
+    try {
+        const { data, error } = await runMutation({
+            table: 'expenses',
+            action: 'update',
+            ids: list.map(exp => exp.id),
+            values,
+            base: updatedAtById(list),
+            label: `${list.length} expenses`
+        });
+        if (error) {
+            console.error('Error updating expenses:', error);
+            alert(bulkErrorMessage(error, 'Failed to update expenses'));
+            // Someone else may have changed the selection; show the server state
+            await reloadAllData();
+            return;
+        }
+        const saved = new Map((data || []).map(row => [row.id, row]));
+        const changed = new Set(list.map(exp => exp.id));
+        expenses = expenses.map(exp => (changed.has(exp.id) ? { ...exp, ...values, ...saved.get(exp.id) } : exp));
+        selectedExpenseIds = new Set();
+        renderAfterBulkChange();
+    } catch (err) {
+        console.error('Unexpected error updating expenses:', err);
+        alert('An unexpected error occurred while updating expenses');
+    }
+}
+
+// The alert for a failed change to several expenses.  Such a change is all
+// or nothing (see executeMutation), so none of the expenses were changed.
+function bulkErrorMessage(error, fallback) {
+    if (error.code !== 'not_permitted') return fallback;
+    return `${fallback}: some of them no longer exist or you are not allowed to change them. None were changed.`;
+}
+
+// Move every selected expense to the trash, with one Undo for all of them.
+async function bulkDeleteExpenses() {
+    const list = selectedExpenses();
+    if (list.length === 0) return;
+    if (!confirm(`Move ${list.length} expense${list.length === 1 ? '' : 's'} to the trash?`)) return;
+    try {
+        const { data, error } = await runMutation({
+            table: 'expenses',
+            action: 'update',
+            ids: list.map(exp => exp.id),
+            values: { deleted_at: new Date().toISOString() },
+            base: updatedAtById(list),
+            label: `${list.length} expenses`
+        });
+        if (error) {
+            console.error('Error deleting expenses:', error);
+            alert(bulkErrorMessage(error, 'Failed to delete expenses'));
+            await reloadAllData();
+            return;
+        }
+        const saved = new Map((data || []).map(row => [row.id, row]));
+        const deleted = list.map(exp => ({ ...exp, ...saved.get(exp.id) }));
+        expenses = expenses.filter(exp => !selectedExpenseIds.has(exp.id));
+        selectedExpenseIds = new Set();
+        renderAfterBulkChange();
+        loadTrash();
+        showUndoToast(`Deleted ${list.length} expense${list.length === 1 ? '' : 's'}`, () => restoreExpenses(deleted));
+    } catch (err) {
+        console.error('Unexpected error deleting expenses:', err);
+        alert('An unexpected error occurred while deleting expenses');
     }
-    options.forEach(optVal => {
-        const opt = document.createElement('option');
-        opt.value = optVal;
-        opt.textContent = optVal;
-        select.appendChild(opt);
-    });
 }
 
-// Compute summary for a list of expenses.  Returns an object keyed by member
-// name with { paid, share }.  Net is computed by caller as share - paid.
-function computeSummaryFromList(list) {
-    const summary = {};
-    members.forEach(m => {
-        summary[m] = { paid: 0, share: 0 };
-    });
-    list.forEach(exp => {
-        const amount = parseFloat(exp.amount);
-        // Add to payer's paid total
-        if (summary[exp.payer]) {
-            summary[exp.payer].paid += amount;
-        }
-        // Determine responsible list: handle legacy property names.
-        // Older saved expenses may have a `beneficiaries` field instead of
-        // `responsible`.  Pull whichever exists and default to an empty array.
-        const resp = exp.responsible || exp.beneficiaries || [];
-        let respList;
-        // If All is selected, split among all members
-        if (resp.includes('All')) {
-            respList = [...members];
-        } else {
-            respList = resp;
-        }
-        const share = amount / (respList.length || 1);
-        respList.forEach(name => {
-            if (summary[name]) {
-                summary[name].share += share;
-            }
+// Take several active expenses back out of the trash in one update.
+async function restoreExpenses(records) {
+    try {
+        const { data, error } = await runMutation({
+            table: 'expenses',
+            action: 'update',
+            ids: records.map(rec => rec.id),
+            values: { deleted_at: null },
+            base: updatedAtById(records),
+            label: `${records.length} expenses`
         });
-    });
-    return summary;
+        if (error) {
+            console.error('Error restoring expenses:', error);
+            alert(bulkErrorMessage(error, 'Failed to restore expenses'));
+            await reloadAllData();
+            return;
+        }
+        const saved = new Map((data || []).map(row => [row.id, row]));
+        records.forEach(rec => upsertById(expenses, { ...rec, ...saved.get(rec.id), deleted_at: null }, 'date'));
+        renderAfterBulkChange();
+        loadTrash();
+    } catch (err) {
+        console.error('Unexpected error restoring expenses:', err);
+        alert('An unexpected error occurred while restoring expenses');
+    }
 }
 
-// Compute category totals for chart.  When person is 'All' we sum the full
-// amounts, otherwise we sum the person's shares for each category.
-function computeCategoryTotals(person) {
-    const totals = {};
-    categories.forEach(cat => (totals[cat] = 0));
-    expenses.forEach(exp => {
-        const amount = parseFloat(exp.amount);
-        const category = exp.category;
-        // Determine responsible list (handle legacy beneficiaries)
-        const resp = exp.responsible || exp.beneficiaries || [];
-        let respList;
-        if (resp.includes('All')) {
-            respList = [...members];
-        } else {
-            respList = resp;
-        }
-        const share = amount / (respList.length || 1);
-        if (person === 'All') {
-            totals[category] += amount;
-        } else if (respList.includes(person)) {
-            totals[category] += share;
-        }
-    });
-    return totals;
+// Wire the select‑all checkbox and the bulk action bar.
+function initBulkActions() {
+    populateBulkValue();
+    document.getElementById('expenses-select-all').addEventListener('change', e => toggleSelectAllExpenses(e.target.checked));
+    document.getElementById('bulk-field').addEventListener('change', populateBulkValue);
+    document.getElementById('bulk-apply').addEventListener('click', applyBulkChange);
+    document.getElementById('bulk-delete').addEventListener('click', bulkDeleteExpenses);
+    document.getElementById('bulk-clear').addEventListener('click', clearExpenseSelection);
 }
 
 // -----------------------------
-// Additional helper functions
+// Account reconciliation
 // -----------------------------
+//
+// Each payment method is reconciled against its statements.  A statement
+// covers a period and records the opening and closing balance printed on it
+// and the IDs of the expenses ticked off against it.  The running balance
+// starts at the opening balance and goes down by each expense in the base
+// currency; once every listed expense is ticked, the cleared balance
+// matches the closing balance.
 
-// Format a date string (YYYY-MM-DD) into "DD MMM YYYY" (e.g., 12 DEC 2025).
-function formatDateDisplay(dateStr) {
-    const months = ['JAN','FEB','MAR','APR','MAY','JUN','JUL','AUG','SEP','OCT','NOV','DEC'];
-    const [year, month, day] = dateStr.split('-');
-    return `${day} ${months[parseInt(month, 10) - 1]} ${year}`;
+// Statements of the chosen payment method, oldest first.
+let accountStatements = [];
+// Current and archived expenses of the chosen method in the period.
+let reconcileExpenses = [];
+// IDs of the expenses ticked off on screen.
+let reconcileCleared = new Set();
+// Incremented per load so a slow response cannot replace a newer one.
+let reconcileRequest = 0;
+
+function reconcileMethod() {
+    const select = document.getElementById('reconcile-method');
+    return paymentMethodRecords.find(pm => pm.id === select.value) || null;
 }
 
-// Compute and display the dashboard period (from last handover end or earliest
-// current expense to the latest current expense) and total amount spent.  If
-// there are no current expenses, a message will be shown instead.
-function renderDashboardInfo() {
-    const infoDiv = document.getElementById('dashboard-info');
-    if (!infoDiv) return;
-    if (!expenses || expenses.length === 0) {
-        infoDiv.textContent = 'No expenses yet.';
-        return;
-    }
-    // Determine period start: if there are past handovers, use the last handover end; else use earliest expense date.
-    let start;
-    if (handovers && handovers.length > 0) {
-        start = handovers[handovers.length - 1].end;
-    } else {
-        start = expenses.reduce((min, exp) => (exp.date < min ? exp.date : min), expenses[0].date);
-    }
-    // Determine period end: latest expense date
-    const end = expenses.reduce((max, exp) => (exp.date > max ? exp.date : max), expenses[0].date);
-    // Compute total amount spent in current period
-    const total = expenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0);
-    const startDisplay = formatDateDisplay(start);
-    const endDisplay = formatDateDisplay(end);
-    infoDiv.innerHTML = `<strong>Period:</strong> ${startDisplay} – ${endDisplay}<br><strong>Total spent:</strong> $${total.toFixed(2)}`;
+function currentStatement() {
+    const id = document.getElementById('reconcile-statement').value;
+    return accountStatements.find(st => st.id === id) || null;
 }
 
-// Populate a container with checkboxes for responsible selection.  The
-// `containerId` is the ID of the DOM element that will hold the checkboxes.  The
-// optional `selected` array specifies which names should be checked on load;
-// defaults to ['All'].
-function populateResponsibleCheckboxes(containerId, selected = ['All']) {
-    const container = document.getElementById(containerId);
-    if (!container) return;
-    container.innerHTML = '';
-    // Helper to create a checkbox with label
-    function createCheckbox(value, label) {
-        const wrapper = document.createElement('div');
-        wrapper.className = 'form-check me-2';
-        const input = document.createElement('input');
-        input.type = 'checkbox';
-        input.className = 'form-check-input';
-        input.id = `${containerId}-${value}`;
-        input.value = value;
-        input.checked = selected.includes(value);
-        const lbl = document.createElement('label');
-        lbl.className = 'form-check-label';
-        lbl.htmlFor = input.id;
-        lbl.textContent = label;
-        wrapper.appendChild(input);
-        wrapper.appendChild(lbl);
-        return { wrapper, input };
-    }
-    // 'All' option
-    const { wrapper: allWrapper, input: allInput } = createCheckbox('All', 'All');
-    container.appendChild(allWrapper);
-    // Individual member options
-    const individualInputs = [];
-    members.forEach(name => {
-        const { wrapper, input } = createCheckbox(name, name);
-        container.appendChild(wrapper);
-        individualInputs.push(input);
-    });
-    // Event rules: when 'All' is checked, uncheck others; when any individual is checked, uncheck 'All';
-    // when no individuals are checked, re-check 'All'.
-    allInput.addEventListener('change', () => {
-        if (allInput.checked) {
-            individualInputs.forEach(cb => cb.checked = false);
-        }
-    });
-    individualInputs.forEach(cb => {
-        cb.addEventListener('change', () => {
-            if (cb.checked) {
-                allInput.checked = false;
-            } else {
-                const anyChecked = individualInputs.some(other => other.checked);
-                if (!anyChecked) {
-                    allInput.checked = true;
-                }
-            }
-        });
+// Fill the account select, keeping the chosen account if it still exists,
+// and show its statements.
+async function renderReconcile() {
+    const select = document.getElementById('reconcile-method');
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '';
+    paymentMethodRecords.forEach(pm => {
+        const opt = document.createElement('option');
+        opt.value = pm.id;
+        opt.textContent = pm.owner_id ? `${pm.name} (${memberName(pm.owner_id)})` : pm.name;
+        select.appendChild(opt);
     });
+    if (paymentMethodRecords.some(pm => pm.id === current)) select.value = current;
+    if (document.getElementById('reconcile').classList.contains('d-none')) return;
+    await loadAccountStatements();
 }
 
-// Compute category totals from an arbitrary list of expenses.  Works similarly
-// to computeCategoryTotals but operates on an arbitrary list of expenses instead of
-// the global `expenses` array.
-function computeCategoryTotalsFromList(list, person) {
-    const totals = {};
-    categories.forEach(cat => (totals[cat] = 0));
-    list.forEach(exp => {
-        const amount = parseFloat(exp.amount);
-        const category = exp.category;
-        const resp = exp.responsible || exp.beneficiaries || [];
-        let respList;
-        if (resp.includes('All')) {
-            respList = [...members];
+// Load the statements of the chosen account and show the latest one.
+async function loadAccountStatements(selectId) {
+    const method = reconcileMethod();
+    accountStatements = [];
+    if (method) {
+        await initSupabase();
+        const { data, error } = await supa
+            .from('account_statements')
+            .select('*')
+            .eq('household_id', currentHouseholdId)
+            .eq('payment_method_id', method.id)
+            .order('period_start', { ascending: true });
+        if (error) {
+            console.error('Error loading statements:', error);
         } else {
-            respList = resp;
-        }
-        const share = amount / (respList.length || 1);
-        if (person === 'All') {
-            totals[category] += amount;
-        } else if (respList.includes(person)) {
-            totals[category] += share;
+            accountStatements = data || [];
         }
+    }
+    const select = document.getElementById('reconcile-statement');
+    select.innerHTML = '<option value="">New statement</option>';
+    accountStatements.forEach(st => {
+        const opt = document.createElement('option');
+        opt.value = st.id;
+        opt.textContent = `${formatDateDisplay(st.period_start)} – ${formatDateDisplay(st.period_end)}`;
+        select.appendChild(opt);
     });
-    return totals;
+    const latest = accountStatements[accountStatements.length - 1];
+    select.value = selectId || (latest ? latest.id : '');
+    await showStatement();
 }
 
-// Render a custom history report.  Based on the currently selected start and end
-// dates in the history filters, it gathers expenses from past handovers in that
-// date range, computes a summary and total, and populates the custom report
-// section with a table and pie chart.
-function renderHistoryReport() {
-    const startDate = document.getElementById('history-start').value;
-    const endDate = document.getElementById('history-end').value;
-    const reportDiv = document.getElementById('history-report');
-    const infoDiv = document.getElementById('history-report-info');
-    const tbody = document.getElementById('history-report-body');
-    const chartSelect = document.getElementById('history-chart-person');
-    if (!reportDiv || !infoDiv || !tbody || !chartSelect) return;
-    // Collect expenses from handovers within the specified date range.  We
-    // retrieve archived expenses from the `archivedExpensesByHandover`
-    // structure instead of relying on a nonexistent `handover.expenses`
-    // property. Each archived expense has a `handover_id` linking it to its
-    // handover record.
-    let selectedExpenses = [];
-    handovers.forEach(handover => {
-        const hoExps = archivedExpensesByHandover[handover.id] || [];
-        hoExps.forEach(exp => {
-            if (startDate && exp.date < startDate) return;
-            if (endDate && exp.date > endDate) return;
-            selectedExpenses.push(exp);
-        });
-    });
-    if (selectedExpenses.length === 0) {
-        // Hide report if no data
-        reportDiv.classList.add('d-none');
-        return;
-    }
-    // Compute summary and total
-    const summary = computeSummaryFromList(selectedExpenses);
-    const total = selectedExpenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0);
-    // Determine actual start/end from selected expenses
-    const actualStart = selectedExpenses.reduce((min, exp) => exp.date < min ? exp.date : min, selectedExpenses[0].date);
-    const actualEnd = selectedExpenses.reduce((max, exp) => exp.date > max ? exp.date : max, selectedExpenses[0].date);
-    infoDiv.innerHTML = `<strong>Period:</strong> ${formatDateDisplay(actualStart)} – ${formatDateDisplay(actualEnd)}<br><strong>Total spent:</strong> $${total.toFixed(2)}`;
-    tbody.innerHTML = '';
-    members.forEach(name => {
-        const s = summary[name] || { paid: 0, share: 0 };
-        const net = s.share - s.paid;
-        const tr = document.createElement('tr');
-        tr.innerHTML = `<td>${name}</td><td>$${s.paid.toFixed(2)}</td><td>$${s.share.toFixed(2)}</td><td>$${net.toFixed(2)}</td>`;
-        tbody.appendChild(tr);
+// Put the chosen statement into the form.  A new statement starts the day
+// after the previous one ended, with its closing balance as the opening one.
+async function showStatement() {
+    const method = reconcileMethod();
+    const st = currentStatement();
+    const previous = accountStatements[accountStatements.length - 1];
+    const start = previous ? addDays(previous.period_end, 1) : todayISO().slice(0, 8) + '01';
+    document.getElementById('reconcile-start').value = st ? st.period_start : start;
+    document.getElementById('reconcile-end').value = st ? st.period_end : todayISO();
+    document.getElementById('reconcile-opening').value = st ? st.opening_balance : (previous && previous.closing_balance != null ? previous.closing_balance : 0);
+    document.getElementById('reconcile-closing').value = st && st.closing_balance != null ? st.closing_balance : '';
+    reconcileCleared = new Set(st ? st.cleared_ids : []);
+    const editable = !!method && canReconcile(method);
+    ['reconcile-start', 'reconcile-end', 'reconcile-opening', 'reconcile-closing', 'reconcile-save'].forEach(id => {
+        document.getElementById(id).disabled = !editable;
     });
-    // Populate chart person select only once
-    if (chartSelect.options.length === 0) {
-        const allOpt = document.createElement('option');
-        allOpt.value = 'All';
-        allOpt.textContent = 'All';
-        chartSelect.appendChild(allOpt);
-        members.forEach(name => {
-            const opt = document.createElement('option');
-            opt.value = name;
-            opt.textContent = name;
-            chartSelect.appendChild(opt);
-        });
-        chartSelect.addEventListener('change', () => {
-            renderHistoryCategoryChart(selectedExpenses, chartSelect.value);
-        });
-    }
-    // Set default selection to All and render chart
-    chartSelect.value = 'All';
-    renderHistoryCategoryChart(selectedExpenses, 'All');
-    reportDiv.classList.remove('d-none');
+    document.getElementById('reconcile-delete').classList.toggle('d-none', !st || !editable);
+    await loadReconcileExpenses();
 }
 
-// Render a category breakdown chart for the history report.
-function renderHistoryCategoryChart(list, person) {
-    const totals = computeCategoryTotalsFromList(list, person);
-    const labels = Object.keys(totals);
-    const data = Object.values(totals);
-    const colors = labels.map((_, i) => {
-        const hue = (i * 45) % 360;
-        return `hsl(${hue}, 70%, 60%)`;
-    });
-    if (historyCategoryChart) {
-        historyCategoryChart.data.labels = labels;
-        historyCategoryChart.data.datasets[0].data = data;
-        historyCategoryChart.data.datasets[0].backgroundColor = colors;
-        historyCategoryChart.options.plugins.title.text = person === 'All' ? 'Overall Category Spend' : `${person}'s Category Share`;
-        historyCategoryChart.update();
-    } else {
-        const ctx = document.getElementById('historyCategoryChart');
-        historyCategoryChart = new Chart(ctx, {
-            type: 'pie',
-            data: {
-                labels: labels,
-                datasets: [{ data: data, backgroundColor: colors }]
-            },
-            options: {
-                responsive: true,
-                plugins: {
-                    legend: { position: 'bottom' },
-                    title: { display: true, text: person === 'All' ? 'Overall Category Spend' : `${person}'s Category Share` }
-                }
-            }
+// Collect the expenses paid with the chosen account in the period: current
+// ones from memory, archived ones from the server.
+async function loadReconcileExpenses() {
+    const method = reconcileMethod();
+    const start = document.getElementById('reconcile-start').value;
+    const end = document.getElementById('reconcile-end').value;
+    const request = ++reconcileRequest;
+    if (!method || !start || !end) {
+        reconcileExpenses = [];
+        renderReconcileTable();
+        return;
+    }
+    const inPeriod = exp => exp.date.slice(0, 10) >= start && exp.date.slice(0, 10) <= end;
+    const current = expenses.filter(exp => exp.payment === method.name && inPeriod(exp));
+    let archived = [];
+    try {
+        const { data, error } = await selectWithCache('expenses', () => supa
+            .from('expenses')
+            .select('*')
+            .eq('household_id', currentHouseholdId)
+            .eq('payment_method_id', method.id)
+            .not('handover_id', 'is', null)
+            .is('deleted_at', null)
+            .gte('date', start)
+            .lte('date', end), {
+            filter: exp => !!exp.handover_id && !exp.deleted_at && exp.payment_method_id === method.id && inPeriod(exp),
+            sortBy: 'date',
+            partial: true
         });
+        if (error) {
+            console.error('Error loading archived expenses for reconciliation:', error);
+        } else {
+            archived = data.map(row => fromStoredRow('expenses', row));
+        }
+    } catch (err) {
+        console.error('Unexpected error loading archived expenses for reconciliation:', err);
     }
+    if (request !== reconcileRequest) return;
+    reconcileExpenses = [...archived, ...current]
+        .sort((a, b) => a.date.localeCompare(b.date) || a.title.localeCompare(b.title));
+    renderReconcileTable();
 }
 
-// Compute settlement transactions based on a summary object.  This implements a
-// simple settlement scheme: all people who owe (net > 0) pay their owed
-// amount to the highest receiver (largest negative net).  The highest receiver
-// then pays out to any other receivers their owed amounts.  Returns an array
-// of strings describing the transactions.
-function computeSettlement(summary) {
-    const debtors = [];
-    const receivers = [];
-    members.forEach(name => {
-        const s = summary[name] || { paid: 0, share: 0 };
-        const net = s.share - s.paid;
-        if (net > 0.01) {
-            debtors.push({ name, amount: net });
-        } else if (net < -0.01) {
-            receivers.push({ name, amount: -net });
+// Show the expenses with a running balance, and how far the ticked ones are
+// from the statement's closing balance.
+function renderReconcileTable() {
+    const body = document.getElementById('reconcile-body');
+    const totals = document.getElementById('reconcile-totals');
+    if (!body || !totals) return;
+    const method = reconcileMethod();
+    const editable = !!method && canReconcile(method);
+    const opening = parseFloat(document.getElementById('reconcile-opening').value) || 0;
+    const closingInput = document.getElementById('reconcile-closing').value;
+    // Statements are in the account's currency, so balances are too
+    const currency = (method && method.currency) || baseCurrency;
+    document.getElementById('reconcile-currency').textContent = currency;
+    let balance = opening;
+    let cleared = opening;
+    let unconverted = 0;
+    body.innerHTML = '';
+    reconcileExpenses.forEach(exp => {
+        const amount = amountInCurrency(exp, currency);
+        if (amount === null) {
+            unconverted++;
+        } else {
+            balance -= amount;
+            if (reconcileCleared.has(exp.id)) cleared -= amount;
         }
+        const tr = document.createElement('tr');
+        if (reconcileCleared.has(exp.id)) tr.classList.add('table-success');
+        tr.innerHTML = `
+            <td><input type="checkbox" class="form-check-input reconcile-tick" data-id="${exp.id}" aria-label="Ticked off"></td>
+            <td>${formatDateDisplay(exp.date)}</td>
+            <td></td>
+            <td>${escapeHTML(exp.payer)}</td>
+            <td class="text-end">${amount === null
+                ? `${formatMoney(exp.amount, expenseCurrency(exp))}<br><small class="text-danger">No ${currency} rate</small>`
+                : formatMoney(amount, currency)}</td>
+            <td class="text-end">${formatMoney(balance, currency)}</td>`;
+        tr.children[2].textContent = exp.title;
+        const tick = tr.querySelector('.reconcile-tick');
+        tick.checked = reconcileCleared.has(exp.id);
+        tick.disabled = !editable;
+        body.appendChild(tr);
     });
-    const transactions = [];
-    if (debtors.length === 0 || receivers.length === 0) return transactions;
-    // Highest receiver is the one owed the most
-    receivers.sort((a, b) => b.amount - a.amount);
-    const highest = receivers[0];
-    // Debtors pay the highest receiver
-    debtors.forEach(d => {
-        transactions.push(`${d.name} to ${highest.name}: $${d.amount.toFixed(2)}`);
-    });
-    // Highest receiver pays out the owed amounts to other receivers (excluding himself)
-    receivers.slice(1).forEach(rec => {
-        transactions.push(`${highest.name} to ${rec.name}: $${rec.amount.toFixed(2)}`);
-    });
-    return transactions;
-}
-
-// Open the edit modal for the expense at the specified index.  Prefills the
-// form fields with the existing expense data and shows the modal.
-function openEditModal(index) {
-    currentEditIndex = index;
-    const exp = expenses[index];
-    // Prefill simple inputs
-    document.getElementById('edit-date').value = exp.date;
-    document.getElementById('edit-title').value = exp.title;
-    document.getElementById('edit-description').value = exp.description || '';
-    document.getElementById('edit-amount').value = parseFloat(exp.amount).toFixed(2);
-    // Populate selects and set value
-    populateSelect('edit-category', categories);
-    populateSelect('edit-payment', paymentMethods);
-    populateSelect('edit-payer', members);
-    document.getElementById('edit-category').value = exp.category;
-    document.getElementById('edit-payment').value = exp.payment;
-    document.getElementById('edit-payer').value = exp.payer;
-    // Populate responsible checkboxes
-    const respList = exp.responsible || exp.beneficiaries || [];
-    const selected = respList.includes('All') || respList.length === 0 ? ['All'] : respList;
-    populateResponsibleCheckboxes('edit-responsible', selected);
-    // Show modal using Bootstrap JS API
-    const modalEl = document.getElementById('edit-modal');
-    const modal = new bootstrap.Modal(modalEl);
-    modal.show();
+    if (reconcileExpenses.length === 0) {
+        body.innerHTML = `<tr><td colspan="6" class="text-muted">${method ? 'No expenses paid with this account in the period.' : 'Add a payment method in Settings first.'}</td></tr>`;
+    }
+    const ticked = reconcileExpenses.filter(exp => reconcileCleared.has(exp.id)).length;
+    let html = `<p class="mb-1">Ticked off ${ticked} of ${reconcileExpenses.length} expense(s). Cleared balance: <strong>${formatMoney(cleared, currency)}</strong></p>`;
+    if (unconverted > 0) {
+        html += `<p class="text-danger mb-1">${unconverted} expense(s) are left out of the balances: add exchange rates for ${currency} in Settings.</p>`;
+    }
+    if (closingInput !== '') {
+        const difference = parseFloat(closingInput) - cleared;
+        html += Math.abs(difference) < 0.005
+            ? '<p class="text-success mb-0">The cleared balance matches the statement.</p>'
+            : `<p class="text-danger mb-0">Difference to the statement's closing balance: ${formatMoney(difference, currency)}</p>`;
+    }
+    totals.innerHTML = html;
 }
 
-// Save changes made in the edit modal back to the expenses list
-async function saveEdit() {
-    if (currentEditIndex === null) return;
-    const idx = currentEditIndex;
-    // Retrieve values from the modal
-    const date = document.getElementById('edit-date').value;
-    const title = document.getElementById('edit-title').value;
-    const description = document.getElementById('edit-description').value;
-    const amount = document.getElementById('edit-amount').value;
-    const category = document.getElementById('edit-category').value;
-    const payment = document.getElementById('edit-payment').value;
-    const payer = document.getElementById('edit-payer').value;
-    const selected = Array.from(document.querySelectorAll('#edit-responsible input[type=checkbox]:checked')).map(cb => cb.value);
-    if (selected.length === 0) {
-        alert('Please select at least one responsible person');
+// Save the statement with the expenses ticked off in its period.
+async function saveStatement() {
+    const method = reconcileMethod();
+    if (!method || !canReconcile(method)) return;
+    const st = currentStatement();
+    const start = document.getElementById('reconcile-start').value;
+    const end = document.getElementById('reconcile-end').value;
+    const closingInput = document.getElementById('reconcile-closing').value;
+    if (!start || !end || end < start) {
+        alert('Please enter a statement period that ends on or after its start');
         return;
-    }
-    // Grab the existing expense record to get its ID
-    const existing = expenses[idx];
-    const updated = {
-        date,
-        title,
-        description,
-        amount,
-        category,
-        payment,
-        payer,
-        responsible: selected
+    }
+    const overlapping = accountStatements.find(other => other !== st && other.period_start <= end && other.period_end >= start);
+    if (overlapping && !confirm(`This period overlaps the statement of ${formatDateDisplay(overlapping.period_start)} – ${formatDateDisplay(overlapping.period_end)}. Save anyway?`)) return;
+    const values = {
+        payment_method_id: method.id,
+        period_start: start,
+        period_end: end,
+        opening_balance: parseFloat(document.getElementById('reconcile-opening').value) || 0,
+        closing_balance: closingInput === '' ? null : parseFloat(closingInput),
+        cleared_ids: reconcileExpenses.filter(exp => reconcileCleared.has(exp.id)).map(exp => exp.id)
     };
+    const label = `Statement ${method.name} ${start} – ${end}`;
     try {
-        // Perform update in Supabase using the record's ID
-        const { error } = await supa.from('expenses').update(updated).eq('id', existing.id);
+        const { data, error } = st
+            ? await runMutation({ table: 'account_statements', action: 'update', id: st.id, values, base: st.updated_at, label })
+            : await runMutation({ table: 'account_statements', action: 'insert', rows: [values] });
         if (error) {
-            console.error('Error updating expense:', error);
-            alert('Failed to update expense');
+            console.error('Error saving statement:', error);
+            alert('Failed to save statement');
             return;
         }
-        // Replace the record in the local array
-        expenses[idx] = { ...existing, ...updated };
-        // Refresh views
-        renderSummary();
-        renderExpensesList();
-        const person = document.getElementById('chart-person-select').value || 'All';
-        renderCategoryChart(person);
-        // Hide modal
-        const modalEl = document.getElementById('edit-modal');
-        const modal = bootstrap.Modal.getInstance(modalEl);
-        modal.hide();
-        currentEditIndex = null;
+        await loadAccountStatements(st ? st.id : data && data[0] && data[0].id);
     } catch (err) {
-        console.error('Unexpected error updating expense:', err);
-        alert('An unexpected error occurred while updating expense');
+        console.error('Unexpected error saving statement:', err);
+        alert('An unexpected error occurred while saving the statement');
     }
 }
 
-// Delete an expense by index after confirmation
-async function deleteExpense(index) {
-    if (!confirm('Are you sure you want to delete this expense?')) return;
-    const exp = expenses[index];
+async function deleteStatement() {
+    const st = currentStatement();
+    if (!st) return;
+    if (!confirm('Delete this statement? The expenses stay; only the ticks are lost.')) return;
     try {
-        const { error } = await supa.from('expenses').delete().eq('id', exp.id);
+        const { error } = await runMutation({ table: 'account_statements', action: 'delete', id: st.id, base: st.updated_at, label: 'Statement' });
         if (error) {
-            console.error('Error deleting expense:', error);
-            alert('Failed to delete expense');
+            console.error('Error deleting statement:', error);
+            alert('Failed to delete statement');
             return;
         }
-        expenses.splice(index, 1);
-        renderSummary();
-        renderExpensesList();
-        const person = document.getElementById('chart-person-select').value || 'All';
-        renderCategoryChart(person);
+        await loadAccountStatements();
     } catch (err) {
-        console.error('Unexpected error deleting expense:', err);
-        alert('An unexpected error occurred while deleting expense');
+        console.error('Unexpected error deleting statement:', err);
+        alert('An unexpected error occurred while deleting the statement');
     }
 }
 
-// Render summary table for the dashboard using current expenses.
-function renderSummary() {
-    const summary = computeSummaryFromList(expenses);
-    const tbody = document.getElementById('summary-body');
-    tbody.innerHTML = '';
-    members.forEach(name => {
-        const s = summary[name];
-        const net = s.share - s.paid;
-        const tr = document.createElement('tr');
-        tr.innerHTML = `<td>${name}</td>` +
-            `<td>$${s.paid.toFixed(2)}</td>` +
-            `<td>$${s.share.toFixed(2)}</td>` +
-            `<td>$${net.toFixed(2)}</td>`;
-        tbody.appendChild(tr);
+function initReconcile() {
+    document.getElementById('reconcile-method').addEventListener('change', () => loadAccountStatements());
+    document.getElementById('reconcile-statement').addEventListener('change', showStatement);
+    ['reconcile-start', 'reconcile-end'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadReconcileExpenses);
     });
+    ['reconcile-opening', 'reconcile-closing'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderReconcileTable);
+    });
+    document.getElementById('reconcile-body').addEventListener('change', e => {
+        if (!e.target.classList.contains('reconcile-tick')) return;
+        if (e.target.checked) reconcileCleared.add(e.target.dataset.id);
+        else reconcileCleared.delete(e.target.dataset.id);
+        renderReconcileTable();
+    });
+    document.getElementById('reconcile-save').addEventListener('click', saveStatement);
+    document.getElementById('reconcile-delete').addEventListener('click', deleteStatement);
+}
 
-    // Update dashboard period and total information
-    if (typeof renderDashboardInfo === 'function') {
-        renderDashboardInfo();
+// -----------------------------
+// Export (CSV, JSON, XLSX)
+// -----------------------------
+
+// HTML for an "Export" dropdown.  Clicks on its items are handled by a
+// single delegated listener that calls handleExport() with the data
+// attributes of the clicked item.
+function exportMenuHTML(scope, handoverId = '') {
+    const items = [['csv', 'CSV'], ['json', 'JSON'], ['xlsx', 'Excel (XLSX)']].map(([format, label]) =>
+        `<li><button type="button" class="dropdown-item export-option" data-export-scope="${scope}" data-handover-id="${handoverId}" data-format="${format}">${label}</button></li>`
+    ).join('');
+    return `<div class="btn-group btn-group-sm">` +
+        `<button type="button" class="btn btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">Export</button>` +
+        `<ul class="dropdown-menu">${items}</ul></div>`;
+}
+
+// Gather the data for an export.  Returns { name, currency, expenses,
+// summary, transfers } where each list is an array of plain row objects, or
+// null when there is nothing to export.  A handover's expenses must already
+// be loaded; the report's expenses are passed in as `reportList`.
+function buildExportData(scope, handoverId, reportList = []) {
+    let list;
+    let summary;
+    let transfers;
+    let currency = baseCurrency;
+    let name;
+    if (scope === 'handover') {
+        const handover = handovers.find(ho => ho.id === handoverId);
+        if (!handover) return null;
+        list = archivedExpensesByHandover[handover.id] || [];
+        summary = handover.summary || {};
+        currency = handover.currency || baseCurrency;
+        name = `handover-${handover.start}-to-${handover.end}`;
+        const tracked = settlements.filter(st => st.handover_id === handover.id);
+        transfers = tracked.length > 0
+            ? tracked.map(st => ({
+                From: st.from_member,
+                To: st.to_member,
+                Amount: roundMoney(parseFloat(st.amount)),
+                Paid: roundMoney(parseFloat(st.paid_amount) || 0),
+                Status: settlementStatuses[st.status] || st.status,
+                'Paid On': (st.payments || []).map(p => p.date).join('; ') || st.paid_date || '',
+                'Payment Method': (st.payments || []).map(p => p.method).join('; ') || st.payment_method || ''
+            }))
+            : handover.transactions.map(t => ({ From: t.from, To: t.to, Amount: t.amount }));
+    } else {
+        list = scope === 'report' ? reportList : getFilteredExpenses();
+        summary = computeSummaryFromList(list);
+        transfers = computeSettlement(summary).map(t => ({ From: t.from, To: t.to, Amount: t.amount }));
+        if (scope === 'report') {
+            const start = document.getElementById('history-start').value || 'start';
+            const end = document.getElementById('history-end').value || todayISO();
+            name = `report-${start}-to-${end}`;
+        } else {
+            name = `expenses-${todayISO()}`;
+        }
     }
+    if (list.length === 0) return null;
+    // A handover is settled in its own currency, which may no longer be the
+    // base currency; amounts without a rate into it are left blank.
+    const expenseRows = list.map(exp => {
+        const converted = amountInCurrency(exp, currency);
+        return {
+            Date: exp.date,
+            Title: exp.title,
+            Description: exp.description || '',
+            Amount: roundMoney(parseFloat(exp.amount)),
+            Currency: expenseCurrency(exp),
+            [`Amount (${currency})`]: converted === null ? '' : roundMoney(converted),
+            Category: exp.category,
+            Payer: exp.payer,
+            Responsible: formatResponsible(exp),
+            'Payment Method': exp.payment,
+            Items: formatItems(exp)
+        };
+    });
+    const summaryRows = Object.keys(summary).map(member => {
+        const s = summary[member];
+        return {
+            Member: member,
+            Paid: roundMoney(s.paid),
+            Share: roundMoney(s.share),
+            Net: roundMoney(s.share - s.paid)
+        };
+    });
+    return { name, currency, expenses: expenseRows, summary: summaryRows, transfers };
 }
 
-// Global chart instance for category breakdown.  We reuse the same chart
-// instance and update its data to avoid re‑creating canvases.
-let categoryChart = null;
+// Text starting with one of these is run as a formula when a spreadsheet
+// opens the export, so it gets a leading apostrophe.  Numbers are left alone.
+function spreadsheetSafe(value) {
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
 
-// Separate chart instance for the history custom report
-let historyCategoryChart = null;
-// Track the index of the expense being edited in the edit modal
-let currentEditIndex = null;
+// The same for every cell of a list of row objects (for XLSX sheets).
+function spreadsheetSafeRows(rows) {
+    return rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, spreadsheetSafe(value)])));
+}
 
-function renderCategoryChart(person) {
-    const totals = computeCategoryTotals(person);
-    const labels = Object.keys(totals);
-    const data = Object.values(totals);
-    const colors = labels.map((_, i) => {
-        // Generate a palette of pastel colors
-        const hue = (i * 45) % 360;
-        return `hsl(${hue}, 70%, 60%)`;
-    });
-    if (categoryChart) {
-        categoryChart.data.labels = labels;
-        categoryChart.data.datasets[0].data = data;
-        categoryChart.data.datasets[0].backgroundColor = colors;
-        categoryChart.options.plugins.title.text = person === 'All' ? 'Overall Category Spend' : `${person}'s Category Share`;
-        categoryChart.update();
+// Quote a value for CSV output when it contains a delimiter, quote or newline.
+function csvCell(value) {
+    const str = value === null || value === undefined ? '' : String(spreadsheetSafe(value));
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Convert a list of row objects into CSV lines with a header row.
+function rowsToCSV(rows) {
+    if (rows.length === 0) return [];
+    const headers = Object.keys(rows[0]);
+    return [headers.map(csvCell).join(','), ...rows.map(row => headers.map(h => csvCell(row[h])).join(','))];
+}
+
+// Trigger a browser download of the given content.
+function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Export expenses, the per‑member summary and settlement transfers in the
+// requested format.  CSV puts each part in its own titled section, JSON in
+// its own property and XLSX on its own sheet.
+async function handleExport(scope, handoverId, format) {
+    // Archived expenses are fetched on demand, so load the ones exported
+    let reportList = [];
+    try {
+        if (scope === 'handover') await loadAllHandoverExpenses(handoverId);
+        if (scope === 'report') {
+            reportList = await fetchArchivedRange(document.getElementById('history-start').value, document.getElementById('history-end').value);
+        }
+    } catch (err) {
+        console.error('Error loading expenses to export:', err);
+        alert('Failed to load the expenses to export');
+        return;
+    }
+    const data = buildExportData(scope, handoverId, reportList);
+    if (!data) {
+        alert('There is nothing to export');
+        return;
+    }
+    if (format === 'json') {
+        const json = {
+            currency: data.currency,
+            expenses: data.expenses,
+            summary: data.summary,
+            settlement: data.transfers
+        };
+        downloadFile(`${data.name}.json`, JSON.stringify(json, null, 2), 'application/json');
+    } else if (format === 'xlsx') {
+        if (typeof XLSX === 'undefined') {
+            alert('The spreadsheet library could not be loaded');
+            return;
+        }
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(spreadsheetSafeRows(data.expenses)), 'Expenses');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(spreadsheetSafeRows(data.summary)), `Summary (${data.currency})`);
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(data.transfers.length > 0 ? spreadsheetSafeRows(data.transfers) : [{ From: '', To: '', Amount: '' }]), 'Settlement');
+        XLSX.writeFile(workbook, `${data.name}.xlsx`);
     } else {
-        const ctx = document.getElementById('categoryChart');
-        categoryChart = new Chart(ctx, {
-            type: 'pie',
-            data: {
-                labels: labels,
-                datasets: [{
-                    data: data,
-                    backgroundColor: colors
-                }]
-            },
-            options: {
-                responsive: true,
-                plugins: {
-                    legend: {
-                        position: 'bottom'
-                    },
-                    title: {
-                        display: true,
-                        text: person === 'All' ? 'Overall Category Spend' : `${person}'s Category Share`
-                    }
-                }
-            }
-        });
+        const lines = [
+            'Expenses', ...rowsToCSV(data.expenses), '',
+            `Summary (${data.currency})`, ...rowsToCSV(data.summary), '',
+            `Settlement (${data.currency})`, ...(data.transfers.length > 0 ? rowsToCSV(data.transfers) : ['No transfers needed'])
+        ];
+        downloadFile(`${data.name}.csv`, lines.join('\r\n'), 'text/csv');
     }
 }
 
-// Render expense list table based on filters and sorting.
-function renderExpensesList() {
-    // Get filter values
-    const payerFilter = document.getElementById('filter-payer').value;
-    const categoryFilter = document.getElementById('filter-category').value;
-    const responsibleFilter = document.getElementById('filter-responsible').value;
-    const sortOrder = document.getElementById('sort-date').value;
-    // Apply filters
-    let filtered = expenses.filter(exp => {
-        const matchesPayer = !payerFilter || exp.payer === payerFilter;
-        const matchesCategory = !categoryFilter || exp.category === categoryFilter;
-        const respList = exp.responsible || exp.beneficiaries || [];
-        const matchesResponsible = !responsibleFilter ||
-            (respList.includes('All') ? members.includes(responsibleFilter) : respList.includes(responsibleFilter));
-        return matchesPayer && matchesCategory && matchesResponsible;
-    });
-    // Sort by date (descending or ascending).  Because HTML date input uses ISO strings (YYYY-MM-DD),
-    // we can sort lexicographically; but we convert to Date for clarity.
-    filtered.sort((a, b) => {
-        const da = new Date(a.date);
-        const db = new Date(b.date);
-        return sortOrder === 'asc' ? da - db : db - da;
-    });
-    const tbody = document.getElementById('expenses-body');
-    tbody.innerHTML = '';
-    filtered.forEach(exp => {
-        const tr = document.createElement('tr');
-        const idx = expenses.indexOf(exp);
-        tr.innerHTML = `
-            <td>${exp.date}</td>
-            <td>${exp.title}</td>
-            <td>${exp.description || ''}</td>
-            <td>$${parseFloat(exp.amount).toFixed(2)}</td>
-            <td>${exp.category}</td>
-            <td>${exp.payer}</td>
-            <td>${(exp.responsible || exp.beneficiaries || []).join(', ')}</td>
-            <td>${exp.payment}</td>
-            <td>
-                <button class="btn btn-sm btn-outline-secondary edit-btn" data-index="${idx}">Edit</button>
-                <button class="btn btn-sm btn-outline-danger delete-btn" data-index="${idx}">Delete</button>
-            </td>
-        `;
-        tbody.appendChild(tr);
+// -----------------------------
+// Handover statements (print and PDF)
+// -----------------------------
+
+// Gather everything shown on a handover statement, with amounts formatted in
+// the handover's currency.  Returns null when the handover is unknown.
+function buildStatementData(handoverId) {
+    const index = handovers.findIndex(ho => ho.id === handoverId);
+    if (index < 0) return null;
+    const handover = handovers[index];
+    const currency = handover.currency || baseCurrency;
+    const list = archivedExpensesByHandover[handover.id] || [];
+    const summary = handover.summary || {};
+    // Amounts are converted into the handover's currency, which may no
+    // longer be the base currency; those without a rate are left out.
+    const total = list.reduce((sum, exp) => sum + (amountInCurrency(exp, currency) || 0), 0);
+    const tracked = settlements.filter(st => st.handover_id === handover.id);
+    const transfers = tracked.length > 0
+        ? tracked.map(st => [st.from_member, st.to_member, formatMoney(st.amount, currency), settlementStatuses[st.status] || st.status])
+        : handover.transactions.map(t => [t.from, t.to, formatMoney(t.amount, currency), '']);
+    const categoryTotals = {};
+    list.flatMap(expenseLines).forEach(line => {
+        const amount = amountInCurrency(line, currency);
+        if (amount !== null) categoryTotals[line.category] = (categoryTotals[line.category] || 0) + amount;
     });
-    // Attach event listeners for edit and delete buttons
-    tbody.querySelectorAll('.edit-btn').forEach(btn => {
-        btn.addEventListener('click', e => {
-            const index = parseInt(e.target.dataset.index);
-            openEditModal(index);
-        });
+    const categoryRows = Object.keys(categoryTotals)
+        .filter(cat => categoryTotals[cat] > 0)
+        .sort((a, b) => categoryTotals[b] - categoryTotals[a])
+        .map(cat => [cat, formatMoney(categoryTotals[cat], currency), total > 0 ? `${(categoryTotals[cat] / total * 100).toFixed(1)}%` : '']);
+    // Same rows as generateSummaryTableHTML, as plain cells for the PDF table
+    const summaryRows = Object.keys(summary).map(name => {
+        const s = summary[name];
+        return [name, formatMoney(s.paid, currency), formatMoney(s.share, currency), formatMoney(s.share - s.paid, currency)];
     });
-    tbody.querySelectorAll('.delete-btn').forEach(btn => {
-        btn.addEventListener('click', e => {
-            const index = parseInt(e.target.dataset.index);
-            deleteExpense(index);
-        });
+    const expenseRows = list.map(exp => {
+        const converted = amountInCurrency(exp, currency);
+        return [
+            formatDateDisplay(exp.date),
+            exp.title,
+            exp.category,
+            exp.payer,
+            formatResponsible(exp),
+            expenseCurrency(exp) === currency
+                ? formatMoney(exp.amount, currency)
+                : `${formatMoney(exp.amount, expenseCurrency(exp))} (${converted === null ? `no ${currency} rate` : formatMoney(converted, currency)})`
+        ];
     });
+    return {
+        title: `Handover ${index + 1} Statement`,
+        period: `${formatDateDisplay(handover.start)} – ${formatDateDisplay(handover.end)}`,
+        fileName: `statement-${handover.start}-to-${handover.end}`,
+        total: formatMoney(total, currency),
+        summary,
+        currency,
+        summaryRows,
+        transfers,
+        categoryRows,
+        expenseRows
+    };
 }
 
-// Render history of handovers.  If date filters are provided, only show
-// handovers whose range intersects the selected range.
-function renderHistory() {
-    const start = document.getElementById('history-start').value;
-    const end = document.getElementById('history-end').value;
-    const container = document.getElementById('history-content');
-    container.innerHTML = '';
-    if (handovers.length === 0) {
-        container.innerHTML = '<p>No past handovers yet.</p>';
+// Build a standalone, print‑optimised HTML document for a statement.
+function buildStatementHTML(data) {
+    const table = (headers, rows) => '<table><thead><tr>' + headers.map(h => `<th>${h}</th>`).join('') + '</tr></thead><tbody>' +
+        rows.map(row => '<tr>' + row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('') + '</tr>').join('') + '</tbody></table>';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${data.title}</title>
+<style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #000; margin: 24px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    h2 { font-size: 14px; margin: 20px 0 6px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    th { background: #eee; }
+    tr { page-break-inside: avoid; }
+    @page { margin: 15mm; }
+</style>
+</head>
+<body>
+<h1>${data.title}</h1>
+<p><strong>Period:</strong> ${data.period}<br><strong>Total spent:</strong> ${data.total}</p>
+<h2>Members</h2>
+${generateSummaryTableHTML(data.summary, data.currency)}
+<h2>Settlement</h2>
+${data.transfers.length > 0 ? table(['From', 'To', 'Amount', 'Status'], data.transfers) : '<p>No transfers needed.</p>'}
+<h2>Categories</h2>
+${table(['Category', 'Total', 'Share of total'], data.categoryRows)}
+<h2>Expenses</h2>
+${table(['Date', 'Title', 'Category', 'Payer', 'Responsible', 'Amount'], data.expenseRows)}
+</body>
+</html>`;
+}
+
+// Open the statement in a new window and show the print dialog.  The
+// window is opened before the handover's expenses are loaded so pop‑up
+// blockers still see it as a response to the click.
+async function printHandoverStatement(handoverId) {
+    const win = window.open('', '_blank');
+    if (!win) {
+        alert('Please allow pop‑ups to print the statement');
         return;
     }
-    handovers.forEach((handover, idx) => {
-        // If date filters are set, skip those outside the range.
-        if (start && handover.end < start) return;
-        if (end && handover.start > end) return;
-        const card = document.createElement('div');
-        card.className = 'accordion-item';
-        const headerId = `handoverHeader${idx}`;
-        const collapseId = `handoverCollapse${idx}`;
-        let settlementHTML = '';
-        if (handover.transactions && handover.transactions.length > 0) {
-            settlementHTML = `<h6>Settlement</h6><ul>` + handover.transactions.map(t => `<li>${t}</li>`).join('') + `</ul><hr>`;
-        }
-        // Retrieve archived expenses for this handover from the grouped object
-        const hoExps = archivedExpensesByHandover[handover.id] || [];
-        const expensesRows = hoExps.map(exp => {
-            const respList = (exp.responsible || exp.beneficiaries || []).join(', ');
-            return `<tr><td>${exp.date}</td><td>${exp.title}</td><td>$${parseFloat(exp.amount).toFixed(2)}</td><td>${exp.category}</td><td>${exp.payer}</td><td>${respList}</td><td>${exp.payment}</td></tr>`;
-        }).join('');
-        card.innerHTML = `
-            <h2 class="accordion-header" id="${headerId}">
-                <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#${collapseId}" aria-expanded="false" aria-controls="${collapseId}">
-                    Handover ${idx + 1}: ${handover.start} to ${handover.end}
-                </button>
-            </h2>
-            <div id="${collapseId}" class="accordion-collapse collapse" aria-labelledby="${headerId}" data-bs-parent="#history-content">
-                <div class="accordion-body">
-                    ${generateSummaryTableHTML(handover.summary)}
-                    ${settlementHTML}
-                    <hr>
-                    <h6>Expenses</h6>
-                    <table class="table table-sm">
-                        <thead class="table-light">
-                            <tr>
-                                <th>Date</th><th>Title</th><th>Amount</th><th>Category</th><th>Payer</th><th>Responsible</th><th>Payment</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${expensesRows}
-                        </tbody>
-                    </table>
-                </div>
-            </div>
-        `;
-        container.appendChild(card);
-    });
+    await loadAllHandoverExpenses(handoverId);
+    const data = buildStatementData(handoverId);
+    if (!data) {
+        win.close();
+        return;
+    }
+    win.document.open();
+    win.document.write(buildStatementHTML(data));
+    win.document.close();
+    win.focus();
+    win.print();
+}
 
-    // After listing handovers, render a custom report based on the selected date range
-    if (typeof renderHistoryReport === 'function') {
-        renderHistoryReport();
+// Generate the statement as a PDF with jsPDF and download it.
+async function downloadHandoverPDF(handoverId) {
+    await loadAllHandoverExpenses(handoverId);
+    const data = buildStatementData(handoverId);
+    if (!data) return;
+    if (!window.jspdf || !window.jspdf.jsPDF) {
+        alert('The PDF library could not be loaded');
+        return;
     }
+    const doc = new window.jspdf.jsPDF();
+    doc.setFontSize(16);
+    doc.text(data.title, 14, 18);
+    doc.setFontSize(10);
+    doc.text(`Period: ${data.period}`, 14, 26);
+    doc.text(`Total spent: ${data.total}`, 14, 32);
+    let y = 40;
+    // Add a titled table and move the cursor below it
+    const section = (heading, headers, rows) => {
+        doc.setFontSize(12);
+        doc.text(heading, 14, y);
+        doc.autoTable({ startY: y + 3, head: [headers], body: rows, styles: { fontSize: 9 }, headStyles: { fillColor: [13, 110, 253] } });
+        y = doc.lastAutoTable.finalY + 10;
+    };
+    section('Members', ['Member', 'Paid', 'Share', 'Net'], data.summaryRows);
+    section('Settlement', ['From', 'To', 'Amount', 'Status'], data.transfers.length > 0 ? data.transfers : [['No transfers needed', '', '', '']]);
+    section('Categories', ['Category', 'Total', 'Share of total'], data.categoryRows);
+    section('Expenses', ['Date', 'Title', 'Category', 'Payer', 'Responsible', 'Amount'], data.expenseRows);
+    doc.save(`${data.fileName}.pdf`);
 }
 
-// Helper to generate a summary table's HTML from a summary object.
-function generateSummaryTableHTML(summary) {
-    let html = '<table class="table table-bordered"><thead class="table-light"><tr><th>Member</th><th>Paid</th><th>Share</th><th>Net</th></tr></thead><tbody>';
-    members.forEach(name => {
-        const s = summary[name] || { paid: 0, share: 0 };
-        const net = s.share - s.paid;
-        html += `<tr><td>${name}</td><td>$${s.paid.toFixed(2)}</td><td>$${s.share.toFixed(2)}</td><td>$${net.toFixed(2)}</td></tr>`;
+// -----------------------------
+// Audit log and activity
+// -----------------------------
+//
+// A database trigger records every change to expenses and handovers in
+// `audit_log` with who made it and the old and new value of each changed
+// field.  The edit modal shows an expense's history and the Activity page
+// lists recent changes across the household.
+
+// Readable names for audited fields.  Fields not listed are not shown.
+const auditFieldLabels = {
+    date: 'date',
+    title: 'title',
+    description: 'description',
+    amount: 'amount',
+    currency: 'currency',
+    category: 'category',
+    category_id: 'category',
+    payment: 'payment method',
+    payment_method_id: 'payment method',
+    payer: 'payer',
+    payer_id: 'payer',
+    responsible: 'responsible',
+    responsible_ids: 'responsible',
+    split_mode: 'split',
+    split_values: 'split values',
+    items: 'items',
+    handover_id: 'handover',
+    start_date: 'start date',
+    end_date: 'end date',
+    settlement_mode: 'settlement mode'
+};
+
+const ACTIVITY_PAGE_SIZE = 50;
+// Entries shown on the Activity page, newest first.
+let activityEntries = [];
+
+function formatAuditValue(field, value) {
+    if (value === null || value === undefined || value === '') return '–';
+    if (field === 'amount') return parseFloat(value).toFixed(2);
+    if (field === 'date' || field === 'start_date' || field === 'end_date') return formatDateDisplay(value);
+    if (field === 'split_mode') {
+        const mode = splitModes.find(m => m.value === value);
+        return mode ? mode.label : value;
+    }
+    if (field === 'handover_id') {
+        const ho = handovers.find(h => h.id === value);
+        return ho ? `${formatDateDisplay(ho.start)} – ${formatDateDisplay(ho.end)}` : 'a past handover';
+    }
+    if (field === 'payer_id') return memberName(value);
+    if (field === 'category_id') return categoryName(value);
+    if (field === 'payment_method_id') return paymentMethodName(value);
+    if (field === 'responsible_ids') return value.map(memberName).join(', ');
+    if (field === 'split_values') value = mapObjectKeys(value, memberName);
+    if (field === 'items') return value.map(item => `${item.title || 'Item'} ${parseFloat(item.amount).toFixed(2)}`).join(', ');
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return Object.entries(value).map(([k, v]) => `${k} ${v}`).join(', ');
+    return String(value);
+}
+
+// Describe the changed fields of an entry, e.g. "amount 12.00 → 15.00".
+// Inserts and deletes only list the key fields.
+function describeAuditChanges(entry) {
+    const changes = entry.changes || {};
+    if (entry.action !== 'update') {
+        const keys = entry.table_name === 'handovers' ? [] : ['date', 'amount', 'payer', 'payer_id', 'category', 'category_id'];
+        return keys.filter(field => changes[field])
+            .map(field => `${auditFieldLabels[field]} ${formatAuditValue(field, (changes[field].new ?? changes[field].old))}`);
+    }
+    return Object.keys(changes).filter(field => auditFieldLabels[field] || field === 'deleted_at').map(field => {
+        if (field === 'deleted_at') return changes[field].new ? 'moved to the trash' : 'restored from the trash';
+        // Moving into or out of a handover reads better as its own phrase
+        if (field === 'handover_id') {
+            return changes[field].new ? `handed over in ${formatAuditValue(field, changes[field].new)}` : 'returned to the current period';
+        }
+        return `${auditFieldLabels[field]} ${formatAuditValue(field, changes[field].old)} → ${formatAuditValue(field, changes[field].new)}`;
     });
-    html += '</tbody></table>';
-    return html;
+}
+
+function formatAuditTime(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Build a list item for an audit entry.  With `withSubject`, the changed
+// expense or handover is named (Activity page); otherwise it is implied
+// (edit modal).
+function createAuditListItem(entry, withSubject) {
+    const verbs = { insert: 'added', update: 'changed', delete: 'permanently deleted' };
+    const li = document.createElement('li');
+    li.className = 'list-group-item';
+    const who = entry.changed_by_name || 'Someone';
+    const subject = entry.table_name === 'handovers' ? `handover ${entry.row_label || ''}` : `expense "${entry.row_label || ''}"`;
+    const headline = document.createElement('div');
+    headline.textContent = withSubject ? `${who} ${verbs[entry.action]} ${subject}` : `${who} ${verbs[entry.action]} this expense`;
+    const time = document.createElement('small');
+    time.className = 'text-muted ms-2';
+    time.textContent = formatAuditTime(entry.changed_at);
+    headline.appendChild(time);
+    li.appendChild(headline);
+    const details = describeAuditChanges(entry);
+    if (details.length > 0) {
+        const detailDiv = document.createElement('small');
+        detailDiv.className = 'text-muted';
+        detailDiv.textContent = details.join('; ');
+        li.appendChild(detailDiv);
+    }
+    return li;
+}
+
+// Load and show the change history of an expense in the edit modal.
+async function renderExpenseHistory(expenseId) {
+    const list = document.getElementById('edit-history');
+    list.innerHTML = '<li class="list-group-item text-muted">Loading…</li>';
+    if (!navigator.onLine) {
+        list.innerHTML = '<li class="list-group-item text-muted">Change history is not available offline.</li>';
+        return;
+    }
+    const { data, error } = await supa
+        .from('audit_log')
+        .select('*')
+        .eq('household_id', currentHouseholdId)
+        .eq('row_id', expenseId)
+        .order('changed_at', { ascending: false });
+    // The modal may have moved on to another expense meanwhile
+    if (currentEditIndex === null || !expenses[currentEditIndex] || expenses[currentEditIndex].id !== expenseId) return;
+    list.innerHTML = '';
+    if (error) {
+        console.error('Error loading change history:', error);
+        list.innerHTML = '<li class="list-group-item text-danger">Could not load the change history.</li>';
+        return;
+    }
+    if (!data || data.length === 0) {
+        list.innerHTML = '<li class="list-group-item text-muted">No recorded changes.</li>';
+        return;
+    }
+    data.forEach(entry => list.appendChild(createAuditListItem(entry, false)));
+}
+
+// Load recent household changes for the Activity page.  With `more`, the
+// next page is appended to the entries already shown.
+async function loadActivity(more = false) {
+    const list = document.getElementById('activity-list');
+    const moreBtn = document.getElementById('activity-more');
+    if (!navigator.onLine) {
+        list.innerHTML = '<li class="list-group-item text-muted">Activity is not available offline.</li>';
+        moreBtn.classList.add('d-none');
+        return;
+    }
+    if (!more) activityEntries = [];
+    const tableFilter = document.getElementById('activity-table').value;
+    let query = supa
+        .from('audit_log')
+        .select('*')
+        .eq('household_id', currentHouseholdId)
+        .order('changed_at', { ascending: false })
+        .range(activityEntries.length, activityEntries.length + ACTIVITY_PAGE_SIZE - 1);
+    if (tableFilter) query = query.eq('table_name', tableFilter);
+    const { data, error } = await query;
+    if (error) {
+        console.error('Error loading activity:', error);
+        alert('Failed to load activity');
+        return;
+    }
+    activityEntries = activityEntries.concat(data || []);
+    list.innerHTML = '';
+    if (activityEntries.length === 0) {
+        list.innerHTML = '<li class="list-group-item text-muted">No activity yet.</li>';
+    }
+    activityEntries.forEach(entry => list.appendChild(createAuditListItem(entry, true)));
+    moreBtn.classList.toggle('d-none', !data || data.length < ACTIVITY_PAGE_SIZE);
 }
 
 // Show the specified page and hide others.  Update nav link active state.
 function showPage(page) {
-    ['dashboard','expenses','history','handover','settings'].forEach(id => {
+    ['dashboard','expenses','import','history','activity','reconcile','handover','settings'].forEach(id => {
         const section = document.getElementById(id);
         if (section) {
             if (id === page) {
@@ -1245,6 +6487,10 @@ function showPage(page) {
     if (page === 'expenses') {
         renderExpensesList();
     }
+    // When entering the import page, refresh the rules list
+    if (page === 'import') {
+        renderImportRules();
+    }
     // When entering history, refresh history display and hide report
     if (page === 'history') {
         renderHistory();
@@ -1252,6 +6498,14 @@ function showPage(page) {
         const reportDiv = document.getElementById('history-report');
         if (reportDiv) reportDiv.classList.add('d-none');
     }
+    // When entering the activity page, load the latest changes
+    if (page === 'activity') {
+        loadActivity();
+    }
+    // When entering the reconcile page, load the account's statements
+    if (page === 'reconcile') {
+        renderReconcile();
+    }
     // Reset handover summary when entering handover page
     if (page === 'handover') {
         document.getElementById('handover-summary').innerHTML = '';
@@ -1261,6 +6515,7 @@ function showPage(page) {
     // When entering settings page, render lists
     if (page === 'settings') {
         renderSettings();
+        loadTrash();
     }
 }
 
@@ -1271,20 +6526,20 @@ async function addExpense(event) {
     const title = document.getElementById('title').value;
     const description = document.getElementById('description').value;
     const amount = document.getElementById('amount').value;
+    const currency = document.getElementById('currency').value;
     const category = document.getElementById('category').value;
     const payment = document.getElementById('payment').value;
     const payer = document.getElementById('payer').value;
-    // Get responsible selection from checkboxes
-    const selected = Array.from(document.querySelectorAll('#responsible-options input[type=checkbox]:checked')).map(cb => cb.value);
-    if (selected.length === 0) {
-        alert('Please select at least one responsible person');
+    const split = readExpenseSplit('add', amount);
+    if (split.error) {
+        alert(split.error);
         return;
     }
     // Include handover_id as null to mark this expense as active (not yet handed over).
-    const exp = { date, title, description, amount, category, payment, payer, responsible: selected, handover_id: null };
+    const exp = { date, title, description, amount, currency, category, payment, payer, ...split, handover_id: null };
     try {
         // Insert into Supabase and get the created record back
-        const { data, error } = await supa.from('expenses').insert([exp]).select();
+        const { data, error } = await runMutation({ table: 'expenses', action: 'insert', rows: [exp] });
         if (error) {
             console.error('Error adding expense:', error);
             alert('Failed to add expense');
@@ -1297,6 +6552,10 @@ async function addExpense(event) {
         // Reset form fields and reset responsible checkboxes to default (All)
         document.getElementById('expense-form').reset();
         populateResponsibleCheckboxes('responsible-options', ['All']);
+        populateCurrencySelect('currency');
+        populateSplitModes('add');
+        renderSplitInputs('add', {});
+        setItemised('add', false);
         // Refresh summary, list and chart
         renderSummary();
         renderExpensesList();
@@ -1346,20 +6605,28 @@ function generateHandover() {
         alert('No expenses to handover for the selected date range.');
         return;
     }
+    // Totals elsewhere leave out an expense without a rate; a settlement must not
+    const missingRates = [...new Set(selectedExpenses.map(expenseCurrency))]
+        .filter(currency => findExchangeRate(currency, date) === null);
+    if (missingRates.length > 0) {
+        alert(`No exchange rate for ${missingRates.join(', ')}. Add one in Settings before the handover.`);
+        return;
+    }
     // Compute summary, transactions and total using only the selected expenses.
     const summary = computeSummaryFromList(selectedExpenses);
     const summaryHTML = generateSummaryTableHTML(summary);
-    const transactions = computeSettlement(summary);
-    const total = selectedExpenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0);
+    const settlementMode = document.getElementById('settlement-mode').value;
+    const transactions = computeSettlement(summary, { mode: settlementMode, expenses: selectedExpenses });
+    const total = selectedExpenses.reduce((sum, exp) => sum + expenseBaseAmount(exp), 0);
     // Display summary, total and settlement details
     const summaryDiv = document.getElementById('handover-summary');
     const startDisp = formatDateDisplay(startDate);
     const endDisp = formatDateDisplay(date);
     let html = `<h5>Expenses Account (${startDisp} – ${endDisp})</h5>`;
-    html += `<p><strong>Total:</strong> $${total.toFixed(2)}</p>`;
+    html += `<p><strong>Total:</strong> ${formatMoney(total)}</p>`;
     html += summaryHTML;
     if (transactions && transactions.length > 0) {
-        html += '<h6 class="mt-3">Settlement</h6><ul>' + transactions.map(t => `<li>${t}</li>`).join('') + '</ul>';
+        html += '<h6 class="mt-3">Settlement</h6><ul>' + transactions.map(t => `<li>${escapeHTML(formatTransaction(t))}</li>`).join('') + '</ul>';
     }
     summaryDiv.innerHTML = html;
     // Show confirm button and store the selected expenses' IDs so we can update them later
@@ -1367,44 +6634,39 @@ function generateHandover() {
     confirmBtn.classList.remove('d-none');
     confirmBtn.dataset.start = startDate;
     confirmBtn.dataset.end = date;
-    confirmBtn.dataset.summary = JSON.stringify(summary);
-    confirmBtn.dataset.transactions = JSON.stringify(transactions);
+    confirmBtn.dataset.settlementMode = settlementMode;
     confirmBtn.dataset.expenseIds = JSON.stringify(selectedExpenses.map(e => e.id));
 }
 
-// Confirm handover: move expenses to history, clear current, and save.
+// Confirm handover: move expenses to history, clear current, and save.  The
+// database function commit_handover recomputes the summary and settlement
+// from the selected expense IDs and records everything in one transaction,
+// so the preview shown by generateHandover() is never stored as is.
 async function confirmHandover() {
     const start = this.dataset.start;
     const end = this.dataset.end;
-    const summary = JSON.parse(this.dataset.summary);
-    const transactions = JSON.parse(this.dataset.transactions || '[]');
     const expenseIds = JSON.parse(this.dataset.expenseIds || '[]');
+    if (!isAdmin()) {
+        alert('Only household admins can confirm a handover.');
+        return;
+    }
+    // Closing a period touches every active expense, so it is not queued
+    if (!navigator.onLine || syncQueueCount > 0) {
+        alert('Confirming a handover needs a connection and all offline changes synced first.');
+        return;
+    }
     try {
-        // Insert the handover summary into Supabase and retrieve the inserted row
-        const insertObj = {
-            start_date: start,
-            end_date: end,
-            summary: summary,
-            transactions: transactions
-        };
-        const { data: hoInsertData, error: hoErr } = await supa.from('handovers').insert([insertObj]).select();
-        if (hoErr) {
-            console.error('Error inserting handover:', hoErr);
-            alert('Failed to record handover');
-            return;
-        }
-        const newHandover = hoInsertData && hoInsertData.length > 0 ? hoInsertData[0] : null;
-        if (!newHandover) {
-            alert('Failed to retrieve new handover');
+        const { data: newHandoverId, error: hoErr } = await supa.rpc('commit_handover', {
+            expense_ids: expenseIds,
+            period_start: start,
+            period_end: end,
+            mode: this.dataset.settlementMode || 'minimal'
+        });
+        if (hoErr || !newHandoverId) {
+            console.error('Error committing handover:', hoErr);
+            alert(`Failed to record handover${hoErr ? `: ${hoErr.message}` : ''}`);
             return;
         }
-        // Update only the selected expenses to mark them as belonging to this handover
-        for (const id of expenseIds) {
-            const { error: updErr } = await supa.from('expenses').update({ handover_id: newHandover.id }).eq('id', id);
-            if (updErr) {
-                console.error('Error updating expense during handover:', updErr);
-            }
-        }
         // Remove the handed over expenses from the local active list
         expenses = expenses.filter(exp => !expenseIds.includes(exp.id));
         // Reload archived data from DB to update history and local arrays
@@ -1417,59 +6679,119 @@ async function confirmHandover() {
         renderHistory();
         // Update dashboard period and total
         renderDashboardInfo();
-        // Clear summary display
-        document.getElementById('handover-summary').innerHTML = '';
-        alert('Handover completed. The period has been moved to history.');
+        // Replace the summary with links to the new handover's statement
+        const summaryDiv = document.getElementById('handover-summary');
+        summaryDiv.innerHTML = '<div class="alert alert-success">Handover completed. The period has been moved to history. ' +
+            '<button type="button" class="btn btn-sm btn-outline-success ms-2" id="handover-print">Print statement</button>' +
+            '<button type="button" class="btn btn-sm btn-outline-success ms-2" id="handover-pdf">Download PDF</button></div>';
+        document.getElementById('handover-print').addEventListener('click', () => printHandoverStatement(newHandoverId));
+        document.getElementById('handover-pdf').addEventListener('click', () => downloadHandoverPDF(newHandoverId));
     } catch (err) {
         console.error('Unexpected error during handover:', err);
         alert('An unexpected error occurred while completing the handover');
     }
 }
 
+// Reopen the latest handover: its expenses return to the current period and
+// the handover and its settlement tracking are removed.  Done in one
+// database call so a dropped connection cannot leave it half undone.
+async function reopenHandover(handoverId) {
+    const handover = handovers.find(h => h.id === handoverId);
+    if (!handover) return;
+    if (handovers[handovers.length - 1] !== handover) {
+        alert('Only the latest handover can be reopened.');
+        return;
+    }
+    if (!navigator.onLine || syncQueueCount > 0) {
+        alert('Reopening a handover needs a connection and all offline changes synced first.');
+        return;
+    }
+    const paid = settlements.filter(st => st.handover_id === handoverId && parseFloat(st.paid_amount) > 0);
+    let message = `Reopen the period ${handover.start} to ${handover.end}? Its expenses return to the current period and the handover is removed from history.`;
+    if (paid.length > 0) {
+        message += `\n\n${paid.length} settlement payment(s) have already been recorded and will be discarded.`;
+    }
+    if (!confirm(message)) return;
+    try {
+        const { error } = await supa.rpc('reopen_handover', { target_handover: handoverId });
+        if (error) {
+            console.error('Error reopening handover:', error);
+            alert(`Failed to reopen handover: ${error.message}`);
+            return;
+        }
+        await loadData();
+        renderSummary();
+        renderExpensesList();
+        renderCategoryChart(document.getElementById('chart-person-select').value || 'All');
+        renderHistory();
+        renderDashboardInfo();
+    } catch (err) {
+        console.error('Unexpected error reopening handover:', err);
+        alert('An unexpected error occurred while reopening the handover');
+    }
+}
+
 // Initialize page
 document.addEventListener('DOMContentLoaded', async () => {
     // Initialize Supabase (fetch env variables) and load remote data
     await initSupabase();
-    await loadData();
-    // Load members and categories from DB
+    // Nothing is loaded until the user is signed in to a household
+    if (!(await initAuth())) return;
+    // Send any writes queued while offline before loading fresh data
+    await loadSyncQueueCount();
+    await processSyncQueue({ reload: false });
+    renderSyncStatus();
+    // Members, categories and payment methods first: expenses refer to them by ID
     await loadMembersAndCategories();
+    await loadPaymentMethods();
+    await loadData();
+    applyRoleUI();
+    // Load the base currency and exchange rates used for conversions
+    await loadCurrencySettings();
+    // Load recurring templates and create any expenses that have fallen due
+    await loadRecurring();
+    await generateDueRecurringExpenses();
+    await loadImportRules();
+    await loadSavedViews();
     // Populate selects for forms and filters based on loaded members/categories
     populateSelect('category', categories);
     populateSelect('payment', paymentMethods);
-    populateSelect('payer', members);
+    populateSelect('payer', formMembers());
+    populateCurrencySelect('currency');
+    populateCurrencySelect('edit-currency');
     // Populate responsible checkboxes with All selected by default
     populateResponsibleCheckboxes('responsible-options', ['All']);
-    // Populate filters
-    const payerFilter = document.getElementById('filter-payer');
-    if (payerFilter) {
-        payerFilter.innerHTML = '<option value="">All</option>';
-        members.forEach(name => {
-            const opt = document.createElement('option');
-            opt.value = name;
-            opt.textContent = name;
-            payerFilter.appendChild(opt);
-        });
-    }
-    const categoryFilter = document.getElementById('filter-category');
-    if (categoryFilter) {
-        categoryFilter.innerHTML = '<option value="">All</option>';
-        categories.forEach(cat => {
-            const opt = document.createElement('option');
-            opt.value = cat;
-            opt.textContent = cat;
-            categoryFilter.appendChild(opt);
-        });
-    }
-    const responsibleFilter = document.getElementById('filter-responsible');
-    if (responsibleFilter) {
-        responsibleFilter.innerHTML = '<option value="">All</option>';
-        members.forEach(name => {
-            const opt = document.createElement('option');
-            opt.value = name;
-            opt.textContent = name;
-            responsibleFilter.appendChild(opt);
-        });
-    }
+    // Split mode controls for the add form and edit modal
+    initSplitControls('add');
+    initSplitControls('edit');
+    // Item editors for itemised receipts
+    initItemControls('add');
+    initItemControls('edit');
+    // Recurring template form in settings
+    initSplitControls('recurring');
+    populateRecurringForm();
+    updateRecurringScheduleInputs();
+    document.getElementById('recurring-frequency').addEventListener('change', updateRecurringScheduleInputs);
+    document.getElementById('recurring-form').addEventListener('submit', addRecurring);
+    // CSV import page
+    populateImportForm();
+    document.getElementById('import-file').addEventListener('change', handleImportFile);
+    document.getElementById('import-has-header').addEventListener('change', () => refreshImportColumns());
+    document.querySelectorAll('#import-mapping .import-col').forEach(select => {
+        select.addEventListener('change', buildImportPreview);
+    });
+    document.getElementById('import-responsible').addEventListener('change', buildImportPreview);
+    document.getElementById('import-select-all').addEventListener('change', e => {
+        importPreviewRows.forEach(r => (r.include = e.target.checked));
+        renderImportPreview();
+    });
+    document.getElementById('import-rule-form').addEventListener('submit', addImportRule);
+    document.getElementById('import-confirm').addEventListener('click', confirmImport);
+    // Populate filters and the user's saved views
+    populateExpenseFilters();
+    renderSavedViews();
+    initExpenseFilters();
+    initBulkActions();
     // Populate chart person select (for dashboard)
     const chartSelect = document.getElementById('chart-person-select');
     if (chartSelect) {
@@ -1489,6 +6811,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             renderCategoryChart(person);
         });
     }
+    initCategoryChartNavigation();
     // Navigation click handlers
     document.querySelectorAll('.navbar .nav-link').forEach(link => {
         link.addEventListener('click', e => {
@@ -1504,11 +6827,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (addMemberForm) addMemberForm.addEventListener('submit', addMember);
     const addCategoryForm = document.getElementById('add-category-form');
     if (addCategoryForm) addCategoryForm.addEventListener('submit', addCategory);
-    // Filter change handlers
-    document.getElementById('filter-payer').addEventListener('change', renderExpensesList);
-    document.getElementById('filter-category').addEventListener('change', renderExpensesList);
-    document.getElementById('filter-responsible').addEventListener('change', renderExpensesList);
-    document.getElementById('sort-date').addEventListener('change', renderExpensesList);
+    // Keep a colour the admin picked instead of suggesting the next one
+    document.getElementById('new-category-color').addEventListener('input', e => {
+        e.target.dataset.touched = 'true';
+    });
+    const addPaymentMethodForm = document.getElementById('add-payment-method-form');
+    if (addPaymentMethodForm) addPaymentMethodForm.addEventListener('submit', addPaymentMethod);
+    // Account reconciliation page
+    renderReconcile();
+    initReconcile();
     // History filter button
     document.getElementById('history-filter-btn').addEventListener('click', () => {
         renderHistory();
@@ -1520,6 +6847,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Edit modal save button
     document.getElementById('edit-save').addEventListener('click', saveEdit);
+    // Export menus on the expenses and history pages
+    document.addEventListener('click', e => {
+        const option = e.target.closest('.export-option');
+        if (!option) return;
+        handleExport(option.dataset.exportScope, option.dataset.handoverId, option.dataset.format);
+    });
+    // Activity page filter and paging
+    document.getElementById('activity-table').addEventListener('change', () => loadActivity());
+    document.getElementById('activity-more').addEventListener('click', () => loadActivity(true));
+    // Settlement payment modal save button
+    document.getElementById('payment-save').addEventListener('click', savePayment);
     // Initial render after data load
     renderSummary();
     renderDashboardInfo();
@@ -1528,4 +6866,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     renderCategoryChart('All');
     // Render settings page lists initially
     renderSettings();
+    // Currency settings: base currency picker and exchange rate form
+    renderCurrencySettings();
+    populateCurrencySelect('rate-currency', currencyCodes.find(code => code !== baseCurrency));
+    document.getElementById('rate-date').value = todayISO();
+    document.getElementById('base-currency').addEventListener('change', saveBaseCurrency);
+    document.getElementById('exchange-rate-form').addEventListener('submit', addExchangeRate);
+    // Merge changes made by other housemates as they happen
+    subscribeToChanges();
+    // Replay queued writes when the connection returns
+    window.addEventListener('online', async () => {
+        renderSyncStatus();
+        await processSyncQueue();
+    });
+    window.addEventListener('offline', renderSyncStatus);
+    // Cache the app shell so the tracker loads without a network
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            console.warn('Service worker registration failed:', err);
+        });
+    }
 });
\ No newline at end of file
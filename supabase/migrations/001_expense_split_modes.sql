@@ -0,0 +1,14 @@
+-- Unequal split modes for expenses.
+--
+-- `split_mode` is one of 'equal', 'percent', 'shares' or 'exact'.  For every
+-- mode except 'equal', `split_values` holds an object keyed by member name
+-- with the percentage, share weight or exact amount for that member.
+-- Existing rows keep splitting equally.
+
+alter table expenses
+    add column if not exists split_mode text not null default 'equal',
+    add column if not exists split_values jsonb;
+
+alter table expenses
+    add constraint expenses_split_mode_check
+    check (split_mode in ('equal', 'percent', 'shares', 'exact'));
@@ -0,0 +1,12 @@
+-- Structured settlement transactions.
+--
+-- `handovers.transactions` now stores an array of { from, to, amount }
+-- objects instead of preformatted strings.  Older rows keep their strings;
+-- the client parses them when loading.  `settlement_mode` records which
+-- strategy ('minimal' or 'direct') produced the transfers.
+
+alter table handovers
+    alter column transactions type jsonb using to_jsonb(transactions);
+
+alter table handovers
+    add column if not exists settlement_mode text not null default 'minimal';
@@ -0,0 +1,20 @@
+-- Settlement payment tracking.
+--
+-- One row per transfer computed when a handover is confirmed.  `status` is
+-- 'pending' until a payment is recorded, 'partial' while part of the amount
+-- is still outstanding, and 'paid' once `paid_amount` reaches `amount`.
+
+create table if not exists settlements (
+    id uuid primary key default gen_random_uuid(),
+    handover_id uuid not null references handovers (id) on delete cascade,
+    from_member text not null,
+    to_member text not null,
+    amount numeric(12, 2) not null check (amount > 0),
+    paid_amount numeric(12, 2) not null default 0,
+    status text not null default 'pending' check (status in ('pending', 'partial', 'paid')),
+    paid_date date,
+    payment_method text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists settlements_handover_id_idx on settlements (handover_id);
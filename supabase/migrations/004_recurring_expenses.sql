@@ -0,0 +1,29 @@
+-- Recurring expense templates.
+--
+-- Each template carries the fields copied onto the expenses it generates and
+-- a schedule: 'monthly' on `day_of_month` (clamped to the month's last day),
+-- 'weekly', or every `interval_days` days.  `next_date` is the date of the
+-- next expense to generate; the client advances it after inserting.
+
+create table if not exists recurring_expenses (
+    id uuid primary key default gen_random_uuid(),
+    title text not null,
+    description text,
+    amount numeric(12, 2) not null check (amount >= 0),
+    category text not null,
+    payment text not null,
+    payer text not null,
+    responsible jsonb not null default '["All"]',
+    split_mode text not null default 'equal' check (split_mode in ('equal', 'percent', 'shares', 'exact')),
+    split_values jsonb,
+    frequency text not null check (frequency in ('monthly', 'weekly', 'interval')),
+    day_of_month integer check (day_of_month between 1 and 31),
+    interval_days integer check (interval_days >= 1),
+    next_date date not null,
+    paused boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+-- Link generated expenses back to their template.
+alter table expenses
+    add column if not exists recurring_id uuid references recurring_expenses (id) on delete set null;
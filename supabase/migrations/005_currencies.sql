@@ -0,0 +1,32 @@
+-- Multi-currency expenses.
+--
+-- Expenses, recurring templates and handovers record the currency they are
+-- in (NULL means the household base currency).  The base currency is kept
+-- in `app_settings` under the 'base_currency' key.  `exchange_rates` holds
+-- the value of one unit of `currency` in the base currency on `rate_date`.
+
+create table if not exists app_settings (
+    key text primary key,
+    value text
+);
+
+insert into app_settings (key, value)
+values ('base_currency', 'USD')
+on conflict (key) do nothing;
+
+create table if not exists exchange_rates (
+    id uuid primary key default gen_random_uuid(),
+    currency text not null,
+    rate_date date not null,
+    rate numeric(18, 8) not null check (rate > 0),
+    unique (currency, rate_date)
+);
+
+alter table expenses
+    add column if not exists currency text;
+
+alter table recurring_expenses
+    add column if not exists currency text;
+
+alter table handovers
+    add column if not exists currency text;
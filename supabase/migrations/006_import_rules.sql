@@ -0,0 +1,14 @@
+-- Rules for the CSV bank statement import.
+--
+-- When an imported row's title or description contains `pattern`
+-- (case-insensitive), the non-null fields of the first matching rule
+-- replace the import defaults.
+
+create table if not exists import_rules (
+    id uuid primary key default gen_random_uuid(),
+    pattern text not null,
+    category text,
+    payer text,
+    responsible jsonb,
+    created_at timestamptz not null default now()
+);
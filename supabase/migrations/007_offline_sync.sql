@@ -0,0 +1,27 @@
+-- Change tracking for offline sync.
+--
+-- Writes queued while offline record the `updated_at` of the row they were
+-- based on.  When they are replayed the client compares it with the current
+-- value to detect that someone else changed the row in the meantime, so
+-- every synced table keeps `updated_at` current through a trigger.
+
+create or replace function set_updated_at() returns trigger as $$
+begin
+    new.updated_at = now();
+    return new;
+end;
+$$ language plpgsql;
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['expenses', 'handovers', 'members', 'categories',
+                             'settlements', 'recurring_expenses', 'exchange_rates'] loop
+        execute format('alter table %I add column if not exists updated_at timestamptz not null default now()', t);
+        execute format('drop trigger if exists %I on %I', t || '_set_updated_at', t);
+        execute format('create trigger %I before update on %I for each row execute function set_updated_at()',
+                       t || '_set_updated_at', t);
+    end loop;
+end;
+$$;
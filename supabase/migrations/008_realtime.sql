@@ -0,0 +1,19 @@
+-- Live updates.
+--
+-- Publish changes to the shared tables over Supabase Realtime so every open
+-- copy of the app can merge other housemates' edits as they happen.
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['expenses', 'handovers', 'members', 'categories', 'settlements'] loop
+        if not exists (
+            select 1 from pg_publication_tables
+            where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t
+        ) then
+            execute format('alter publication supabase_realtime add table public.%I', t);
+        end if;
+    end loop;
+end;
+$$;
@@ -0,0 +1,154 @@
+-- User accounts and per-household data isolation.
+--
+-- Every row belongs to a household.  A login is a member of a household
+-- when a `members` row of that household carries its `user_id`; row-level
+-- security only lets such users read and write the household's rows.  New
+-- logins either create a household (create_household) or redeem an invite
+-- that links them to an existing member (accept_invite).
+--
+-- Existing data is moved into one household called 'Household'.  Nobody is
+-- linked to it yet, so claim it from the SQL editor with
+--
+--     insert into invites (household_id, member_id)
+--     select household_id, id from members where name = '<your name>'
+--     returning code;
+--
+-- and open the app with `?invite=<code>` while signed in.
+
+create table if not exists households (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    created_at timestamptz not null default now()
+);
+
+alter table members
+    add column if not exists user_id uuid references auth.users (id) on delete set null;
+
+do $$
+declare
+    t text;
+    tables text[] := array['expenses', 'handovers', 'members', 'categories', 'settlements',
+                           'recurring_expenses', 'exchange_rates', 'import_rules', 'app_settings'];
+    default_household uuid;
+begin
+    foreach t in array tables loop
+        execute format('alter table %I add column if not exists household_id uuid references households (id) on delete cascade', t);
+    end loop;
+    -- Assign rows created before households existed
+    insert into households (name)
+    select 'Household'
+    where exists (select 1 from members where household_id is null)
+       or exists (select 1 from expenses where household_id is null)
+       or exists (select 1 from categories where household_id is null)
+    returning id into default_household;
+    foreach t in array tables loop
+        if default_household is not null then
+            execute format('update %I set household_id = $1 where household_id is null', t) using default_household;
+        end if;
+        execute format('alter table %I alter column household_id set not null', t);
+        execute format('create index if not exists %I on %I (household_id)', t || '_household_id_idx', t);
+    end loop;
+end;
+$$;
+
+-- Settings and exchange rates are now per household
+alter table app_settings drop constraint if exists app_settings_pkey;
+alter table app_settings add primary key (household_id, key);
+alter table exchange_rates drop constraint if exists exchange_rates_currency_rate_date_key;
+alter table exchange_rates add constraint exchange_rates_household_currency_date_key
+    unique (household_id, currency, rate_date);
+
+-- Invitations linking a login to an existing member row.
+create table if not exists invites (
+    id uuid primary key default gen_random_uuid(),
+    household_id uuid not null references households (id) on delete cascade,
+    member_id uuid not null references members (id) on delete cascade,
+    code text not null unique default replace(gen_random_uuid()::text, '-', ''),
+    created_by uuid references auth.users (id) default auth.uid(),
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null default now() + interval '14 days',
+    accepted_at timestamptz,
+    accepted_by uuid references auth.users (id)
+);
+
+-- Security definer so policies on `members` can use it without recursing.
+create or replace function is_household_member(hid uuid) returns boolean
+language sql stable security definer set search_path = public as $$
+    select exists (
+        select 1 from members where household_id = hid and user_id = auth.uid()
+    );
+$$;
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['expenses', 'handovers', 'members', 'categories', 'settlements',
+                             'recurring_expenses', 'exchange_rates', 'import_rules', 'app_settings',
+                             'invites'] loop
+        execute format('alter table %I enable row level security', t);
+        execute format('drop policy if exists household_access on %I', t);
+        execute format('create policy household_access on %I for all to authenticated '
+                       'using (is_household_member(household_id)) '
+                       'with check (is_household_member(household_id))', t);
+    end loop;
+end;
+$$;
+
+alter table households enable row level security;
+drop policy if exists household_read on households;
+create policy household_read on households for select to authenticated
+    using (is_household_member(id));
+drop policy if exists household_rename on households;
+create policy household_rename on households for update to authenticated
+    using (is_household_member(id)) with check (is_household_member(id));
+
+-- Create a household with the caller as its first member.
+create or replace function create_household(household_name text, member_name text) returns uuid
+language plpgsql security definer set search_path = public as $$
+declare
+    new_household uuid;
+begin
+    if auth.uid() is null then
+        raise exception 'Sign in to create a household';
+    end if;
+    if coalesce(trim(household_name), '') = '' or coalesce(trim(member_name), '') = '' then
+        raise exception 'Household and member names are required';
+    end if;
+    insert into households (name) values (trim(household_name)) returning id into new_household;
+    insert into members (household_id, name, user_id) values (new_household, trim(member_name), auth.uid());
+    insert into app_settings (household_id, key, value) values (new_household, 'base_currency', 'USD');
+    return new_household;
+end;
+$$;
+
+-- Link the caller to the member an invite was created for.
+create or replace function accept_invite(invite_code text) returns uuid
+language plpgsql security definer set search_path = public as $$
+declare
+    inv invites%rowtype;
+begin
+    if auth.uid() is null then
+        raise exception 'Sign in to accept an invite';
+    end if;
+    select * into inv from invites
+    where code = invite_code and accepted_at is null and expires_at > now()
+    for update;
+    if not found then
+        raise exception 'This invite is invalid, used or expired';
+    end if;
+    if is_household_member(inv.household_id) then
+        raise exception 'You already belong to this household';
+    end if;
+    update members set user_id = auth.uid()
+    where id = inv.member_id and household_id = inv.household_id and user_id is null;
+    if not found then
+        raise exception 'This member is already linked to another login';
+    end if;
+    update invites set accepted_at = now(), accepted_by = auth.uid() where id = inv.id;
+    return inv.household_id;
+end;
+$$;
+
+revoke execute on function create_household(text, text) from anon;
+revoke execute on function accept_invite(text) from anon;
@@ -0,0 +1,138 @@
+-- Roles per household member.
+--
+--   admin   manages members, categories, currency settings and invites,
+--           confirms handovers and may edit or delete any expense
+--   member  adds expenses, edits or deletes the ones they paid, manages
+--           recurring templates and import rules, records payments for
+--           settlements they are part of
+--   viewer  read-only
+--
+-- The household_access policies from 009 are replaced by one read policy
+-- and role-specific write policies per table, so the rules hold no matter
+-- which client talks to the database.
+
+alter table members
+    add column if not exists role text not null default 'member'
+    check (role in ('admin', 'member', 'viewer'));
+
+-- Before roles everyone could do everything, so households without an
+-- admin make all their linked members admins.
+update members m set role = 'admin'
+where m.user_id is not null
+  and not exists (select 1 from members a where a.household_id = m.household_id and a.role = 'admin');
+
+-- Role and member name of the caller in a household (NULL if not a member).
+create or replace function household_role(hid uuid) returns text
+language sql stable security definer set search_path = public as $$
+    select role from members where household_id = hid and user_id = auth.uid() limit 1;
+$$;
+
+create or replace function household_member_name(hid uuid) returns text
+language sql stable security definer set search_path = public as $$
+    select name from members where household_id = hid and user_id = auth.uid() limit 1;
+$$;
+
+-- Read access for every member; writes for the given roles only.
+do $$
+declare
+    t text;
+    roles text;
+begin
+    for t, roles in
+        select * from (values
+            ('members', '''admin'''),
+            ('categories', '''admin'''),
+            ('handovers', '''admin'''),
+            ('app_settings', '''admin'''),
+            ('exchange_rates', '''admin'''),
+            ('invites', '''admin'''),
+            ('recurring_expenses', '''admin'', ''member'''),
+            ('import_rules', '''admin'', ''member''')
+        ) as w (tbl, allowed)
+    loop
+        execute format('drop policy if exists household_access on %I', t);
+        execute format('drop policy if exists household_read on %I', t);
+        execute format('drop policy if exists household_write on %I', t);
+        execute format('create policy household_read on %I for select to authenticated '
+                       'using (is_household_member(household_id))', t);
+        execute format('create policy household_write on %I for all to authenticated '
+                       'using (household_role(household_id) in (%s)) '
+                       'with check (household_role(household_id) in (%s))', t, roles, roles);
+    end loop;
+end;
+$$;
+
+drop policy if exists household_rename on households;
+create policy household_rename on households for update to authenticated
+    using (household_role(id) = 'admin') with check (household_role(id) = 'admin');
+
+-- Expenses: members add expenses; only the payer or an admin may change or
+-- remove one.
+drop policy if exists household_access on expenses;
+drop policy if exists household_read on expenses;
+create policy household_read on expenses for select to authenticated
+    using (is_household_member(household_id));
+drop policy if exists expense_insert on expenses;
+create policy expense_insert on expenses for insert to authenticated
+    with check (household_role(household_id) in ('admin', 'member'));
+drop policy if exists expense_update on expenses;
+create policy expense_update on expenses for update to authenticated
+    using (household_role(household_id) = 'admin'
+           or (household_role(household_id) = 'member' and payer = household_member_name(household_id)))
+    with check (household_role(household_id) in ('admin', 'member'));
+drop policy if exists expense_delete on expenses;
+create policy expense_delete on expenses for delete to authenticated
+    using (household_role(household_id) = 'admin'
+           or (household_role(household_id) = 'member' and payer = household_member_name(household_id)));
+
+-- Settlements: created with the handover by an admin; payments are
+-- recorded by an admin or either side of the transfer.
+drop policy if exists household_access on settlements;
+drop policy if exists household_read on settlements;
+create policy household_read on settlements for select to authenticated
+    using (is_household_member(household_id));
+drop policy if exists settlement_admin on settlements;
+create policy settlement_admin on settlements for all to authenticated
+    using (household_role(household_id) = 'admin')
+    with check (household_role(household_id) = 'admin');
+drop policy if exists settlement_payment on settlements;
+create policy settlement_payment on settlements for update to authenticated
+    using (household_role(household_id) = 'member'
+           and household_member_name(household_id) in (from_member, to_member))
+    with check (household_role(household_id) = 'member');
+
+-- A household always keeps at least one admin.
+create or replace function ensure_household_admin() returns trigger
+language plpgsql as $$
+begin
+    if not exists (select 1 from members where household_id = old.household_id and role = 'admin') then
+        raise exception 'A household needs at least one admin';
+    end if;
+    return null;
+end;
+$$;
+
+drop trigger if exists members_keep_admin on members;
+create constraint trigger members_keep_admin after update or delete on members
+    deferrable initially deferred
+    for each row when (old.role = 'admin')
+    execute function ensure_household_admin();
+
+-- The creator of a household is its first admin.
+create or replace function create_household(household_name text, member_name text) returns uuid
+language plpgsql security definer set search_path = public as $$
+declare
+    new_household uuid;
+begin
+    if auth.uid() is null then
+        raise exception 'Sign in to create a household';
+    end if;
+    if coalesce(trim(household_name), '') = '' or coalesce(trim(member_name), '') = '' then
+        raise exception 'Household and member names are required';
+    end if;
+    insert into households (name) values (trim(household_name)) returning id into new_household;
+    insert into members (household_id, name, user_id, role) values (new_household, trim(member_name), auth.uid(), 'admin');
+    insert into app_settings (household_id, key, value) values (new_household, 'base_currency', 'USD');
+    return new_household;
+end;
+$$;
@@ -0,0 +1,75 @@
+-- Audit log of changes to expenses and handovers.
+--
+-- A trigger records every insert, update and delete with the user who made
+-- it and, per changed field, the old and new value:
+--     changes = { "amount": { "old": 12.5, "new": 15 }, ... }
+-- Inserts only carry "new" values and deletes only "old" ones.  Rows are
+-- written by the trigger alone; members can read their household's log
+-- but nobody can edit it.
+
+create table if not exists audit_log (
+    id bigint generated always as identity primary key,
+    household_id uuid not null references households (id) on delete cascade,
+    table_name text not null,
+    row_id uuid not null,
+    row_label text,
+    action text not null check (action in ('insert', 'update', 'delete')),
+    changed_by uuid default auth.uid(),
+    changed_by_name text,
+    changed_at timestamptz not null default now(),
+    changes jsonb not null default '{}'
+);
+
+create index if not exists audit_log_household_changed_at_idx on audit_log (household_id, changed_at desc);
+create index if not exists audit_log_row_idx on audit_log (row_id, changed_at desc);
+
+create or replace function record_audit() returns trigger
+language plpgsql security definer set search_path = public as $$
+declare
+    old_row jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) end;
+    new_row jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) end;
+    source jsonb := coalesce(new_row, old_row);
+    diff jsonb := '{}';
+    field text;
+    label text;
+begin
+    for field in select jsonb_object_keys(source) loop
+        continue when field in ('id', 'household_id', 'created_at', 'updated_at');
+        if tg_op = 'INSERT' then
+            continue when new_row -> field = 'null'::jsonb;
+            diff := diff || jsonb_build_object(field, jsonb_build_object('new', new_row -> field));
+        elsif tg_op = 'DELETE' then
+            continue when old_row -> field = 'null'::jsonb;
+            diff := diff || jsonb_build_object(field, jsonb_build_object('old', old_row -> field));
+        elsif old_row -> field is distinct from new_row -> field then
+            diff := diff || jsonb_build_object(field, jsonb_build_object('old', old_row -> field, 'new', new_row -> field));
+        end if;
+    end loop;
+    -- Updates that only touched bookkeeping columns are not worth an entry
+    if tg_op = 'UPDATE' and diff = '{}' then
+        return null;
+    end if;
+    if tg_table_name = 'handovers' then
+        label := (source ->> 'start_date') || ' – ' || (source ->> 'end_date');
+    else
+        label := source ->> 'title';
+    end if;
+    insert into audit_log (household_id, table_name, row_id, row_label, action, changed_by, changed_by_name, changes)
+    values ((source ->> 'household_id')::uuid, tg_table_name, (source ->> 'id')::uuid, label, lower(tg_op),
+            auth.uid(), household_member_name((source ->> 'household_id')::uuid), diff);
+    return null;
+end;
+$$;
+
+drop trigger if exists expenses_audit on expenses;
+create trigger expenses_audit after insert or update or delete on expenses
+    for each row execute function record_audit();
+
+drop trigger if exists handovers_audit on handovers;
+create trigger handovers_audit after insert or update or delete on handovers
+    for each row execute function record_audit();
+
+alter table audit_log enable row level security;
+drop policy if exists household_read on audit_log;
+create policy household_read on audit_log for select to authenticated
+    using (is_household_member(household_id));
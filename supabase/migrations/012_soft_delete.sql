@@ -0,0 +1,51 @@
+-- Soft deletion with a trash bin.
+--
+-- Deleting an expense, member or category sets `deleted_at`; the app hides
+-- such rows everywhere except the Trash view, which restores them (clears
+-- `deleted_at`) or purges them with a real delete.  A member moved to the
+-- trash also loses access to the household.
+
+alter table expenses
+    add column if not exists deleted_at timestamptz;
+alter table members
+    add column if not exists deleted_at timestamptz;
+alter table categories
+    add column if not exists deleted_at timestamptz;
+
+create index if not exists expenses_deleted_at_idx on expenses (household_id) where deleted_at is not null;
+
+create or replace function is_household_member(hid uuid) returns boolean
+language sql stable security definer set search_path = public as $$
+    select exists (
+        select 1 from members
+        where household_id = hid and user_id = auth.uid() and deleted_at is null
+    );
+$$;
+
+create or replace function household_role(hid uuid) returns text
+language sql stable security definer set search_path = public as $$
+    select role from members
+    where household_id = hid and user_id = auth.uid() and deleted_at is null
+    limit 1;
+$$;
+
+create or replace function household_member_name(hid uuid) returns text
+language sql stable security definer set search_path = public as $$
+    select name from members
+    where household_id = hid and user_id = auth.uid() and deleted_at is null
+    limit 1;
+$$;
+
+-- Admins in the trash do not count towards the household's last admin
+create or replace function ensure_household_admin() returns trigger
+language plpgsql as $$
+begin
+    if not exists (
+        select 1 from members
+        where household_id = old.household_id and role = 'admin' and deleted_at is null
+    ) then
+        raise exception 'A household needs at least one admin';
+    end if;
+    return null;
+end;
+$$;
@@ -0,0 +1,33 @@
+-- Reopen the latest handover.
+--
+-- Returns the handover's expenses to the current period, removes its
+-- settlement tracking and deletes the handover row (the audit log keeps a
+-- copy).  Only the most recent handover can be reopened, so older periods
+-- are undone newest first.  Runs as the caller, so row-level security
+-- applies as well as the explicit admin check.
+
+create or replace function reopen_handover(target_handover uuid) returns void
+language plpgsql as $$
+declare
+    ho handovers%rowtype;
+begin
+    select * into ho from handovers where id = target_handover for update;
+    if not found then
+        raise exception 'Handover not found';
+    end if;
+    if household_role(ho.household_id) is distinct from 'admin' then
+        raise exception 'Only household admins can reopen a handover';
+    end if;
+    if exists (
+        select 1 from handovers
+        where household_id = ho.household_id
+          and id <> ho.id
+          and (start_date, end_date) > (ho.start_date, ho.end_date)
+    ) then
+        raise exception 'Only the latest handover can be reopened';
+    end if;
+    update expenses set handover_id = null where handover_id = ho.id;
+    delete from settlements where handover_id = ho.id;
+    delete from handovers where id = ho.id;
+end;
+$$;
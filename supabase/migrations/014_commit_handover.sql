@@ -0,0 +1,182 @@
+-- Atomic server-side handover commit.
+--
+-- commit_handover() closes a period in one transaction: it locks the
+-- selected expenses, recomputes the per-member summary and the settlement
+-- from them (the client's preview is not trusted), inserts the handover and
+-- its settlement rows and stamps `handover_id` on the expenses.  Any failure
+-- rolls the whole handover back.
+--
+-- The calculations mirror script.js: expenseRate/findExchangeRate,
+-- computeExpenseShares, computeSummaryFromList, computeSettlement and
+-- computeDirectSettlement.
+
+-- Value of one unit of `cur` in the household base currency on `on_date`:
+-- the latest rate on or before the date, otherwise the earliest rate after
+-- it, otherwise 1.
+create or replace function household_exchange_rate(hid uuid, cur text, on_date date) returns numeric
+language sql stable as $$
+    select coalesce(
+        (select 1::numeric
+         where cur is null
+            or cur = coalesce((select value from app_settings where household_id = hid and key = 'base_currency'), 'USD')),
+        (select rate from exchange_rates
+         where household_id = hid and currency = cur and rate_date <= on_date
+         order by rate_date desc limit 1),
+        (select rate from exchange_rates
+         where household_id = hid and currency = cur
+         order by rate_date asc limit 1),
+        1);
+$$;
+
+-- Each responsible member's share of an expense in the base currency.
+-- 'All' expands to `roster`.
+create or replace function expense_shares(exp expenses, roster text[]) returns table (member text, share numeric)
+language plpgsql stable as $$
+declare
+    row_json jsonb := to_jsonb(exp);
+    amount numeric := (row_json ->> 'amount')::numeric;
+    mode text := coalesce(row_json ->> 'split_mode', 'equal');
+    split_values jsonb := coalesce(row_json -> 'split_values', '{}');
+    rate numeric := household_exchange_rate(exp.household_id, row_json ->> 'currency', (row_json ->> 'date')::date);
+    resp text[];
+    total_weight numeric;
+    value numeric;
+    name text;
+begin
+    select coalesce(array_agg(r), '{}') into resp
+    from jsonb_array_elements_text(coalesce(row_json -> 'responsible', row_json -> 'beneficiaries', '[]')) as r;
+    if 'All' = any(resp) then
+        resp := roster;
+    end if;
+    if mode = 'shares' then
+        select coalesce(sum(coalesce(nullif(split_values ->> n, '')::numeric, 0)), 0) into total_weight
+        from unnest(resp) as n;
+    end if;
+    foreach name in array resp loop
+        value := coalesce(nullif(split_values ->> name, '')::numeric, 0);
+        member := name;
+        share := case mode
+            when 'percent' then amount * value / 100
+            when 'shares' then case when total_weight > 0 then amount * value / total_weight else 0 end
+            when 'exact' then value
+            else amount / greatest(cardinality(resp), 1)
+        end * rate;
+        return next;
+    end loop;
+end;
+$$;
+
+create or replace function commit_handover(expense_ids uuid[], period_start date, period_end date, mode text default 'minimal')
+returns uuid
+language plpgsql as $$
+declare
+    hid uuid;
+    base text;
+    roster text[];
+    summary jsonb := '{}';
+    transactions jsonb := '[]';
+    exp expenses%rowtype;
+    rate numeric;
+    s record;
+    nets numeric[];
+    debtor_idx int;
+    creditor_idx int;
+    amount numeric;
+    new_handover uuid;
+    i int;
+begin
+    if coalesce(cardinality(expense_ids), 0) = 0 then
+        raise exception 'No expenses to hand over';
+    end if;
+    select min(household_id::text)::uuid into hid from expenses where id = any(expense_ids);
+    if hid is null or exists (select 1 from expenses where id = any(expense_ids) and household_id <> hid) then
+        raise exception 'Expenses must belong to one household';
+    end if;
+    if household_role(hid) is distinct from 'admin' then
+        raise exception 'Only household admins can confirm a handover';
+    end if;
+    -- Lock the expenses so they cannot change or be handed over twice
+    perform 1 from expenses where id = any(expense_ids) for update;
+    if (select count(*) from expenses
+        where id = any(expense_ids) and household_id = hid and handover_id is null and deleted_at is null)
+       <> cardinality(expense_ids) then
+        raise exception 'Some expenses were changed or handed over meanwhile; generate the summary again';
+    end if;
+
+    base := coalesce((select value from app_settings where household_id = hid and key = 'base_currency'), 'USD');
+    roster := array(select name from members where household_id = hid and deleted_at is null order by name);
+
+    -- Per-member paid and share totals in the base currency
+    for i in 1 .. coalesce(cardinality(roster), 0) loop
+        summary := summary || jsonb_build_object(roster[i], jsonb_build_object('paid', 0, 'share', 0));
+    end loop;
+    for exp in select * from expenses where id = any(expense_ids) order by date loop
+        rate := household_exchange_rate(hid, exp.currency, exp.date::date);
+        if summary ? exp.payer then
+            summary := jsonb_set(summary, array[exp.payer, 'paid'],
+                to_jsonb((summary #>> array[exp.payer, 'paid'])::numeric + exp.amount::numeric * rate));
+        end if;
+        for s in select * from expense_shares(exp, roster) loop
+            if summary ? s.member then
+                summary := jsonb_set(summary, array[s.member, 'share'],
+                    to_jsonb((summary #>> array[s.member, 'share'])::numeric + s.share));
+            end if;
+        end loop;
+    end loop;
+
+    if mode = 'direct' then
+        -- Everyone owes the payer of each expense their share of it; opposite
+        -- debts between two people cancel out.
+        with owed as (
+            select sh.member as debtor, e.payer as creditor, sum(sh.share) as amt
+            from expenses e
+            cross join lateral expense_shares(e, roster) sh
+            where e.id = any(expense_ids) and sh.member <> e.payer and sh.share <> 0
+            group by 1, 2
+        ), net as (
+            select a.debtor, a.creditor, a.amt - coalesce(b.amt, 0) as amt
+            from owed a
+            left join owed b on b.debtor = a.creditor and b.creditor = a.debtor
+        )
+        select coalesce(jsonb_agg(jsonb_build_object('from', debtor, 'to', creditor, 'amount', round(amt, 2))
+                                  order by debtor, amt desc), '[]')
+        into transactions
+        from net where amt > 0.01;
+    else
+        -- Fewest transfers: repeatedly match the largest debtor with the
+        -- largest creditor.  nets[i] is share - paid for roster[i].
+        nets := array(select (summary #>> array[r.n, 'share'])::numeric - (summary #>> array[r.n, 'paid'])::numeric
+                      from unnest(roster) with ordinality as r (n, ord) order by r.ord);
+        loop
+            debtor_idx := null;
+            creditor_idx := null;
+            for i in 1 .. coalesce(cardinality(roster), 0) loop
+                if nets[i] > 0.01 and (debtor_idx is null or nets[i] > nets[debtor_idx]) then
+                    debtor_idx := i;
+                end if;
+                if nets[i] < -0.01 and (creditor_idx is null or nets[i] < nets[creditor_idx]) then
+                    creditor_idx := i;
+                end if;
+            end loop;
+            exit when debtor_idx is null or creditor_idx is null;
+            amount := least(nets[debtor_idx], -nets[creditor_idx]);
+            transactions := transactions || jsonb_build_array(
+                jsonb_build_object('from', roster[debtor_idx], 'to', roster[creditor_idx], 'amount', round(amount, 2)));
+            nets[debtor_idx] := nets[debtor_idx] - amount;
+            nets[creditor_idx] := nets[creditor_idx] + amount;
+        end loop;
+    end if;
+
+    insert into handovers (household_id, start_date, end_date, summary, transactions, settlement_mode, currency)
+    values (hid, period_start, period_end, summary, transactions,
+            case when mode = 'direct' then 'direct' else 'minimal' end, base)
+    returning id into new_handover;
+
+    insert into settlements (household_id, handover_id, from_member, to_member, amount, paid_amount, status)
+    select hid, new_handover, t ->> 'from', t ->> 'to', (t ->> 'amount')::numeric, 0, 'pending'
+    from jsonb_array_elements(transactions) as t;
+
+    update expenses set handover_id = new_handover where id = any(expense_ids);
+    return new_handover;
+end;
+$$;
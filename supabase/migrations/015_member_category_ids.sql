@@ -0,0 +1,319 @@
+-- Reference members and categories by ID.
+--
+-- Expenses, recurring templates and import rules stored the payer, category
+-- and responsible members as names, settlements stored member names and
+-- handover summaries were keyed by name, so a rename had to rewrite every
+-- row.  They now hold IDs:
+--
+--   payer -> payer_id, category -> category_id, responsible -> responsible_ids
+--     (an array of member IDs, or ["All"]), split_values keyed by member ID
+--   settlements: from_member -> from_member_id, to_member -> to_member_id
+--   handovers: summary keyed by member ID, transactions { from, to } IDs
+--
+-- A rename is now a single update of the members or categories row.  Names
+-- without a matching row (e.g. members deleted long ago) get a row that is
+-- already in the trash, so history keeps showing them.
+
+-- Find the member or category called `ref_name`, creating a deleted one if
+-- there is none.  Used by this migration only.
+create or replace function migrate_member_ref(hid uuid, ref_name text) returns text
+language plpgsql as $$
+declare
+    found_id uuid;
+begin
+    if ref_name is null or ref_name = 'All' then
+        return ref_name;
+    end if;
+    select id into found_id from members
+    where household_id = hid and name = ref_name
+    order by deleted_at nulls first limit 1;
+    if found_id is null then
+        insert into members (household_id, name, deleted_at) values (hid, ref_name, now())
+        returning id into found_id;
+    end if;
+    return found_id::text;
+end;
+$$;
+
+create or replace function migrate_category_ref(hid uuid, ref_name text) returns text
+language plpgsql as $$
+declare
+    found_id uuid;
+begin
+    if ref_name is null then
+        return null;
+    end if;
+    select id into found_id from categories
+    where household_id = hid and name = ref_name
+    order by deleted_at nulls first limit 1;
+    if found_id is null then
+        insert into categories (household_id, name, deleted_at) values (hid, ref_name, now())
+        returning id into found_id;
+    end if;
+    return found_id::text;
+end;
+$$;
+
+-- Member name list (jsonb array or text[]) to an ID list, keeping order
+create or replace function migrate_member_list(hid uuid, names jsonb) returns jsonb
+language sql as $$
+    select coalesce(jsonb_agg(migrate_member_ref(hid, n) order by ord), '[]')
+    from jsonb_array_elements_text(coalesce(names, '[]')) with ordinality as r (n, ord);
+$$;
+
+-- Object keyed by member name to one keyed by member ID
+create or replace function migrate_member_keys(hid uuid, obj jsonb) returns jsonb
+language sql as $$
+    select case when obj is null then null else
+        coalesce((select jsonb_object_agg(migrate_member_ref(hid, key), value) from jsonb_each(obj)), '{}')
+    end;
+$$;
+
+-- Policies from 010 refer to the name columns that are dropped below
+drop policy if exists expense_update on expenses;
+drop policy if exists expense_delete on expenses;
+drop policy if exists settlement_payment on settlements;
+
+-- Expenses and recurring templates
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['expenses', 'recurring_expenses'] loop
+        execute format('alter table %I
+            add column if not exists payer_id uuid references members (id),
+            add column if not exists category_id uuid references categories (id),
+            add column if not exists responsible_ids jsonb not null default ''["All"]''', t);
+        execute format('update %I set
+            payer_id = migrate_member_ref(household_id, payer)::uuid,
+            category_id = migrate_category_ref(household_id, category)::uuid,
+            responsible_ids = migrate_member_list(household_id, to_jsonb(responsible)),
+            split_values = migrate_member_keys(household_id, split_values)', t);
+        execute format('alter table %I
+            alter column payer_id set not null,
+            alter column category_id set not null,
+            drop column payer,
+            drop column category,
+            drop column responsible', t);
+    end loop;
+end;
+$$;
+
+-- Import rules (every reference is optional)
+alter table import_rules
+    add column if not exists payer_id uuid references members (id) on delete set null,
+    add column if not exists category_id uuid references categories (id) on delete set null,
+    add column if not exists responsible_ids jsonb;
+update import_rules set
+    payer_id = migrate_member_ref(household_id, payer)::uuid,
+    category_id = migrate_category_ref(household_id, category)::uuid,
+    responsible_ids = case when responsible is null then null
+                           else migrate_member_list(household_id, to_jsonb(responsible)) end;
+alter table import_rules
+    drop column payer,
+    drop column category,
+    drop column responsible;
+
+-- Settlements
+alter table settlements
+    add column if not exists from_member_id uuid references members (id),
+    add column if not exists to_member_id uuid references members (id);
+update settlements set
+    from_member_id = migrate_member_ref(household_id, from_member)::uuid,
+    to_member_id = migrate_member_ref(household_id, to_member)::uuid;
+alter table settlements
+    alter column from_member_id set not null,
+    alter column to_member_id set not null,
+    drop column from_member,
+    drop column to_member;
+
+-- Handover summaries and structured transactions (legacy text lines stay)
+update handovers set
+    summary = migrate_member_keys(household_id, summary),
+    transactions = (
+        select coalesce(jsonb_agg(
+            case when jsonb_typeof(t) = 'object'
+                 then t || jsonb_build_object('from', migrate_member_ref(household_id, t ->> 'from'),
+                                              'to', migrate_member_ref(household_id, t ->> 'to'))
+                 else t end
+            order by ord), '[]')
+        from jsonb_array_elements(coalesce(transactions, '[]')) with ordinality as r (t, ord)
+    );
+
+drop function migrate_member_keys(uuid, jsonb);
+drop function migrate_member_list(uuid, jsonb);
+drop function migrate_category_ref(uuid, text);
+drop function migrate_member_ref(uuid, text);
+
+-- The caller's member ID in a household
+create or replace function household_member_id(hid uuid) returns uuid
+language sql stable security definer set search_path = public as $$
+    select id from members
+    where household_id = hid and user_id = auth.uid() and deleted_at is null
+    limit 1;
+$$;
+
+create policy expense_update on expenses for update to authenticated
+    using (household_role(household_id) = 'admin'
+           or (household_role(household_id) = 'member' and payer_id = household_member_id(household_id)))
+    with check (household_role(household_id) in ('admin', 'member'));
+create policy expense_delete on expenses for delete to authenticated
+    using (household_role(household_id) = 'admin'
+           or (household_role(household_id) = 'member' and payer_id = household_member_id(household_id)));
+create policy settlement_payment on settlements for update to authenticated
+    using (household_role(household_id) = 'member'
+           and household_member_id(household_id) in (from_member_id, to_member_id))
+    with check (household_role(household_id) = 'member');
+
+-- Shares and handover commit from 014, now working with member IDs.
+-- `roster` holds member IDs as text.
+create or replace function expense_shares(exp expenses, roster text[]) returns table (member text, share numeric)
+language plpgsql stable as $$
+declare
+    row_json jsonb := to_jsonb(exp);
+    amount numeric := (row_json ->> 'amount')::numeric;
+    mode text := coalesce(row_json ->> 'split_mode', 'equal');
+    split_values jsonb := coalesce(row_json -> 'split_values', '{}');
+    rate numeric := household_exchange_rate(exp.household_id, row_json ->> 'currency', (row_json ->> 'date')::date);
+    resp text[];
+    total_weight numeric;
+    value numeric;
+    member_id text;
+begin
+    select coalesce(array_agg(r), '{}') into resp
+    from jsonb_array_elements_text(coalesce(row_json -> 'responsible_ids', '[]')) as r;
+    if 'All' = any(resp) then
+        resp := roster;
+    end if;
+    if mode = 'shares' then
+        select coalesce(sum(coalesce(nullif(split_values ->> n, '')::numeric, 0)), 0) into total_weight
+        from unnest(resp) as n;
+    end if;
+    foreach member_id in array resp loop
+        value := coalesce(nullif(split_values ->> member_id, '')::numeric, 0);
+        member := member_id;
+        share := case mode
+            when 'percent' then amount * value / 100
+            when 'shares' then case when total_weight > 0 then amount * value / total_weight else 0 end
+            when 'exact' then value
+            else amount / greatest(cardinality(resp), 1)
+        end * rate;
+        return next;
+    end loop;
+end;
+$$;
+
+create or replace function commit_handover(expense_ids uuid[], period_start date, period_end date, mode text default 'minimal')
+returns uuid
+language plpgsql as $$
+declare
+    hid uuid;
+    base text;
+    roster text[];
+    summary jsonb := '{}';
+    transactions jsonb := '[]';
+    exp expenses%rowtype;
+    rate numeric;
+    s record;
+    nets numeric[];
+    debtor_idx int;
+    creditor_idx int;
+    amount numeric;
+    new_handover uuid;
+    i int;
+begin
+    if coalesce(cardinality(expense_ids), 0) = 0 then
+        raise exception 'No expenses to hand over';
+    end if;
+    select min(household_id::text)::uuid into hid from expenses where id = any(expense_ids);
+    if hid is null or exists (select 1 from expenses where id = any(expense_ids) and household_id <> hid) then
+        raise exception 'Expenses must belong to one household';
+    end if;
+    if household_role(hid) is distinct from 'admin' then
+        raise exception 'Only household admins can confirm a handover';
+    end if;
+    -- Lock the expenses so they cannot change or be handed over twice
+    perform 1 from expenses where id = any(expense_ids) for update;
+    if (select count(*) from expenses
+        where id = any(expense_ids) and household_id = hid and handover_id is null and deleted_at is null)
+       <> cardinality(expense_ids) then
+        raise exception 'Some expenses were changed or handed over meanwhile; generate the summary again';
+    end if;
+
+    base := coalesce((select value from app_settings where household_id = hid and key = 'base_currency'), 'USD');
+    roster := array(select id::text from members where household_id = hid and deleted_at is null order by name);
+
+    -- Per-member paid and share totals in the base currency
+    for i in 1 .. coalesce(cardinality(roster), 0) loop
+        summary := summary || jsonb_build_object(roster[i], jsonb_build_object('paid', 0, 'share', 0));
+    end loop;
+    for exp in select * from expenses where id = any(expense_ids) order by date loop
+        rate := household_exchange_rate(hid, exp.currency, exp.date::date);
+        if summary ? exp.payer_id::text then
+            summary := jsonb_set(summary, array[exp.payer_id::text, 'paid'],
+                to_jsonb((summary #>> array[exp.payer_id::text, 'paid'])::numeric + exp.amount::numeric * rate));
+        end if;
+        for s in select * from expense_shares(exp, roster) loop
+            if summary ? s.member then
+                summary := jsonb_set(summary, array[s.member, 'share'],
+                    to_jsonb((summary #>> array[s.member, 'share'])::numeric + s.share));
+            end if;
+        end loop;
+    end loop;
+
+    if mode = 'direct' then
+        -- Everyone owes the payer of each expense their share of it; opposite
+        -- debts between two people cancel out.
+        with owed as (
+            select sh.member as debtor, e.payer_id::text as creditor, sum(sh.share) as amt
+            from expenses e
+            cross join lateral expense_shares(e, roster) sh
+            where e.id = any(expense_ids) and sh.member <> e.payer_id::text and sh.share <> 0
+            group by 1, 2
+        ), net as (
+            select a.debtor, a.creditor, a.amt - coalesce(b.amt, 0) as amt
+            from owed a
+            left join owed b on b.debtor = a.creditor and b.creditor = a.debtor
+        )
+        select coalesce(jsonb_agg(jsonb_build_object('from', debtor, 'to', creditor, 'amount', round(amt, 2))
+                                  order by debtor, amt desc), '[]')
+        into transactions
+        from net where amt > 0.01;
+    else
+        -- Fewest transfers: repeatedly match the largest debtor with the
+        -- largest creditor.  nets[i] is share - paid for roster[i].
+        nets := array(select (summary #>> array[r.n, 'share'])::numeric - (summary #>> array[r.n, 'paid'])::numeric
+                      from unnest(roster) with ordinality as r (n, ord) order by r.ord);
+        loop
+            debtor_idx := null;
+            creditor_idx := null;
+            for i in 1 .. coalesce(cardinality(roster), 0) loop
+                if nets[i] > 0.01 and (debtor_idx is null or nets[i] > nets[debtor_idx]) then
+                    debtor_idx := i;
+                end if;
+                if nets[i] < -0.01 and (creditor_idx is null or nets[i] < nets[creditor_idx]) then
+                    creditor_idx := i;
+                end if;
+            end loop;
+            exit when debtor_idx is null or creditor_idx is null;
+            amount := least(nets[debtor_idx], -nets[creditor_idx]);
+            transactions := transactions || jsonb_build_array(
+                jsonb_build_object('from', roster[debtor_idx], 'to', roster[creditor_idx], 'amount', round(amount, 2)));
+            nets[debtor_idx] := nets[debtor_idx] - amount;
+            nets[creditor_idx] := nets[creditor_idx] + amount;
+        end loop;
+    end if;
+
+    insert into handovers (household_id, start_date, end_date, summary, transactions, settlement_mode, currency)
+    values (hid, period_start, period_end, summary, transactions,
+            case when mode = 'direct' then 'direct' else 'minimal' end, base)
+    returning id into new_handover;
+
+    insert into settlements (household_id, handover_id, from_member_id, to_member_id, amount, paid_amount, status)
+    select hid, new_handover, (t ->> 'from')::uuid, (t ->> 'to')::uuid, (t ->> 'amount')::numeric, 0, 'pending'
+    from jsonb_array_elements(transactions) as t;
+
+    update expenses set handover_id = new_handover where id = any(expense_ids);
+    return new_handover;
+end;
+$$;
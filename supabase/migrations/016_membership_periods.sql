@@ -0,0 +1,194 @@
+-- Membership periods.
+--
+-- Members get a move-in and a move-out date (both optional).  A member is
+-- active between the two; after moving out they drop out of the forms but
+-- stay in history.  An expense split among "All" is shared by the members
+-- who were active on the expense date, so adding or moving out a housemate
+-- no longer changes the shares of older expenses.
+
+alter table members
+    add column if not exists moved_in date,
+    add column if not exists moved_out date;
+
+alter table members drop constraint if exists members_period_check;
+alter table members add constraint members_period_check
+    check (moved_in is null or moved_out is null or moved_out >= moved_in);
+
+-- Whether a member lived in the house at any time from `from_date` to
+-- `to_date` (inclusive).
+create or replace function member_active_between(mid uuid, from_date date, to_date date) returns boolean
+language sql stable as $$
+    select exists (
+        select 1 from members
+        where id = mid
+          and (moved_in is null or moved_in <= to_date)
+          and (moved_out is null or moved_out >= from_date)
+    );
+$$;
+
+-- expense_shares and commit_handover from 015.  'All' now resolves to the
+-- roster members active on the expense date, and the handover roster is the
+-- members active during the period.
+create or replace function expense_shares(exp expenses, roster text[]) returns table (member text, share numeric)
+language plpgsql stable as $$
+declare
+    row_json jsonb := to_jsonb(exp);
+    amount numeric := (row_json ->> 'amount')::numeric;
+    mode text := coalesce(row_json ->> 'split_mode', 'equal');
+    split_values jsonb := coalesce(row_json -> 'split_values', '{}');
+    rate numeric := household_exchange_rate(exp.household_id, row_json ->> 'currency', (row_json ->> 'date')::date);
+    resp text[];
+    total_weight numeric;
+    value numeric;
+    member_id text;
+begin
+    select coalesce(array_agg(r), '{}') into resp
+    from jsonb_array_elements_text(coalesce(row_json -> 'responsible_ids', '[]')) as r;
+    if 'All' = any(resp) then
+        resp := array(select r from unnest(roster) as r
+                      where member_active_between(r::uuid, (row_json ->> 'date')::date, (row_json ->> 'date')::date));
+    end if;
+    if mode = 'shares' then
+        select coalesce(sum(coalesce(nullif(split_values ->> n, '')::numeric, 0)), 0) into total_weight
+        from unnest(resp) as n;
+    end if;
+    foreach member_id in array resp loop
+        value := coalesce(nullif(split_values ->> member_id, '')::numeric, 0);
+        member := member_id;
+        share := case mode
+            when 'percent' then amount * value / 100
+            when 'shares' then case when total_weight > 0 then amount * value / total_weight else 0 end
+            when 'exact' then value
+            else amount / greatest(cardinality(resp), 1)
+        end * rate;
+        return next;
+    end loop;
+end;
+$$;
+
+create or replace function commit_handover(expense_ids uuid[], period_start date, period_end date, mode text default 'minimal')
+returns uuid
+language plpgsql as $$
+declare
+    hid uuid;
+    base text;
+    roster text[];
+    first_date date;
+    last_date date;
+    summary jsonb := '{}';
+    transactions jsonb := '[]';
+    exp expenses%rowtype;
+    rate numeric;
+    s record;
+    nets numeric[];
+    debtor_idx int;
+    creditor_idx int;
+    amount numeric;
+    new_handover uuid;
+    i int;
+begin
+    if coalesce(cardinality(expense_ids), 0) = 0 then
+        raise exception 'No expenses to hand over';
+    end if;
+    select min(household_id::text)::uuid into hid from expenses where id = any(expense_ids);
+    if hid is null or exists (select 1 from expenses where id = any(expense_ids) and household_id <> hid) then
+        raise exception 'Expenses must belong to one household';
+    end if;
+    if household_role(hid) is distinct from 'admin' then
+        raise exception 'Only household admins can confirm a handover';
+    end if;
+    -- Lock the expenses so they cannot change or be handed over twice
+    perform 1 from expenses where id = any(expense_ids) for update;
+    if (select count(*) from expenses
+        where id = any(expense_ids) and household_id = hid and handover_id is null and deleted_at is null)
+       <> cardinality(expense_ids) then
+        raise exception 'Some expenses were changed or handed over meanwhile; generate the summary again';
+    end if;
+
+    base := coalesce((select value from app_settings where household_id = hid and key = 'base_currency'), 'USD');
+    -- Everyone who lived in the house during the expenses' dates, plus anyone
+    -- the expenses name (a payer who has since moved out)
+    select min(date::date), max(date::date) into first_date, last_date from expenses where id = any(expense_ids);
+    roster := array(
+        select m.id::text from members m
+        where m.household_id = hid and m.deleted_at is null
+          and (member_active_between(m.id, first_date, last_date)
+               or exists (select 1 from expenses e
+                          where e.id = any(expense_ids)
+                            and (e.payer_id = m.id or e.responsible_ids ? m.id::text)))
+        order by m.name);
+
+    -- Per-member paid and share totals in the base currency
+    for i in 1 .. coalesce(cardinality(roster), 0) loop
+        summary := summary || jsonb_build_object(roster[i], jsonb_build_object('paid', 0, 'share', 0));
+    end loop;
+    for exp in select * from expenses where id = any(expense_ids) order by date loop
+        rate := household_exchange_rate(hid, exp.currency, exp.date::date);
+        if summary ? exp.payer_id::text then
+            summary := jsonb_set(summary, array[exp.payer_id::text, 'paid'],
+                to_jsonb((summary #>> array[exp.payer_id::text, 'paid'])::numeric + exp.amount::numeric * rate));
+        end if;
+        for s in select * from expense_shares(exp, roster) loop
+            if summary ? s.member then
+                summary := jsonb_set(summary, array[s.member, 'share'],
+                    to_jsonb((summary #>> array[s.member, 'share'])::numeric + s.share));
+            end if;
+        end loop;
+    end loop;
+
+    if mode = 'direct' then
+        -- Everyone owes the payer of each expense their share of it; opposite
+        -- debts between two people cancel out.
+        with owed as (
+            select sh.member as debtor, e.payer_id::text as creditor, sum(sh.share) as amt
+            from expenses e
+            cross join lateral expense_shares(e, roster) sh
+            where e.id = any(expense_ids) and sh.member <> e.payer_id::text and sh.share <> 0
+            group by 1, 2
+        ), net as (
+            select a.debtor, a.creditor, a.amt - coalesce(b.amt, 0) as amt
+            from owed a
+            left join owed b on b.debtor = a.creditor and b.creditor = a.debtor
+        )
+        select coalesce(jsonb_agg(jsonb_build_object('from', debtor, 'to', creditor, 'amount', round(amt, 2))
+                                  order by debtor, amt desc), '[]')
+        into transactions
+        from net where amt > 0.01;
+    else
+        -- Fewest transfers: repeatedly match the largest debtor with the
+        -- largest creditor.  nets[i] is share - paid for roster[i].
+        nets := array(select (summary #>> array[r.n, 'share'])::numeric - (summary #>> array[r.n, 'paid'])::numeric
+                      from unnest(roster) with ordinality as r (n, ord) order by r.ord);
+        loop
+            debtor_idx := null;
+            creditor_idx := null;
+            for i in 1 .. coalesce(cardinality(roster), 0) loop
+                if nets[i] > 0.01 and (debtor_idx is null or nets[i] > nets[debtor_idx]) then
+                    debtor_idx := i;
+                end if;
+                if nets[i] < -0.01 and (creditor_idx is null or nets[i] < nets[creditor_idx]) then
+                    creditor_idx := i;
+                end if;
+            end loop;
+            exit when debtor_idx is null or creditor_idx is null;
+            amount := least(nets[debtor_idx], -nets[creditor_idx]);
+            transactions := transactions || jsonb_build_array(
+                jsonb_build_object('from', roster[debtor_idx], 'to', roster[creditor_idx], 'amount', round(amount, 2)));
+            nets[debtor_idx] := nets[debtor_idx] - amount;
+            nets[creditor_idx] := nets[creditor_idx] + amount;
+        end loop;
+    end if;
+
+    insert into handovers (household_id, start_date, end_date, summary, transactions, settlement_mode, currency)
+    values (hid, period_start, period_end, summary, transactions,
+            case when mode = 'direct' then 'direct' else 'minimal' end, base)
+    returning id into new_handover;
+
+    insert into settlements (household_id, handover_id, from_member_id, to_member_id, amount, paid_amount, status)
+    select hid, new_handover, (t ->> 'from')::uuid, (t ->> 'to')::uuid, (t ->> 'amount')::numeric, 0, 'pending'
+    from jsonb_array_elements(transactions) as t;
+
+    update expenses set handover_id = new_handover where id = any(expense_ids);
+    return new_handover;
+end;
+$$;
@@ -0,0 +1,221 @@
+-- Immutable handover snapshots.
+--
+-- Each handover stores a `snapshot` taken when it is committed:
+--
+--   { roster: [{ id, name, paid, share }], total, expense_count, currency,
+--     checksum }
+--
+-- `roster` lists the members who took part with their totals in the
+-- handover currency, so History no longer depends on the current member
+-- list.  `checksum` is a hash of the handed over expenses; comparing it with
+-- handover_checksums() shows whether archived expenses were changed,
+-- trashed or restored after the period was settled.  Once set, the
+-- snapshot, summary and transactions of a handover cannot be changed;
+-- reopening the handover is the way to correct a settled period.
+
+alter table handovers
+    add column if not exists snapshot jsonb;
+
+-- Hash of the fields of a set of expenses that settling depends on.
+create or replace function expenses_checksum(ids uuid[]) returns text
+language sql stable as $$
+    select encode(sha256(convert_to(coalesce(string_agg(
+        concat_ws('|', id, date, title, amount::numeric, currency, payer_id, category_id,
+                  responsible_ids::text, coalesce(split_mode, 'equal'), split_values::text),
+        E'\n' order by id), ''), 'UTF8')), 'hex')
+    from expenses
+    where id = any(ids) and deleted_at is null;
+$$;
+
+-- Current checksum of every handover in a household, for comparison with
+-- the snapshots.  Runs with the caller's rights, so row-level security
+-- applies.
+create or replace function handover_checksums(hid uuid) returns table (handover_id uuid, checksum text)
+language sql stable as $$
+    select h.id, expenses_checksum(array(
+        select e.id from expenses e where e.handover_id = h.id and e.deleted_at is null))
+    from handovers h
+    where h.household_id = hid;
+$$;
+
+-- Snapshots for handovers committed before this migration, from their
+-- stored summary and the expenses as they are now.
+update handovers h set snapshot = jsonb_build_object(
+    'roster', (
+        select coalesce(jsonb_agg(jsonb_build_object(
+            'id', s.key,
+            'name', coalesce(m.name, s.key),
+            'paid', round(coalesce((s.value ->> 'paid')::numeric, 0), 2),
+            'share', round(coalesce((s.value ->> 'share')::numeric, 0), 2)) order by m.name), '[]')
+        from jsonb_each(coalesce(h.summary, '{}')) as s
+        left join members m on m.id::text = s.key),
+    'total', (
+        select round(coalesce(sum(e.amount::numeric * household_exchange_rate(h.household_id, e.currency, e.date::date)), 0), 2)
+        from expenses e where e.handover_id = h.id and e.deleted_at is null),
+    'expense_count', (select count(*) from expenses e where e.handover_id = h.id and e.deleted_at is null),
+    'currency', h.currency,
+    'checksum', expenses_checksum(array(
+        select e.id from expenses e where e.handover_id = h.id and e.deleted_at is null)))
+where h.snapshot is null;
+
+create or replace function keep_handover_snapshot() returns trigger
+language plpgsql as $$
+begin
+    if old.snapshot is not null
+       and (new.snapshot is distinct from old.snapshot
+            or new.summary is distinct from old.summary
+            or new.transactions is distinct from old.transactions) then
+        raise exception 'A settled handover cannot be changed; reopen it instead';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists handovers_keep_snapshot on handovers;
+create trigger handovers_keep_snapshot
+    before update on handovers
+    for each row execute function keep_handover_snapshot();
+
+-- commit_handover from 016, now storing the snapshot with the handover.
+create or replace function commit_handover(expense_ids uuid[], period_start date, period_end date, mode text default 'minimal')
+returns uuid
+language plpgsql as $$
+declare
+    hid uuid;
+    base text;
+    roster text[];
+    first_date date;
+    last_date date;
+    summary jsonb := '{}';
+    transactions jsonb := '[]';
+    exp expenses%rowtype;
+    rate numeric;
+    s record;
+    nets numeric[];
+    debtor_idx int;
+    creditor_idx int;
+    amount numeric;
+    new_handover uuid;
+    snapshot_value jsonb;
+    i int;
+begin
+    if coalesce(cardinality(expense_ids), 0) = 0 then
+        raise exception 'No expenses to hand over';
+    end if;
+    select min(household_id::text)::uuid into hid from expenses where id = any(expense_ids);
+    if hid is null or exists (select 1 from expenses where id = any(expense_ids) and household_id <> hid) then
+        raise exception 'Expenses must belong to one household';
+    end if;
+    if household_role(hid) is distinct from 'admin' then
+        raise exception 'Only household admins can confirm a handover';
+    end if;
+    -- Lock the expenses so they cannot change or be handed over twice
+    perform 1 from expenses where id = any(expense_ids) for update;
+    if (select count(*) from expenses
+        where id = any(expense_ids) and household_id = hid and handover_id is null and deleted_at is null)
+       <> cardinality(expense_ids) then
+        raise exception 'Some expenses were changed or handed over meanwhile; generate the summary again';
+    end if;
+
+    base := coalesce((select value from app_settings where household_id = hid and key = 'base_currency'), 'USD');
+    -- Everyone who lived in the house during the expenses' dates, plus anyone
+    -- the expenses name (a payer who has since moved out)
+    select min(date::date), max(date::date) into first_date, last_date from expenses where id = any(expense_ids);
+    roster := array(
+        select m.id::text from members m
+        where m.household_id = hid and m.deleted_at is null
+          and (member_active_between(m.id, first_date, last_date)
+               or exists (select 1 from expenses e
+                          where e.id = any(expense_ids)
+                            and (e.payer_id = m.id or e.responsible_ids ? m.id::text)))
+        order by m.name);
+
+    -- Per-member paid and share totals in the base currency
+    for i in 1 .. coalesce(cardinality(roster), 0) loop
+        summary := summary || jsonb_build_object(roster[i], jsonb_build_object('paid', 0, 'share', 0));
+    end loop;
+    for exp in select * from expenses where id = any(expense_ids) order by date loop
+        rate := household_exchange_rate(hid, exp.currency, exp.date::date);
+        if summary ? exp.payer_id::text then
+            summary := jsonb_set(summary, array[exp.payer_id::text, 'paid'],
+                to_jsonb((summary #>> array[exp.payer_id::text, 'paid'])::numeric + exp.amount::numeric * rate));
+        end if;
+        for s in select * from expense_shares(exp, roster) loop
+            if summary ? s.member then
+                summary := jsonb_set(summary, array[s.member, 'share'],
+                    to_jsonb((summary #>> array[s.member, 'share'])::numeric + s.share));
+            end if;
+        end loop;
+    end loop;
+
+    if mode = 'direct' then
+        -- Everyone owes the payer of each expense their share of it; opposite
+        -- debts between two people cancel out.
+        with owed as (
+            select sh.member as debtor, e.payer_id::text as creditor, sum(sh.share) as amt
+            from expenses e
+            cross join lateral expense_shares(e, roster) sh
+            where e.id = any(expense_ids) and sh.member <> e.payer_id::text and sh.share <> 0
+            group by 1, 2
+        ), net as (
+            select a.debtor, a.creditor, a.amt - coalesce(b.amt, 0) as amt
+            from owed a
+            left join owed b on b.debtor = a.creditor and b.creditor = a.debtor
+        )
+        select coalesce(jsonb_agg(jsonb_build_object('from', debtor, 'to', creditor, 'amount', round(amt, 2))
+                                  order by debtor, amt desc), '[]')
+        into transactions
+        from net where amt > 0.01;
+    else
+        -- Fewest transfers: repeatedly match the largest debtor with the
+        -- largest creditor.  nets[i] is share - paid for roster[i].
+        nets := array(select (summary #>> array[r.n, 'share'])::numeric - (summary #>> array[r.n, 'paid'])::numeric
+                      from unnest(roster) with ordinality as r (n, ord) order by r.ord);
+        loop
+            debtor_idx := null;
+            creditor_idx := null;
+            for i in 1 .. coalesce(cardinality(roster), 0) loop
+                if nets[i] > 0.01 and (debtor_idx is null or nets[i] > nets[debtor_idx]) then
+                    debtor_idx := i;
+                end if;
+                if nets[i] < -0.01 and (creditor_idx is null or nets[i] < nets[creditor_idx]) then
+                    creditor_idx := i;
+                end if;
+            end loop;
+            exit when debtor_idx is null or creditor_idx is null;
+            amount := least(nets[debtor_idx], -nets[creditor_idx]);
+            transactions := transactions || jsonb_build_array(
+                jsonb_build_object('from', roster[debtor_idx], 'to', roster[creditor_idx], 'amount', round(amount, 2)));
+            nets[debtor_idx] := nets[debtor_idx] - amount;
+            nets[creditor_idx] := nets[creditor_idx] + amount;
+        end loop;
+    end if;
+
+    -- Frozen record of who took part, their totals and the expenses settled
+    select jsonb_build_object(
+        'roster', coalesce(jsonb_agg(jsonb_build_object(
+            'id', m.id,
+            'name', m.name,
+            'paid', round((summary #>> array[m.id::text, 'paid'])::numeric, 2),
+            'share', round((summary #>> array[m.id::text, 'share'])::numeric, 2)) order by m.name), '[]'),
+        'total', (select round(coalesce(sum(e.amount::numeric * household_exchange_rate(hid, e.currency, e.date::date)), 0), 2)
+                  from expenses e where e.id = any(expense_ids)),
+        'expense_count', cardinality(expense_ids),
+        'currency', base,
+        'checksum', expenses_checksum(expense_ids))
+    into snapshot_value
+    from members m where m.id::text = any(roster);
+
+    insert into handovers (household_id, start_date, end_date, summary, transactions, settlement_mode, currency, snapshot)
+    values (hid, period_start, period_end, summary, transactions,
+            case when mode = 'direct' then 'direct' else 'minimal' end, base, snapshot_value)
+    returning id into new_handover;
+
+    insert into settlements (household_id, handover_id, from_member_id, to_member_id, amount, paid_amount, status)
+    select hid, new_handover, (t ->> 'from')::uuid, (t ->> 'to')::uuid, (t ->> 'amount')::numeric, 0, 'pending'
+    from jsonb_array_elements(transactions) as t;
+
+    update expenses set handover_id = new_handover where id = any(expense_ids);
+    return new_handover;
+end;
+$$;
@@ -0,0 +1,82 @@
+-- On-demand archived expenses and server-side range reports.
+--
+-- History no longer loads every archived expense up front: a handover's
+-- expenses are fetched page by page when it is opened, and the custom
+-- report asks expense_range_report() for the totals of the selected range
+-- instead of adding up expenses in the browser.
+
+create index if not exists expenses_handover_date_idx on expenses (household_id, handover_id, date)
+    where deleted_at is null;
+
+-- Totals of the archived expenses dated from `from_date` to `to_date`
+-- (either may be null for an open end), in the household base currency:
+--
+--   { expense_count, first_date, last_date, total,
+--     members: [{ id, paid, share }],
+--     categories: [{ id, total, shares: { member_id: share } }] }
+--
+-- Members are those who lived in the house during the expenses' dates or
+-- are named by them, as in commit_handover.  Runs with the caller's rights.
+create or replace function expense_range_report(hid uuid, from_date date default null, to_date date default null)
+returns jsonb
+language plpgsql stable as $$
+declare
+    ids uuid[];
+    first_date date;
+    last_date date;
+    roster text[];
+    report jsonb;
+begin
+    ids := array(
+        select id from expenses
+        where household_id = hid and handover_id is not null and deleted_at is null
+          and (from_date is null or date::date >= from_date)
+          and (to_date is null or date::date <= to_date));
+    if cardinality(ids) = 0 then
+        return jsonb_build_object('expense_count', 0, 'total', 0, 'members', '[]'::jsonb, 'categories', '[]'::jsonb);
+    end if;
+    select min(date::date), max(date::date) into first_date, last_date from expenses where id = any(ids);
+    roster := array(
+        select m.id::text from members m
+        where m.household_id = hid and m.deleted_at is null
+          and (member_active_between(m.id, first_date, last_date)
+               or exists (select 1 from expenses e
+                          where e.id = any(ids)
+                            and (e.payer_id = m.id or e.responsible_ids ? m.id::text)))
+        order by m.name);
+
+    with base as (
+        select e.*, e.amount::numeric * household_exchange_rate(hid, e.currency, e.date::date) as base_amount
+        from expenses e
+        where e.id = any(ids)
+    ), shares as (
+        select e.category_id, sh.member, sh.share
+        from expenses e
+        cross join lateral expense_shares(e, roster) sh
+        where e.id = any(ids)
+    )
+    select jsonb_build_object(
+        'expense_count', cardinality(ids),
+        'first_date', first_date,
+        'last_date', last_date,
+        'total', (select round(coalesce(sum(base_amount), 0), 2) from base),
+        'members', (
+            select coalesce(jsonb_agg(jsonb_build_object(
+                'id', r.member,
+                'paid', round(coalesce((select sum(b.base_amount) from base b where b.payer_id::text = r.member), 0), 2),
+                'share', round(coalesce((select sum(s.share) from shares s where s.member = r.member), 0), 2))
+                order by r.ord), '[]')
+            from unnest(roster) with ordinality as r (member, ord)),
+        'categories', (
+            select coalesce(jsonb_agg(jsonb_build_object(
+                'id', c.category_id,
+                'total', round(c.total, 2),
+                'shares', (select coalesce(jsonb_object_agg(x.member, round(x.amount, 2)), '{}')
+                           from (select s.member, sum(s.share) as amount
+                                 from shares s where s.category_id = c.category_id
+                                 group by s.member) x))), '[]')
+            from (select category_id, sum(base_amount) as total from base group by category_id) c))
+    into report;
+    return report;
+end;
+$$;
@@ -0,0 +1,31 @@
+-- Saved expense list views.
+--
+-- A saved view is a named combination of the Expenses page filters and
+-- sort order.  Views belong to one login in one household: nobody else
+-- sees them.  Members and categories in `filters` are stored by ID
+-- (`payer_id`, `category_id`, `responsible_id`) so renames carry over.
+
+create table if not exists saved_views (
+    id uuid primary key default gen_random_uuid(),
+    household_id uuid not null references households (id) on delete cascade,
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    name text not null,
+    filters jsonb not null default '{}',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (household_id, user_id, name)
+);
+
+create index if not exists saved_views_user_idx on saved_views (user_id, household_id);
+
+drop trigger if exists saved_views_updated_at on saved_views;
+create trigger saved_views_updated_at
+    before update on saved_views
+    for each row execute function set_updated_at();
+
+alter table saved_views enable row level security;
+
+drop policy if exists saved_views_owner on saved_views;
+create policy saved_views_owner on saved_views for all to authenticated
+    using (user_id = auth.uid() and is_household_member(household_id))
+    with check (user_id = auth.uid() and is_household_member(household_id));
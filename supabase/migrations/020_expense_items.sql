@@ -0,0 +1,185 @@
+-- Itemised receipts.
+--
+-- An expense can hold line items, each with its own amount, category and
+-- responsible members, split equally among them:
+--
+--     items = [{ "title": "Shampoo", "amount": 6.50, "category_id": "<uuid>",
+--                "responsible_ids": ["<member uuid>", ...] or ["All"] }]
+--
+-- The items add up to the expense amount.  The expense's own
+-- `responsible_ids` lists everyone its items name (or "All"), so the
+-- handover roster and row-level policies work unchanged; shares and
+-- category totals are attributed per item.
+
+alter table expenses add column if not exists items jsonb;
+
+-- Sum of the item amounts.
+create or replace function expense_items_total(items jsonb) returns numeric
+language sql immutable as $$
+    select coalesce(sum((i ->> 'amount')::numeric), 0) from jsonb_array_elements(items) as i;
+$$;
+
+alter table expenses drop constraint if exists expenses_items_check;
+alter table expenses add constraint expenses_items_check
+    check (items is null
+           or (jsonb_typeof(items) = 'array'
+               and jsonb_array_length(items) > 0
+               and abs(expense_items_total(items) - amount::numeric) < 0.01));
+
+-- Shares of an expense per category and member in the base currency.  An
+-- itemised expense gives one set of rows per item; any other expense the
+-- rows of expense_shares under its own category.
+create or replace function expense_category_shares(exp expenses, roster text[])
+returns table (category text, member text, share numeric)
+language plpgsql stable as $$
+declare
+    item jsonb;
+    resp text[];
+    rate numeric;
+begin
+    if exp.items is null then
+        return query select exp.category_id::text, s.member, s.share from expense_shares(exp, roster) s;
+        return;
+    end if;
+    rate := household_exchange_rate(exp.household_id, exp.currency, exp.date::date);
+    for item in select * from jsonb_array_elements(exp.items) loop
+        select coalesce(array_agg(r), '{}') into resp
+        from jsonb_array_elements_text(coalesce(item -> 'responsible_ids', '[]')) as r;
+        if 'All' = any(resp) then
+            resp := array(select r from unnest(roster) as r
+                          where member_active_between(r::uuid, exp.date::date, exp.date::date));
+        end if;
+        return query
+            select item ->> 'category_id', r, (item ->> 'amount')::numeric / greatest(cardinality(resp), 1) * rate
+            from unnest(resp) as r;
+    end loop;
+end;
+$$;
+
+-- expense_shares from 016, adding up the items of an itemised expense.
+create or replace function expense_shares(exp expenses, roster text[]) returns table (member text, share numeric)
+language plpgsql stable as $$
+declare
+    row_json jsonb := to_jsonb(exp);
+    amount numeric := (row_json ->> 'amount')::numeric;
+    mode text := coalesce(row_json ->> 'split_mode', 'equal');
+    split_values jsonb := coalesce(row_json -> 'split_values', '{}');
+    rate numeric := household_exchange_rate(exp.household_id, row_json ->> 'currency', (row_json ->> 'date')::date);
+    resp text[];
+    total_weight numeric;
+    value numeric;
+    member_id text;
+begin
+    if exp.items is not null then
+        return query
+            select s.member, sum(s.share) from expense_category_shares(exp, roster) s group by s.member;
+        return;
+    end if;
+    select coalesce(array_agg(r), '{}') into resp
+    from jsonb_array_elements_text(coalesce(row_json -> 'responsible_ids', '[]')) as r;
+    if 'All' = any(resp) then
+        resp := array(select r from unnest(roster) as r
+                      where member_active_between(r::uuid, (row_json ->> 'date')::date, (row_json ->> 'date')::date));
+    end if;
+    if mode = 'shares' then
+        select coalesce(sum(coalesce(nullif(split_values ->> n, '')::numeric, 0)), 0) into total_weight
+        from unnest(resp) as n;
+    end if;
+    foreach member_id in array resp loop
+        value := coalesce(nullif(split_values ->> member_id, '')::numeric, 0);
+        member := member_id;
+        share := case mode
+            when 'percent' then amount * value / 100
+            when 'shares' then case when total_weight > 0 then amount * value / total_weight else 0 end
+            when 'exact' then value
+            else amount / greatest(cardinality(resp), 1)
+        end * rate;
+        return next;
+    end loop;
+end;
+$$;
+
+-- The checksum covers the items.  concat_ws skips nulls, so expenses
+-- without items keep the checksum stored in their handover's snapshot.
+create or replace function expenses_checksum(ids uuid[]) returns text
+language sql stable as $$
+    select encode(sha256(convert_to(coalesce(string_agg(
+        concat_ws('|', id, date, title, amount::numeric, currency, payer_id, category_id,
+                  responsible_ids::text, coalesce(split_mode, 'equal'), split_values::text, items::text),
+        E'\n' order by id), ''), 'UTF8')), 'hex')
+    from expenses
+    where id = any(ids) and deleted_at is null;
+$$;
+
+-- expense_range_report from 018, with category totals and shares taken
+-- from the items of itemised expenses.
+create or replace function expense_range_report(hid uuid, from_date date default null, to_date date default null)
+returns jsonb
+language plpgsql stable as $$
+declare
+    ids uuid[];
+    first_date date;
+    last_date date;
+    roster text[];
+    report jsonb;
+begin
+    ids := array(
+        select id from expenses
+        where household_id = hid and handover_id is not null and deleted_at is null
+          and (from_date is null or date::date >= from_date)
+          and (to_date is null or date::date <= to_date));
+    if cardinality(ids) = 0 then
+        return jsonb_build_object('expense_count', 0, 'total', 0, 'members', '[]'::jsonb, 'categories', '[]'::jsonb);
+    end if;
+    select min(date::date), max(date::date) into first_date, last_date from expenses where id = any(ids);
+    roster := array(
+        select m.id::text from members m
+        where m.household_id = hid and m.deleted_at is null
+          and (member_active_between(m.id, first_date, last_date)
+               or exists (select 1 from expenses e
+                          where e.id = any(ids)
+                            and (e.payer_id = m.id or e.responsible_ids ? m.id::text)))
+        order by m.name);
+
+    with base as (
+        select e.*, e.amount::numeric * household_exchange_rate(hid, e.currency, e.date::date) as base_amount
+        from expenses e
+        where e.id = any(ids)
+    ), lines as (
+        -- One line per item of an itemised expense, otherwise the expense itself
+        select coalesce(i ->> 'category_id', b.category_id::text) as category_id,
+               case when i is null then b.base_amount
+                    else (i ->> 'amount')::numeric * household_exchange_rate(hid, b.currency, b.date::date) end as amount
+        from base b
+        left join lateral jsonb_array_elements(b.items) as i on true
+    ), shares as (
+        select sh.category as category_id, sh.member, sh.share
+        from expenses e
+        cross join lateral expense_category_shares(e, roster) sh
+        where e.id = any(ids)
+    )
+    select jsonb_build_object(
+        'expense_count', cardinality(ids),
+        'first_date', first_date,
+        'last_date', last_date,
+        'total', (select round(coalesce(sum(base_amount), 0), 2) from base),
+        'members', (
+            select coalesce(jsonb_agg(jsonb_build_object(
+                'id', r.member,
+                'paid', round(coalesce((select sum(b.base_amount) from base b where b.payer_id::text = r.member), 0), 2),
+                'share', round(coalesce((select sum(s.share) from shares s where s.member = r.member), 0), 2))
+                order by r.ord), '[]')
+            from unnest(roster) with ordinality as r (member, ord)),
+        'categories', (
+            select coalesce(jsonb_agg(jsonb_build_object(
+                'id', c.category_id,
+                'total', round(c.total, 2),
+                'shares', (select coalesce(jsonb_object_agg(x.member, round(x.amount, 2)), '{}')
+                           from (select s.member, sum(s.share) as amount
+                                 from shares s where s.category_id = c.category_id
+                                 group by s.member) x))), '[]')
+            from (select category_id, sum(amount) as total from lines group by category_id) c))
+    into report;
+    return report;
+end;
+$$;
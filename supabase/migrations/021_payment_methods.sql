@@ -0,0 +1,143 @@
+-- Payment methods, accounts and statement reconciliation.
+--
+-- The app offered a fixed "Cash" / "Card" choice.  Payment methods are now
+-- managed per household like categories: each has a name, a kind (cash,
+-- card, bank account, transfer) and optionally the member who owns it.
+-- Expenses and recurring templates refer to them by `payment_method_id`.
+--
+-- account_statements records the reconciliation of one payment method's
+-- statement period: the opening and closing balance printed on the
+-- statement and the IDs of the expenses ticked off against it.
+
+create table if not exists payment_methods (
+    id uuid primary key default gen_random_uuid(),
+    household_id uuid not null references households (id) on delete cascade,
+    name text not null,
+    kind text not null default 'card' check (kind in ('cash', 'card', 'account', 'transfer', 'other')),
+    owner_id uuid references members (id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (household_id, name)
+);
+
+create index if not exists payment_methods_household_id_idx on payment_methods (household_id);
+
+drop trigger if exists payment_methods_set_updated_at on payment_methods;
+create trigger payment_methods_set_updated_at
+    before update on payment_methods
+    for each row execute function set_updated_at();
+
+-- Every household starts with the two methods offered so far, plus any
+-- other text its expenses or templates used.
+insert into payment_methods (household_id, name, kind)
+select distinct p.household_id, p.name, case p.name when 'Cash' then 'cash' else 'card' end
+from (
+    select household_id, payment as name from expenses
+    union select household_id, payment from recurring_expenses
+    union select id, 'Cash' from households
+    union select id, 'Card' from households
+) p
+where coalesce(p.name, '') <> ''
+on conflict (household_id, name) do nothing;
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['expenses', 'recurring_expenses'] loop
+        execute format('alter table %I add column if not exists payment_method_id uuid references payment_methods (id)', t);
+        if exists (select 1 from information_schema.columns
+                   where table_schema = 'public' and table_name = t and column_name = 'payment') then
+            execute format('update %I x set payment_method_id = pm.id from payment_methods pm
+                            where pm.household_id = x.household_id and pm.name = x.payment', t);
+            execute format('alter table %I drop column payment', t);
+        end if;
+    end loop;
+end;
+$$;
+
+-- New households start with the same two methods.
+create or replace function create_household(household_name text, member_name text) returns uuid
+language plpgsql security definer set search_path = public as $$
+declare
+    new_household uuid;
+begin
+    if auth.uid() is null then
+        raise exception 'Sign in to create a household';
+    end if;
+    if coalesce(trim(household_name), '') = '' or coalesce(trim(member_name), '') = '' then
+        raise exception 'Household and member names are required';
+    end if;
+    insert into households (name) values (trim(household_name)) returning id into new_household;
+    insert into members (household_id, name, user_id, role) values (new_household, trim(member_name), auth.uid(), 'admin');
+    insert into app_settings (household_id, key, value) values (new_household, 'base_currency', 'USD');
+    insert into payment_methods (household_id, name, kind)
+    values (new_household, 'Cash', 'cash'), (new_household, 'Card', 'card');
+    return new_household;
+end;
+$$;
+
+create table if not exists account_statements (
+    id uuid primary key default gen_random_uuid(),
+    household_id uuid not null references households (id) on delete cascade,
+    payment_method_id uuid not null references payment_methods (id) on delete cascade,
+    period_start date not null,
+    period_end date not null,
+    opening_balance numeric(12, 2) not null default 0,
+    closing_balance numeric(12, 2),
+    cleared_ids jsonb not null default '[]',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check (period_end >= period_start)
+);
+
+create index if not exists account_statements_method_idx on account_statements (payment_method_id, period_start);
+
+drop trigger if exists account_statements_set_updated_at on account_statements;
+create trigger account_statements_set_updated_at
+    before update on account_statements
+    for each row execute function set_updated_at();
+
+-- Reading is open to the household.  Admins manage payment methods;
+-- statements are reconciled by an admin or, for an account that is
+-- theirs or nobody's, by a member.
+alter table payment_methods enable row level security;
+drop policy if exists household_read on payment_methods;
+create policy household_read on payment_methods for select to authenticated
+    using (is_household_member(household_id));
+drop policy if exists household_write on payment_methods;
+create policy household_write on payment_methods for all to authenticated
+    using (household_role(household_id) = 'admin')
+    with check (household_role(household_id) = 'admin');
+
+create or replace function can_reconcile(method_id uuid) returns boolean
+language sql stable security definer set search_path = public as $$
+    select exists (
+        select 1 from payment_methods pm
+        where pm.id = method_id
+          and (household_role(pm.household_id) = 'admin'
+               or (household_role(pm.household_id) = 'member'
+                   and (pm.owner_id is null or pm.owner_id = household_member_id(pm.household_id))))
+    );
+$$;
+
+alter table account_statements enable row level security;
+drop policy if exists household_read on account_statements;
+create policy household_read on account_statements for select to authenticated
+    using (is_household_member(household_id));
+drop policy if exists statement_write on account_statements;
+create policy statement_write on account_statements for all to authenticated
+    using (can_reconcile(payment_method_id))
+    with check (can_reconcile(payment_method_id) and is_household_member(household_id));
+
+-- Other open copies of the app pick up new and renamed payment methods
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'payment_methods'
+    ) then
+        alter publication supabase_realtime add table public.payment_methods;
+    end if;
+end;
+$$;
@@ -0,0 +1,55 @@
+-- Category hierarchy, colours and icons.
+--
+-- A category can sit under a top-level parent ("Groceries" and "Takeaway"
+-- under "Food"); the hierarchy is two levels deep.  Each category also
+-- stores its chart colour (#rrggbb) and an optional icon (an emoji), so
+-- colours no longer shift when a category is added.
+
+alter table categories
+    add column if not exists parent_id uuid references categories (id) on delete set null,
+    add column if not exists color text,
+    add column if not exists icon text;
+
+-- Existing categories keep the colours the charts gave them so far: the
+-- palette in name order.
+update categories c
+set color = (array['#e05252', '#e0bd52', '#99e052', '#52e075',
+                   '#52e0e0', '#5275e0', '#9952e0', '#e052bd'])[(r.n - 1) % 8 + 1]
+from (select id, row_number() over (partition by household_id order by name) as n from categories) r
+where c.id = r.id and c.color is null;
+
+alter table categories alter column color set default '#6c757d';
+alter table categories alter column color set not null;
+alter table categories drop constraint if exists categories_color_check;
+alter table categories add constraint categories_color_check check (color ~ '^#[0-9a-fA-F]{6}$');
+alter table categories drop constraint if exists categories_icon_check;
+alter table categories add constraint categories_icon_check check (icon is null or char_length(icon) <= 8);
+
+create index if not exists categories_parent_id_idx on categories (parent_id);
+
+-- A parent is a top-level category of the same household, and a category
+-- with subcategories cannot move under another one.
+create or replace function check_category_parent() returns trigger
+language plpgsql as $$
+begin
+    if new.parent_id is null then
+        return new;
+    end if;
+    if new.parent_id = new.id then
+        raise exception 'A category cannot be its own parent';
+    end if;
+    if not exists (select 1 from categories p
+                   where p.id = new.parent_id and p.household_id = new.household_id and p.parent_id is null) then
+        raise exception 'The parent must be a top-level category of the same household';
+    end if;
+    if exists (select 1 from categories c where c.parent_id = new.id) then
+        raise exception 'A category with subcategories cannot have a parent';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists categories_check_parent on categories;
+create trigger categories_check_parent
+    before insert or update of parent_id on categories
+    for each row execute function check_category_parent();
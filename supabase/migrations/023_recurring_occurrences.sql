@@ -0,0 +1,19 @@
+-- One expense per recurring template and date.
+--
+-- Every open copy of the app generates the expenses that have fallen due,
+-- so two of them could insert the same occurrence.  With this index the
+-- second insert is ignored (the client inserts with on conflict do
+-- nothing).  Duplicates created before are unlinked from their template
+-- rather than deleted, so no expense disappears; an archived copy keeps
+-- the link.
+
+update expenses e
+set recurring_id = null
+from (
+    select id, row_number() over (partition by recurring_id, date order by handover_id nulls last, id) as n
+    from expenses
+    where recurring_id is not null
+) d
+where e.id = d.id and d.n > 1;
+
+create unique index if not exists expenses_recurring_date_key on expenses (recurring_id, date);
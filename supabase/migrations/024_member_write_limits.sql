@@ -0,0 +1,70 @@
+-- Limit what members may change on expenses and settlements.
+--
+-- The update policies from 015 checked the member's role only, so a member
+-- could hand their expense to another payer, take an archived expense out
+-- of its handover, or mark a settlement as paid without paying.  Now:
+--
+--   expenses     a member's changed row must still be theirs, and only an
+--                admin moves an expense in or out of a handover
+--   settlements  a member records payments only: paid_amount, paid_date,
+--                payment_method and a status that matches the amount paid
+--
+-- Policies cannot see the old row, so the unchanged columns are enforced
+-- by triggers.  Admins (and the handover functions they call) are not
+-- limited; neither are changes made without a login, e.g. in the SQL
+-- editor.
+
+drop policy if exists expense_update on expenses;
+create policy expense_update on expenses for update to authenticated
+    using (household_role(household_id) = 'admin'
+           or (household_role(household_id) = 'member' and payer_id = household_member_id(household_id)))
+    with check (household_role(household_id) = 'admin'
+                or (household_role(household_id) = 'member' and payer_id = household_member_id(household_id)));
+
+create or replace function limit_member_expense_update() returns trigger
+language plpgsql as $$
+begin
+    if auth.uid() is null or household_role(old.household_id) = 'admin' then
+        return new;
+    end if;
+    if new.handover_id is distinct from old.handover_id or new.household_id is distinct from old.household_id then
+        raise exception 'Only household admins can move an expense between handovers';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists expenses_limit_member_update on expenses;
+create trigger expenses_limit_member_update
+    before update on expenses
+    for each row execute function limit_member_expense_update();
+
+create or replace function limit_member_settlement_update() returns trigger
+language plpgsql as $$
+declare
+    payment_columns text[] := array['paid_amount', 'status', 'paid_date', 'payment_method', 'updated_at'];
+begin
+    if auth.uid() is null or household_role(old.household_id) = 'admin' then
+        return new;
+    end if;
+    if (to_jsonb(new) - payment_columns) is distinct from (to_jsonb(old) - payment_columns) then
+        raise exception 'Members can only record payments on a settlement';
+    end if;
+    if new.paid_amount < 0 or new.paid_amount > new.amount then
+        raise exception 'The amount paid must be between 0 and the settlement amount';
+    end if;
+    if new.status is distinct from case
+            when new.paid_amount >= new.amount - 0.005 then 'paid'
+            when new.paid_amount > 0 then 'partial'
+            else 'pending'
+        end then
+        raise exception 'The settlement status does not match the amount paid';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists settlements_limit_member_update on settlements;
+create trigger settlements_limit_member_update
+    before update on settlements
+    for each row execute function limit_member_settlement_update();
@@ -0,0 +1,31 @@
+-- Refuse "All" expenses dated when nobody lived in the house.
+--
+-- 'All' resolves to the members living in the house on the expense date
+-- (see 016).  Before everyone moved in or after the last one moved out that
+-- is nobody: the expense would get no shares while its amount still counts
+-- as paid, so summaries and settlements would not balance.  The client
+-- refuses such expenses; this trigger does the same for any other writer.
+-- Existing rows are left alone until they are changed.
+
+create or replace function check_expense_all_members() returns trigger
+language plpgsql as $$
+begin
+    if new.deleted_at is not null then
+        return new;
+    end if;
+    if (new.responsible_ids ? 'All'
+        or exists (select 1 from jsonb_array_elements(coalesce(new.items, '[]')) as i
+                   where coalesce(i -> 'responsible_ids', '[]') ? 'All'))
+       and not exists (select 1 from members m
+                       where m.household_id = new.household_id and m.deleted_at is null
+                         and member_active_between(m.id, new.date::date, new.date::date)) then
+        raise exception 'Nobody lived in the house on %, so "All" has nobody to split among', new.date::date;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists expenses_check_all_members on expenses;
+create trigger expenses_check_all_members
+    before insert or update of date, responsible_ids, items on expenses
+    for each row execute function check_expense_all_members();
@@ -0,0 +1,35 @@
+-- The currency of each payment method.
+--
+-- A card or account statement is in the account's own currency, so
+-- reconciliation works in it rather than in the household base currency.
+-- Existing methods get the household's current base currency.
+
+alter table payment_methods add column if not exists currency text;
+
+update payment_methods pm
+set currency = coalesce((select value from app_settings s
+                         where s.household_id = pm.household_id and s.key = 'base_currency'), 'USD')
+where pm.currency is null;
+
+alter table payment_methods alter column currency set not null;
+
+-- create_household from 021, giving the first payment methods a currency.
+create or replace function create_household(household_name text, member_name text) returns uuid
+language plpgsql security definer set search_path = public as $$
+declare
+    new_household uuid;
+begin
+    if auth.uid() is null then
+        raise exception 'Sign in to create a household';
+    end if;
+    if coalesce(trim(household_name), '') = '' or coalesce(trim(member_name), '') = '' then
+        raise exception 'Household and member names are required';
+    end if;
+    insert into households (name) values (trim(household_name)) returning id into new_household;
+    insert into members (household_id, name, user_id, role) values (new_household, trim(member_name), auth.uid(), 'admin');
+    insert into app_settings (household_id, key, value) values (new_household, 'base_currency', 'USD');
+    insert into payment_methods (household_id, name, kind, currency)
+    values (new_household, 'Cash', 'cash', 'USD'), (new_household, 'Card', 'card', 'USD');
+    return new_household;
+end;
+$$;
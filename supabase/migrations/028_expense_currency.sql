@@ -0,0 +1,46 @@
+-- Record the currency of every expense, template and handover.
+--
+-- Since 005 a NULL currency meant "the base currency", so changing the base
+-- currency silently re-labelled every older expense.  Those rows now get
+-- the household's current base currency and the column is required.
+--
+-- household_exchange_rate no longer counts a currency without any rate as
+-- 1: converting at parity settles real money at the wrong value, so it
+-- raises instead.
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['expenses', 'recurring_expenses', 'handovers'] loop
+        execute format(
+            'update %I x set currency = coalesce((select value from app_settings s
+                                                 where s.household_id = x.household_id and s.key = ''base_currency''), ''USD'')
+             where x.currency is null', t);
+        execute format('alter table %I alter column currency set not null', t);
+    end loop;
+end;
+$$;
+
+-- household_exchange_rate from 014, now raising when the currency has no rate.
+create or replace function household_exchange_rate(hid uuid, cur text, on_date date) returns numeric
+language plpgsql stable as $$
+declare
+    result numeric;
+begin
+    if cur is null or cur = coalesce((select value from app_settings where household_id = hid and key = 'base_currency'), 'USD') then
+        return 1;
+    end if;
+    result := coalesce(
+        (select rate from exchange_rates
+         where household_id = hid and currency = cur and rate_date <= on_date
+         order by rate_date desc limit 1),
+        (select rate from exchange_rates
+         where household_id = hid and currency = cur
+         order by rate_date asc limit 1));
+    if result is null then
+        raise exception 'No exchange rate for %; add one in Settings', cur;
+    end if;
+    return result;
+end;
+$$;
@@ -0,0 +1,38 @@
+-- All-or-nothing changes to several rows.
+--
+-- A plain update of several ids changes the rows row-level security lets
+-- through and silently skips the rest, leaving a bulk change half done.
+-- update_rows() runs the update as the caller, so the same policies and
+-- triggers apply, and raises (rolling everything back) unless every id was
+-- changed.  `changes` holds the new column values; the changed rows are
+-- returned.
+
+create or replace function update_rows(target text, ids uuid[], changes jsonb) returns jsonb
+language plpgsql as $$
+declare
+    assignments text;
+    result jsonb;
+begin
+    if target <> all (array['expenses']) then
+        raise exception 'update_rows does not support table %', target;
+    end if;
+    select string_agg(format('%I = r.%I', key, key), ', ') into assignments
+    from jsonb_object_keys(changes) key;
+    if assignments is null then
+        raise exception 'No changes given';
+    end if;
+    execute format(
+        'with r as (select * from jsonb_populate_record(null::%I, $1)),
+              u as (update %I t set %s from r where t.id = any($2) returning t.*)
+         select coalesce(jsonb_agg(to_jsonb(u)), ''[]'') from u',
+        target, target, assignments)
+    into result
+    using changes, ids;
+    if jsonb_array_length(result) <> cardinality(ids) then
+        raise exception using
+            errcode = 'insufficient_privilege',
+            message = 'Some of the records no longer exist or you are not allowed to change them; none were changed';
+    end if;
+    return result;
+end;
+$$;
@@ -0,0 +1,54 @@
+-- Keep each handover's current checksum with the handover.
+--
+-- handover_checksums() from 017 hashed the archived expenses of every
+-- handover on each load, which grows with the whole history.  Now
+-- `current_checksum` is updated whenever a statement changes archived
+-- expenses, and only for the handovers it touched; the client compares it
+-- with the checksum in the snapshot.
+
+alter table handovers add column if not exists current_checksum text;
+
+-- Statement-level, so handing over or reopening a period hashes its
+-- expenses once rather than once per expense.  Runs as the owner because
+-- members may change their archived expenses but not the handovers.
+create or replace function refresh_handover_checksums() returns trigger
+language plpgsql security definer set search_path = public as $$
+declare
+    touched uuid[];
+begin
+    if tg_op = 'INSERT' then
+        touched := array(select distinct handover_id from new_rows where handover_id is not null);
+    elsif tg_op = 'DELETE' then
+        touched := array(select distinct handover_id from old_rows where handover_id is not null);
+    else
+        touched := array(select handover_id from old_rows where handover_id is not null
+                         union select handover_id from new_rows where handover_id is not null);
+    end if;
+    update handovers h
+    set current_checksum = expenses_checksum(array(
+        select e.id from expenses e where e.handover_id = h.id and e.deleted_at is null))
+    where h.id = any(touched);
+    return null;
+end;
+$$;
+
+drop trigger if exists expenses_refresh_checksums_insert on expenses;
+create trigger expenses_refresh_checksums_insert
+    after insert on expenses referencing new table as new_rows
+    for each statement execute function refresh_handover_checksums();
+
+drop trigger if exists expenses_refresh_checksums_update on expenses;
+create trigger expenses_refresh_checksums_update
+    after update on expenses referencing old table as old_rows new table as new_rows
+    for each statement execute function refresh_handover_checksums();
+
+drop trigger if exists expenses_refresh_checksums_delete on expenses;
+create trigger expenses_refresh_checksums_delete
+    after delete on expenses referencing old table as old_rows
+    for each statement execute function refresh_handover_checksums();
+
+update handovers h
+set current_checksum = expenses_checksum(array(
+    select e.id from expenses e where e.handover_id = h.id and e.deleted_at is null));
+
+drop function if exists handover_checksums(uuid);
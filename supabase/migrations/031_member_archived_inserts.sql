@@ -0,0 +1,31 @@
+-- Members cannot add expenses to a settled handover either.
+--
+-- 024 stopped members from moving an expense in or out of a handover on
+-- update, but an insert could still carry the id of an archived handover
+-- and change what it covers after the fact.
+
+-- limit_member_expense_update from 024, now also checking inserts.
+create or replace function limit_member_expense_update() returns trigger
+language plpgsql as $$
+begin
+    if auth.uid() is null
+       or household_role(case when tg_op = 'INSERT' then new.household_id else old.household_id end) = 'admin' then
+        return new;
+    end if;
+    if tg_op = 'INSERT' then
+        if new.handover_id is not null then
+            raise exception 'Only household admins can add an expense to a handover';
+        end if;
+        return new;
+    end if;
+    if new.handover_id is distinct from old.handover_id or new.household_id is distinct from old.household_id then
+        raise exception 'Only household admins can move an expense between handovers';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists expenses_limit_member_update on expenses;
+create trigger expenses_limit_member_update
+    before insert or update on expenses
+    for each row execute function limit_member_expense_update();
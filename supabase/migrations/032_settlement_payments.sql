@@ -0,0 +1,48 @@
+-- Keep every payment recorded against a settlement.
+--
+-- Each payment overwrote `paid_date` and `payment_method`, so of several
+-- instalments only the last one's date and method survived.  `payments`
+-- now lists them all as [{ amount, date, method }]; `paid_amount` is their
+-- sum and `paid_date` the date of the first.  Settlements paid so far get
+-- one entry with what was recorded.
+
+alter table settlements add column if not exists payments jsonb not null default '[]';
+
+update settlements
+set payments = jsonb_build_array(jsonb_build_object(
+    'amount', paid_amount, 'date', paid_date, 'method', payment_method))
+where paid_amount > 0 and payments = '[]';
+
+-- limit_member_settlement_update from 024, letting members add payments
+-- but not change or remove earlier ones.
+create or replace function limit_member_settlement_update() returns trigger
+language plpgsql as $$
+declare
+    payment_columns text[] := array['paid_amount', 'status', 'paid_date', 'payment_method', 'payments', 'updated_at'];
+begin
+    if auth.uid() is null or household_role(old.household_id) = 'admin' then
+        return new;
+    end if;
+    if (to_jsonb(new) - payment_columns) is distinct from (to_jsonb(old) - payment_columns) then
+        raise exception 'Members can only record payments on a settlement';
+    end if;
+    if jsonb_array_length(new.payments) < jsonb_array_length(old.payments) or not new.payments @> old.payments then
+        raise exception 'Recorded payments cannot be changed or removed';
+    end if;
+    if abs(new.paid_amount - (select coalesce(sum((p ->> 'amount')::numeric), 0)
+                              from jsonb_array_elements(new.payments) p)) > 0.005 then
+        raise exception 'The amount paid must be the sum of the payments';
+    end if;
+    if new.paid_amount < 0 or new.paid_amount > new.amount then
+        raise exception 'The amount paid must be between 0 and the settlement amount';
+    end if;
+    if new.status is distinct from case
+            when new.paid_amount >= new.amount - 0.005 then 'paid'
+            when new.paid_amount > 0 then 'partial'
+            else 'pending'
+        end then
+        raise exception 'The settlement status does not match the amount paid';
+    end if;
+    return new;
+end;
+$$;
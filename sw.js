@@ -0,0 +1,91 @@
+// Service worker for the expense tracker.  It caches the app shell and the
+// CDN libraries so the app opens without a network connection.  Data itself
+// is kept in IndexedDB by script.js, so Supabase requests are never cached
+// here.
+
+const CACHE_NAME = 'expense-tracker-v2';
+
+// Files needed to start the app.  Same‑origin files are fetched network
+// first so deployments show up straight away; CDN files are pinned to an
+// exact version and served from the cache first.
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/script.js',
+    '/style.css',
+    '/manifest.webmanifest',
+    '/icons/icon.svg'
+];
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.8/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.8/dist/js/bootstrap.bundle.min.js',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.5.0/dist/chart.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2.117.2/dist/umd/supabase.js',
+    'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+    'https://cdn.jsdelivr.net/npm/jspdf@2.5.2/dist/jspdf.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/jspdf-autotable@3.8.4/dist/jspdf.plugin.autotable.min.js'
+];
+
+// The app shell must be cached for the worker to install.  CDN files are
+// cached one by one, so a single unreachable CDN does not block the
+// install; a file that failed is cached the first time the page loads it.
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all([
+                cache.addAll(APP_SHELL),
+                ...CDN_ASSETS.map(url => cache.add(url).catch(err => {
+                    console.warn(`Could not cache ${url}:`, err);
+                }))
+            ]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches left by older versions of this worker
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Try the network and refresh the cached copy, falling back to the cache
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        // Navigations to any path fall back to the app shell
+        if (request.mode === 'navigate') return cache.match('/index.html');
+        throw err;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        // `/api/env` goes through here too so the Supabase config is
+        // available offline
+        event.respondWith(networkFirst(request));
+    } else if (CDN_ASSETS.includes(request.url)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // Anything else (Supabase API calls) goes straight to the network
+});